@@ -0,0 +1,153 @@
+/**
+ * accountResolver.js
+ * ------------------
+ * Resolves the account a user (or the LLM) refers to - "Roth", "my brokerage account",
+ * "acc_cash_101", "IRA" - against the account list. Each account is scored on its ID, name,
+ * aliases and type, tolerating word order, punctuation, prefixes and small typos.
+ * A clear winner is 'resolved'; several close candidates are 'ambiguous' so the agent asks the
+ * user to choose instead of guessing, which matters most for transfers.
+ */
+
+const AccountResolver = {
+    // Scores are 0-100; below minScore is no match, and the best match must beat the runner-up by margin
+    minScore: 40,
+    margin: 15,
+
+    // Words that say nothing about which account is meant
+    fillerWords: ['my', 'the', 'a', 'an', 'account', 'accounts', 'acct', 'fidelity'],
+
+    // Generic words for each account type; they match every account of that type equally
+    typeKeywords: {
+        retirement: ['retirement', 'ira', 'retirement account'],
+        taxable: ['taxable', 'investment', 'individual'],
+        cash: ['cash', 'core', 'money market']
+    },
+
+    // Lowercase words without punctuation or filler: "My 401(k) Account" -> ['401k']
+    tokenize: (text) => String(text || '')
+        .toLowerCase()
+        .replace(/[()'’.]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(word => word && !AccountResolver.fillerWords.includes(word)),
+
+    // Levenshtein distance, for typo tolerance ("brokrage")
+    editDistance: (a, b) => {
+        const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    },
+
+    // A query word matches an account word exactly, as a prefix of 3+ letters, or with a small typo
+    wordsMatch: (queryWord, word) => {
+        if (queryWord === word) {
+            return true;
+        }
+        if (queryWord.length >= 3 && word.startsWith(queryWord)) {
+            return true;
+        }
+        const allowedTypos = word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0;
+        return allowedTypos > 0 && AccountResolver.editDistance(queryWord, word) <= allowedTypos;
+    },
+
+    /**
+     * Scores the query words against one name or alias: 95 for the same words, otherwise
+     * higher the more of both the query and the name are covered. 0 when no word matches.
+     */
+    scoreText: (queryWords, text) => {
+        const words = AccountResolver.tokenize(text);
+        if (words.length === 0) {
+            return 0;
+        }
+        if (queryWords.join(' ') === words.join(' ')) {
+            return 95;
+        }
+        const matchedQuery = queryWords.filter(queryWord => words.some(word => AccountResolver.wordsMatch(queryWord, word))).length;
+        if (matchedQuery === 0) {
+            return 0;
+        }
+        const matchedWords = words.filter(word => queryWords.some(queryWord => AccountResolver.wordsMatch(queryWord, word))).length;
+        const base = matchedQuery === queryWords.length ? 50 : 30;
+        return Math.round(base + 40 * (matchedQuery / queryWords.length) * (matchedWords / words.length));
+    },
+
+    // Best score of the query for one account across its ID, name, aliases and type
+    scoreAccount: (query, account) => {
+        if (query.trim().toLowerCase() === account.id.toLowerCase()) {
+            return 100;
+        }
+        const queryWords = AccountResolver.tokenize(query);
+        if (queryWords.length === 0) {
+            return 0;
+        }
+        const names = [account.name, ...(account.aliases || [])];
+        const nameScore = Math.max(...names.map(name => AccountResolver.scoreText(queryWords, name)));
+        const phrase = queryWords.join(' ');
+        const typeWords = [account.type, ...(AccountResolver.typeKeywords[account.type] || [])];
+        const typeScore = typeWords.some(word => AccountResolver.tokenize(word).join(' ') === phrase) ? 60 : 0;
+        return Math.max(nameScore, typeScore);
+    },
+
+    /**
+     * Resolves `query` against `accounts`. Returns one of:
+     *   { status: 'resolved', account, score }
+     *   { status: 'ambiguous', candidates: [{ id, name, type, score }] }  (best first)
+     *   { status: 'not_found', candidates: [] }
+     */
+    resolve: (query, accounts) => {
+        // "my account" names no particular account: every account is a candidate
+        if (AccountResolver.tokenize(query).length === 0 && !accounts.some(account => account.id === query.trim())) {
+            return { status: 'ambiguous', candidates: accounts.map(({ id, name, type }) => ({ id, name, type, score: 0 })) };
+        }
+        const scored = accounts
+            .map(account => ({ account, score: AccountResolver.scoreAccount(query, account) }))
+            .filter(entry => entry.score >= AccountResolver.minScore)
+            .sort((a, b) => b.score - a.score);
+        Logger.debug('Account Resolver', `"${query}" scored:`, scored.map(entry => `${entry.account.name}=${entry.score}`));
+
+        if (scored.length === 0) {
+            return { status: 'not_found', candidates: [] };
+        }
+        const [best, runnerUp] = scored;
+        if (!runnerUp || best.score - runnerUp.score >= AccountResolver.margin) {
+            return { status: 'resolved', account: best.account, score: best.score };
+        }
+        const candidates = scored
+            .filter(entry => best.score - entry.score < AccountResolver.margin)
+            .map(({ account, score }) => ({ id: account.id, name: account.name, type: account.type, score }));
+        return { status: 'ambiguous', candidates };
+    },
+
+    /**
+     * Tool result for a query that did not resolve to exactly one account.
+     * `field` names the argument (e.g. 'fromAccount') when a tool takes several accounts.
+     */
+    failureResult: (query, resolution, field) => {
+        const label = field ? `'${query}' (${field})` : `'${query}'`;
+        if (resolution.status === 'ambiguous') {
+            const names = resolution.candidates.map(candidate => candidate.name).join(', ');
+            return {
+                success: false,
+                error: 'ambiguous_account',
+                field,
+                candidates: resolution.candidates.map(({ id, name, type }) => ({ id, name, type })),
+                message: `Account ${label} matches more than one account: ${names}. Ask the user which one they mean; do not guess.`
+            };
+        }
+        return {
+            success: false,
+            error: 'account_not_found',
+            field,
+            message: `Account ${label} not found. Call getAccountList to see the user's accounts.`
+        };
+    }
+};
+
+window.AccountResolver = AccountResolver;
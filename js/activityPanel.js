@@ -0,0 +1,79 @@
+/**
+ * activityPanel.js
+ * ----------------
+ * "Agent Activity" panel: an in-page viewer for the audit log.
+ * Lists tool invocations newest first, filtered by tool, outcome, conversation and free text,
+ * with each record's arguments and result one click away. The filtered records can be
+ * exported as JSON or CSV. The panel re-renders whenever AuditLog records a call or the
+ * active conversation changes.
+ */
+
+const ActivityPanel = {
+    init: () => {
+        Logger.debug('Activity Panel', 'Initializing Agent Activity panel');
+        ['activity-tool-filter', 'activity-outcome-filter', 'activity-session-filter'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => ActivityPanel.render());
+        });
+        document.getElementById('activity-search').addEventListener('input', () => ActivityPanel.render());
+        document.getElementById('activity-export-json-btn').addEventListener('click', () => AuditLog.download(ActivityPanel.filteredEntries(), 'json'));
+        document.getElementById('activity-export-csv-btn').addEventListener('click', () => AuditLog.download(ActivityPanel.filteredEntries(), 'csv'));
+        AuditLog.events.addEventListener('record', () => ActivityPanel.render());
+        AuditLog.events.addEventListener('sessionchanged', () => ActivityPanel.render());
+        ActivityPanel.render();
+    },
+
+    // Reads the filter controls into an AuditLog.query() filter
+    currentFilter: () => ({
+        toolName: document.getElementById('activity-tool-filter').value,
+        outcome: document.getElementById('activity-outcome-filter').value,
+        sessionId: document.getElementById('activity-session-filter').checked ? AuditLog.sessionId : null,
+        text: document.getElementById('activity-search').value.trim()
+    }),
+
+    filteredEntries: () => AuditLog.query(ActivityPanel.currentFilter()),
+
+    // Keeps the tool filter in sync with the tools seen in the log
+    renderToolOptions: () => {
+        const select = document.getElementById('activity-tool-filter');
+        const selected = select.value;
+        const toolNames = [...new Set(AuditLog.entries.map(entry => entry.toolName))].sort();
+        select.innerHTML = '<option value="">All tools</option>';
+        toolNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === selected;
+            select.appendChild(option);
+        });
+    },
+
+    render: () => {
+        ActivityPanel.renderToolOptions();
+        const entries = ActivityPanel.filteredEntries();
+        const listEl = document.getElementById('activity-list');
+        listEl.innerHTML = '';
+        document.getElementById('activity-count').textContent =
+            `${entries.length} of ${AuditLog.entries.length} record(s)`;
+
+        if (entries.length === 0) {
+            listEl.innerHTML = '<div class="data-status">No agent activity matches these filters.</div>';
+            return;
+        }
+
+        entries.forEach(entry => {
+            const item = document.createElement('details');
+            item.className = `activity-item outcome-${entry.outcome}`;
+            const summary = document.createElement('summary');
+            const time = new Date(entry.timestamp).toLocaleString();
+            summary.textContent = `${time} · ${entry.toolName} · ${entry.outcome.replace(/_/g, ' ')}`
+                + (entry.confirmation !== 'not_required' ? ` · confirmation: ${entry.confirmation.replace(/_/g, ' ')}` : '')
+                + ` · ${entry.durationMs} ms`;
+            const details = document.createElement('pre');
+            details.textContent = JSON.stringify({ sessionId: entry.sessionId, arguments: entry.arguments, result: entry.result }, null, 2);
+            item.append(summary, details);
+            listEl.appendChild(item);
+        });
+    }
+};
+
+window.ActivityPanel = ActivityPanel;
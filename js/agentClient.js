@@ -7,18 +7,20 @@
  */
 class AgentClient {
     constructor(mockAgent) {
-        console.log('🤖 [Agent Client] Initializing AI Agent Client for WebMCP demo');
-        console.log('🤖 [Agent Client] This orchestrates the entire human-AI-web interaction flow');
+        Logger.debug('Agent Client', 'Initializing AI Agent Client for WebMCP demo');
         
         this.agent = mockAgent;
         this.llmClient = new LLMClient(window.Config);
         this.promptInput = document.getElementById('ai-user-prompt');
         this.sendButton = document.getElementById('ai-send-btn');
+        this.stopButton = document.getElementById('ai-stop-btn');
         this.chatHistory = document.getElementById('ai-chat-history');
+        this.sessionSelect = document.getElementById('session-select');
         this.isProcessing = false;
 
-        console.log('🎯 [Agent Client] Setting up UI event listeners for chat interaction');
+        Logger.debug('Agent Client', 'Setting up UI event listeners for chat interaction');
         this.sendButton.addEventListener('click', () => this.handleSend());
+        this.stopButton.addEventListener('click', () => this.stop());
         this.promptInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -26,142 +28,395 @@ class AgentClient {
             }
         });
         
-        console.log('✅ [Agent Client] Agent client initialized successfully');
+        // Keep the LLM's view of the tools in sync as the page registers/unregisters them
+        if (typeof this.agent.addEventListener === 'function') {
+            this.agent.addEventListener('toolschanged', (event) => this.handleToolsChanged(event.detail));
+        }
+
+        this.initSessions();
+        
+        Logger.debug('Agent Client', 'Agent client initialized successfully');
+    }
+
+    /**
+     * Session persistence: restores the last active conversation and wires up the session switcher
+     */
+    initSessions() {
+        Logger.debug('Sessions', 'Restoring chat session from local storage');
+        this.greetingText = this.chatHistory.querySelector('.agent-message')?.textContent || '';
+        this.sessionStore = new SessionStore(window.Config);
+
+        const session = this.sessionStore.getActiveSession() || this.createSession();
+        this.restoreSession(session);
+
+        this.sessionSelect.addEventListener('change', () => this.switchSession(this.sessionSelect.value));
+        document.getElementById('session-new-btn').addEventListener('click', () => this.startNewSession());
+        document.getElementById('session-rename-btn').addEventListener('click', () => this.renameActiveSession());
+        document.getElementById('session-delete-btn').addEventListener('click', () => this.deleteActiveSession());
+        document.getElementById('session-permissions-btn').addEventListener('click', () => this.resetPermissions());
+
+        // Record mode: offer the recorded cassette as a download
+        const cassetteButton = document.getElementById('cassette-download-btn');
+        if (this.llmClient.recorder.mode === 'record') {
+            cassetteButton.style.display = '';
+            cassetteButton.addEventListener('click', () => this.llmClient.recorder.download());
+        }
+
+        // Save whenever bubbles are added, including app-initiated messages (e.g. transfer confirmations)
+        new MutationObserver(() => this.saveSession()).observe(this.chatHistory, { childList: true });
+    }
+
+    createSession() {
+        return this.sessionStore.createSession({
+            provider: window.Config.llm.provider,
+            model: window.Config.llm.model
+        });
+    }
+
+    // Replaces the chat UI and LLM history with a saved session
+    restoreSession(session) {
+        Logger.debug('Sessions', `Restoring session "${session.title}" (${session.messages.length} messages)`);
+        this.activeSessionId = session.id;
+        this.llmClient.conversationHistory = session.history.slice();
+        this.llmClient.conversationSummary = session.summary || null;
+        // Scopes granted through the consent prompt belong to this conversation only
+        PermissionPolicy.useSession(session.consent, consent => this.sessionStore.updateSession(session.id, { consent }));
+        AuditLog.setSession(session.id);
+        this.chatHistory.innerHTML = '';
+        if (session.messages.length === 0) {
+            this.addMessage(this.greetingText, 'agent');
+        } else {
+            session.messages.forEach(({ text, sender }) => this.addMessage(text, sender));
+        }
+        this.renderSessionSelect();
+    }
+
+    // Snapshots the rendered bubbles and LLM history into the active session
+    saveSession() {
+        if (!this.activeSessionId) {
+            return;
+        }
+        const messages = Array.from(this.chatHistory.querySelectorAll('.message:not(.typing)')).map(el => ({
+            sender: el.classList.contains('user-message') ? 'user' : 'agent',
+            text: el.textContent
+        }));
+        const session = this.sessionStore.getSession(this.activeSessionId);
+        const changes = {
+            history: this.llmClient.conversationHistory.slice(),
+            summary: this.llmClient.conversationSummary,
+            messages,
+            messageCount: messages.length
+        };
+        // Name new conversations after their first question
+        const firstPrompt = messages.find(message => message.sender === 'user');
+        if (session && session.title === 'New conversation' && firstPrompt) {
+            changes.title = firstPrompt.text.length > 40 ? `${firstPrompt.text.slice(0, 40)}…` : firstPrompt.text;
+        }
+        this.sessionStore.updateSession(this.activeSessionId, changes);
+        if (changes.title) {
+            this.renderSessionSelect();
+        }
+    }
+
+    renderSessionSelect() {
+        this.sessionSelect.innerHTML = '';
+        this.sessionStore.listSessions().forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = session.title;
+            option.selected = session.id === this.activeSessionId;
+            this.sessionSelect.appendChild(option);
+        });
+    }
+
+    switchSession(sessionId) {
+        if (this.isProcessing) {
+            Logger.debug('Sessions', 'Cannot switch sessions while a request is in progress');
+            this.renderSessionSelect();
+            return;
+        }
+        this.saveSession();
+        this.restoreSession(this.sessionStore.setActiveSession(sessionId));
+    }
+
+    startNewSession() {
+        if (this.isProcessing) {
+            return;
+        }
+        this.saveSession();
+        Logger.info('Sessions', 'Starting a new conversation');
+        this.restoreSession(this.createSession());
     }
 
-    // Adds a message to the chat UI
+    renameActiveSession() {
+        const session = this.sessionStore.getSession(this.activeSessionId);
+        const title = window.prompt('Rename conversation:', session.title);
+        if (title && title.trim()) {
+            this.sessionStore.renameSession(session.id, title.trim());
+            this.renderSessionSelect();
+        }
+    }
+
+    deleteActiveSession() {
+        if (this.isProcessing) {
+            return;
+        }
+        const session = this.sessionStore.getSession(this.activeSessionId);
+        if (!window.confirm(`Delete "${session.title}"? This cannot be undone.`)) {
+            return;
+        }
+        // Clear the active id first so the deleted session is not re-saved while the UI resets
+        this.activeSessionId = null;
+        this.sessionStore.deleteSession(session.id);
+        this.restoreSession(this.sessionStore.getActiveSession() || this.createSession());
+    }
+
+    // Revokes the scopes granted in this conversation; the next tool call asks again
+    resetPermissions() {
+        PermissionPolicy.resetConsent();
+        this.addMessage('Access granted to the assistant in this conversation has been reset.', 'agent');
+    }
+
+    // Reacts to window.agent 'toolschanged' events
+    handleToolsChanged({ added, removed, tools }) {
+        Logger.debug('Agent Client', 'WebMCP tools changed - added:', added, 'removed:', removed);
+        Logger.debug('Agent Client', 'Tools now available:', tools);
+        this.llmClient.updateTools(this.agent.tools);
+    }
+
+    // Adds a message to the chat UI and returns its bubble element
     addMessage(text, sender) {
-        console.log(`💬 [Chat UI] Adding ${sender} message to chat interface`);
+        Logger.debug('Chat UI', `Adding ${sender} message to chat interface`);
         const msgDiv = document.createElement('div');
         msgDiv.className = `message ${sender}-message`;
         msgDiv.textContent = text;
         this.chatHistory.appendChild(msgDiv);
         this.chatHistory.scrollTop = this.chatHistory.scrollHeight;
-        console.log(`✅ [Chat UI] Message displayed and chat scrolled to bottom`);
+        Logger.debug('Chat UI', `Message displayed and chat scrolled to bottom`);
+        return msgDiv;
+    }
+
+    // Appends a streamed text delta to the current agent bubble, creating it on the first delta
+    appendStreamDelta(delta) {
+        if (!this.streamingBubble) {
+            Logger.debug('Chat UI', 'First streamed token received - replacing typing indicator with live message');
+            this.removeTypingIndicator('typing-indicator');
+            this.streamingBubble = this.addMessage('', 'agent');
+        }
+        this.streamingBubble.textContent += delta;
+        this.chatHistory.scrollTop = this.chatHistory.scrollHeight;
     }
 
     // Handles the user clicking "Send"
     async handleSend() {
         if (this.isProcessing) {
-            console.log('⚠️ [User Input] Ignoring user input - already processing previous request');
+            Logger.debug('User Input', 'Ignoring user input - already processing previous request');
             return;
         }
         
         const prompt = this.promptInput.value.trim();
         if (!prompt) {
-            console.log('⚠️ [User Input] Empty prompt - no action taken');
+            Logger.debug('User Input', 'Empty prompt - no action taken');
             return;
         }
 
-        console.log('🚀 [User Input] Processing new user request:', prompt);
-        console.log('🚀 [User Input] Starting WebMCP workflow: User → AI → WebMCP Tools → Fidelity App → UI');
+        // Check the key before anything is sent; the prompt stays in the input for after it is set
+        const keyProblem = window.Config.checkApiKey();
+        if (keyProblem) {
+            Logger.warn('User Input', 'Not sending - API key missing:', keyProblem);
+            this.addMessage(keyProblem, 'agent').classList.add('setup-error');
+            ApiKeyDialog.open(keyProblem);
+            return;
+        }
+
+        Logger.info('User Input', 'Processing new user request:', prompt);
+        Logger.debug('User Input', 'Starting WebMCP workflow: User → AI → WebMCP Tools → Fidelity App → UI');
         
         this.isProcessing = true;
+        // Aborted by the Stop button: cancels the request in flight and the rest of the agent loop
+        this.abortController = new AbortController();
         this.addMessage(prompt, 'user');
         this.promptInput.value = '';
         this.updateSendButton(false);
 
+        // Show typing indicator
+        Logger.debug('Chat UI', 'Displaying AI thinking indicator');
+        const typingId = this.showTypingIndicator();
         try {
-            // Show typing indicator
-            console.log('⏳ [Chat UI] Displaying AI thinking indicator');
-            const typingId = this.showTypingIndicator();
-
             // Process with real LLM
-            console.log('🤖 [Agent Processing] Sending user prompt to LLM for analysis and potential tool execution');
+            Logger.debug('Agent Processing', 'Sending user prompt to LLM for analysis and potential tool execution');
             const response = await this.processUserPromptWithLLM(prompt);
 
             // Remove typing indicator
-            console.log('⏳ [Chat UI] Removing AI thinking indicator - processing complete');
+            Logger.debug('Chat UI', 'Removing AI thinking indicator - processing complete');
             this.removeTypingIndicator(typingId);
 
-            // Display the agent's final message to the user
-            if (response.message) {
-                console.log('💬 [Agent Response] Displaying AI response to user:', response.message);
-                this.addMessage(response.message, 'agent');
+            // Display the agent's final message to the user (streamed answers are already on screen)
+            if (response.message && !response.streamed) {
+                Logger.debug('Agent Response', 'Displaying AI response to user:', response.message);
+                const bubble = this.addMessage(response.message, 'agent');
+                if (response.errorKind === 'auth') {
+                    bubble.classList.add('setup-error');
+                }
             }
         } catch (error) {
-            console.error('❌ [Agent Processing] Error during user prompt processing:', error);
-            console.error('❌ [Agent Processing] This could be LLM API, WebMCP tool, or UI error');
+            Logger.error('Agent Processing', 'Error during user prompt processing:', error);
+            Logger.error('Agent Processing', 'This could be LLM API, WebMCP tool, or UI error');
+            this.removeTypingIndicator(typingId);
             this.addMessage('Sorry, I encountered an error. Please try again.', 'agent');
         } finally {
-            console.log('🔄 [Agent Processing] Request processing complete - resetting UI state');
+            Logger.debug('Agent Processing', 'Request processing complete - resetting UI state');
             this.isProcessing = false;
+            this.abortController = null;
             this.updateSendButton(true);
+            this.saveSession();
         }
     }
 
+    // Handles the user clicking "Stop" while a request is processing
+    stop() {
+        if (!this.abortController) {
+            return;
+        }
+        Logger.info('User Input', 'Stop requested - cancelling the current request');
+        this.abortController.abort();
+        this.stopButton.disabled = true;
+    }
+
     /**
      * REAL LLM Integration with Function Calling
      * This function uses actual LLM APIs to understand user requests and call appropriate tools.
      */
     async processUserPromptWithLLM(prompt) {
         try {
-            console.log('🔄 [LLM Processing] Starting LLM-powered prompt analysis');
+            Logger.debug('LLM Processing', 'Starting LLM-powered prompt analysis');
             // Get available tools from the WebMCP agent
             const availableTools = this.agent.tools;
-            console.log('🔧 [LLM Processing] Available WebMCP tools for LLM:', availableTools.size);
+            Logger.debug('LLM Processing', 'Available WebMCP tools for LLM:', availableTools.size);
 
             // Send prompt to LLM with available tools
-            console.log('🤖 [LLM Processing] Sending prompt and tools to LLM for function calling decision');
-            const llmResponse = await this.llmClient.generateResponse(prompt, availableTools);
-            console.log('🤖 [LLM Processing] LLM response type:', llmResponse.type);
+            Logger.debug('LLM Processing', 'Sending prompt and tools to LLM for function calling decision');
+            // Each LLM request streams into its own bubble
+            const signal = this.abortController.signal;
+            const streamOptions = { onTextDelta: (delta) => this.appendStreamDelta(delta), signal };
+            this.streamingBubble = null;
+            let llmResponse = await this.llmClient.generateResponse(prompt, availableTools, streamOptions);
+            Logger.debug('LLM Processing', 'LLM response type:', llmResponse.type);
 
-            switch (llmResponse.type) {
-                case 'function_call':
-                    console.log('⚡ [Function Call] LLM decided to execute WebMCP tool:', llmResponse.functionName);
-                    console.log('⚡ [Function Call] Tool arguments:', llmResponse.arguments);
-                    
-                    // LLM wants to call a function
-                    const functionResult = await this.agent.invokeTool(
-                        llmResponse.functionName, 
-                        llmResponse.arguments
-                    );
-                    console.log('✅ [Function Call] WebMCP tool execution completed');
-
-                    // Send function result back to LLM for final response
-                    if (llmResponse.toolCallId) {
-                        console.log('🔄 [Function Call] Sending tool result back to LLM for final user response');
-                        const finalResponse = await this.llmClient.handleFunctionResult(
-                            llmResponse.toolCallId,
-                            llmResponse.functionName,
-                            functionResult
-                        );
-                        console.log('✅ [Function Call] Received final LLM response based on tool result');
-                        return finalResponse;
-                    } else {
-                        // Format the result as a user-friendly message
-                        console.log('📝 [Function Call] Formatting tool result for user display (legacy mode)');
-                        return this.formatFunctionResult(llmResponse.functionName, functionResult);
-                    }
+            // Agent loop: keep executing tool calls until the LLM answers in text
+            const maxSteps = window.Config.llm.maxAgentSteps || 5;
+            let steps = 0;
+            while (llmResponse.type === 'function_call') {
+                const toolCalls = llmResponse.toolCalls || [llmResponse];
 
+                if (steps >= maxSteps) {
+                    Logger.error('Agent Loop', `Step limit of ${maxSteps} reached without a final answer - stopping`);
+                    // Close out the pending calls so the conversation history stays valid
+                    this.llmClient.recordToolResults(toolCalls.map(call => ({
+                        toolCallId: call.toolCallId,
+                        functionName: call.functionName,
+                        result: { success: false, message: 'Not executed: agent step limit reached.' }
+                    })));
+                    return { message: `I stopped after ${maxSteps} steps without finishing your request. Please try breaking it into smaller questions.` };
+                }
+                if (signal.aborted) {
+                    Logger.info('Agent Loop', 'Stopped by the user before running the tool calls');
+                    this.llmClient.recordToolResults(toolCalls.map(call => ({
+                        toolCallId: call.toolCallId,
+                        functionName: call.functionName,
+                        result: { success: false, message: 'Not executed: stopped by the user.' }
+                    })));
+                    return { message: 'Stopped.' };
+                }
+                steps++;
+
+                Logger.info('Agent Loop', `Step ${steps}/${maxSteps}: executing ${toolCalls.length} tool call(s):`, toolCalls.map(call => call.functionName));
+                const results = await this.executeToolCalls(toolCalls, signal);
+                Logger.debug('Function Call', 'WebMCP tool execution completed');
+
+                // Tools that already ran keep their results; only the follow-up request is skipped
+                if (signal.aborted) {
+                    Logger.info('Agent Loop', 'Stopped by the user after the tool calls');
+                    this.llmClient.recordToolResults(results);
+                    return { message: 'Stopped.' };
+                }
+
+                if (toolCalls.some(call => !call.toolCallId)) {
+                    // Format the result as a user-friendly message
+                    Logger.debug('Function Call', 'Formatting tool result for user display (legacy mode)');
+                    return this.formatFunctionResult(results[0].functionName, results[0].result);
+                }
+
+                // Send all results back to LLM for the next step
+                Logger.debug('Function Call', 'Sending tool results back to LLM');
+                this.streamingBubble = null;
+                llmResponse = await this.llmClient.submitToolResults(results, streamOptions);
+                Logger.debug('Agent Loop', 'LLM follow-up response type:', llmResponse.type);
+            }
+
+            switch (llmResponse.type) {
                 case 'text':
-                    console.log('💬 [LLM Response] LLM provided direct text response (no tools needed)');
+                    Logger.debug('LLM Response', 'LLM provided direct text response (no tools needed)');
                     // Direct text response from LLM
-                    return { message: llmResponse.message };
+                    return { message: llmResponse.message, streamed: llmResponse.streamed };
 
                 case 'error':
-                    console.log('❌ [LLM Response] LLM reported error condition');
+                    Logger.debug('LLM Response', 'LLM reported error condition');
+                    return { message: llmResponse.message, errorKind: llmResponse.errorKind };
+
+                case 'cancelled':
                     return { message: llmResponse.message };
 
                 default:
-                    console.log('⚠️ [LLM Response] Unknown response type, using fallback message');
+                    Logger.debug('LLM Response', 'Unknown response type, using fallback message');
                     return { message: "I'm not sure how to help with that. Please try asking about your accounts, balances, or transfers." };
             }
 
         } catch (error) {
-            console.error("❌ [LLM Processing] Error during LLM prompt processing:", error);
+            Logger.error('LLM Processing', "Error during LLM prompt processing:", error);
             
             // Fallback to mock behavior if enabled
             if (window.Config.development.enableMockMode) {
-                console.log('🧪 [LLM Processing] Falling back to mock mode due to error');
+                Logger.debug('LLM Processing', 'Falling back to mock mode due to error');
                 return await this.processUserPromptMock(prompt);
             }
+
+            // Failures of follow-up requests in the agent loop (and Stop) get a specific message
+            if (error instanceof LLMError) {
+                const failure = this.llmClient.errorResponse(error);
+                return { message: failure.message, errorKind: failure.errorKind };
+            }
             
-            console.log('❌ [LLM Processing] Returning error message to user');
+            Logger.debug('LLM Processing', 'Returning error message to user');
             return { message: "I encountered an error processing your request. Please try again." };
         }
     }
 
+    /**
+     * Executes all tool calls from one LLM turn. Calls returned together in a single
+     * turn are independent of each other (dependent calls arrive in later turns),
+     * so they run in parallel. Aborting `signal` declines any confirmation still waiting for the user.
+     */
+    async executeToolCalls(toolCalls, signal) {
+        return Promise.all(toolCalls.map(async call => {
+            if (call.parseError) {
+                Logger.error('Function Call', `Skipping ${call.functionName} - arguments were not valid JSON`);
+                return {
+                    toolCallId: call.toolCallId,
+                    functionName: call.functionName,
+                    result: { success: false, message: `Invalid JSON arguments: ${call.parseError}` }
+                };
+            }
+
+            Logger.debug('Function Call', 'LLM decided to execute WebMCP tool:', call.functionName);
+            Logger.debug('Function Call', 'Tool arguments:', call.arguments);
+            const recording = this.llmClient.recorder.startToolInvocation(call.functionName, call.arguments);
+            const result = await this.agent.invokeTool(call.functionName, call.arguments, { signal });
+            this.llmClient.recorder.finishToolInvocation(recording, result);
+            return { toolCallId: call.toolCallId, functionName: call.functionName, result };
+        }));
+    }
+
     /**
      * Format function results into user-friendly messages
      */
@@ -199,13 +454,16 @@ class AgentClient {
      * UI Helper Methods
      */
     updateSendButton(enabled) {
-        console.log(`🔘 [UI State] ${enabled ? 'Enabling' : 'Disabling'} send button`);
+        Logger.debug('UI State', `${enabled ? 'Enabling' : 'Disabling'} send button`);
         this.sendButton.disabled = !enabled;
         this.sendButton.textContent = enabled ? 'Send' : 'Processing...';
+        // Stop is offered only while a request is processing
+        this.stopButton.style.display = enabled ? 'none' : '';
+        this.stopButton.disabled = false;
     }
 
     showTypingIndicator() {
-        console.log('⏳ [UI Animation] Showing AI typing indicator');
+        Logger.debug('UI Animation', 'Showing AI typing indicator');
         const typingDiv = document.createElement('div');
         typingDiv.className = 'message agent-message typing';
         typingDiv.innerHTML = '<span class="typing-dots">●●●</span>';
@@ -216,7 +474,7 @@ class AgentClient {
     }
 
     removeTypingIndicator(typingId) {
-        console.log('⏳ [UI Animation] Removing AI typing indicator');
+        Logger.debug('UI Animation', 'Removing AI typing indicator');
         const typingElement = document.getElementById(typingId);
         if (typingElement) {
             typingElement.remove();
@@ -0,0 +1,128 @@
+/**
+ * apiKeyDialog.js
+ * ---------------
+ * "API key settings" dialog: enter, unlock or forget the key of the active LLM provider.
+ * Keys are handed to ApiKeyStore (session or encrypted storage); in proxy mode the dialog only
+ * explains that the local relay holds the key. The header button shows whether a key is ready.
+ */
+
+const ApiKeyDialog = {
+    init: () => {
+        Logger.debug('API Keys', 'Initializing API key settings dialog');
+        document.getElementById('api-key-settings-btn').addEventListener('click', () => ApiKeyDialog.open());
+        document.getElementById('api-key-cancel-btn').addEventListener('click', () => ApiKeyDialog.close());
+        document.getElementById('api-key-forget-btn').addEventListener('click', () => ApiKeyDialog.forget());
+        document.getElementById('api-key-storage').addEventListener('change', () => ApiKeyDialog.renderPassphrase());
+        document.getElementById('api-key-form').addEventListener('submit', (event) => {
+            event.preventDefault();
+            ApiKeyDialog.save();
+        });
+        // A different provider needs its own key
+        SettingsPanel.events.addEventListener('change', () => ApiKeyDialog.renderButton());
+        ApiKeyDialog.renderButton();
+    },
+
+    provider: () => window.Config.llm.provider,
+
+    // Opens the dialog, optionally with a message explaining why (e.g. no key before the first request)
+    open: (message) => {
+        const provider = ApiKeyDialog.provider();
+        const proxy = { ...window.Config.apiKeys.proxy, enabled: window.Config.usesProxy(provider) };
+        document.getElementById('api-key-provider').textContent = provider;
+        document.getElementById('api-key-input').value = '';
+        document.getElementById('api-key-passphrase').value = '';
+        document.getElementById('api-key-storage').value =
+            ApiKeyStore.storageOf(provider) || window.Config.apiKeys.storage;
+
+        const proxyNote = document.getElementById('api-key-proxy-note');
+        proxyNote.style.display = proxy.enabled ? '' : 'none';
+        proxyNote.textContent = proxy.enabled
+            ? `Proxy mode is on: requests go through ${proxy.url}, which adds the key on the server. No key is needed here.`
+            : '';
+        document.getElementById('api-key-fields').style.display = proxy.enabled ? 'none' : '';
+        document.getElementById('api-key-save-btn').style.display = proxy.enabled ? 'none' : '';
+
+        ApiKeyDialog.renderStatus();
+        ApiKeyDialog.renderPassphrase();
+        ApiKeyDialog.showError(message || '');
+        document.getElementById('api-key-dialog').style.display = 'flex';
+        document.getElementById(proxy.enabled ? 'api-key-cancel-btn' : 'api-key-input').focus();
+    },
+
+    close: () => {
+        document.getElementById('api-key-input').value = '';
+        document.getElementById('api-key-passphrase').value = '';
+        document.getElementById('api-key-dialog').style.display = 'none';
+    },
+
+    showError: (message) => {
+        document.getElementById('api-key-error').textContent = message;
+    },
+
+    statusText: (provider) => {
+        if (window.Config.usesProxy(provider)) return 'added by the local proxy';
+        if (provider === 'scripted') return 'not needed (scripted provider)';
+        if (ApiKeyStore.isLocked(provider)) return 'saved, encrypted (locked)';
+        const storage = ApiKeyStore.storageOf(provider);
+        if (storage === 'session') return 'set for this tab';
+        if (storage === 'encrypted') return 'saved, encrypted (unlocked)';
+        return (window.Config.providers[provider] || {}).local ? 'optional for local servers, not set' : 'not set';
+    },
+
+    renderStatus: () => {
+        document.getElementById('api-key-status').textContent = ApiKeyDialog.statusText(ApiKeyDialog.provider());
+        ApiKeyDialog.renderButton();
+    },
+
+    // Marks the header button while the active provider has no usable key
+    renderButton: () => {
+        const button = document.getElementById('api-key-settings-btn');
+        const missing = Boolean(window.Config.checkApiKey());
+        button.classList.toggle('missing', missing);
+        button.textContent = missing ? 'API key ⚠' : 'API key';
+    },
+
+    // The passphrase is used to encrypt a new key, or to unlock the saved ones when the key field is empty
+    renderPassphrase: () => {
+        const encrypted = document.getElementById('api-key-storage').value === 'encrypted';
+        document.getElementById('api-key-passphrase').style.display = encrypted ? '' : 'none';
+        document.getElementById('api-key-passphrase-label').style.display = encrypted ? '' : 'none';
+        if (encrypted && !ApiKeyStore.encryptionAvailable()) {
+            ApiKeyDialog.showError('Encrypted storage needs Web Crypto - open the app from http://localhost or https.');
+        }
+    },
+
+    save: async () => {
+        const provider = ApiKeyDialog.provider();
+        const apiKey = document.getElementById('api-key-input').value.trim();
+        const encrypted = document.getElementById('api-key-storage').value === 'encrypted';
+        const passphrase = document.getElementById('api-key-passphrase').value;
+
+        try {
+            if (encrypted && !passphrase) {
+                throw new Error('Enter a passphrase for encrypted storage.');
+            }
+            if (encrypted && !apiKey && ApiKeyStore.isLocked(provider)) {
+                await ApiKeyStore.unlock(passphrase);
+            } else {
+                await ApiKeyStore.save(provider, apiKey, encrypted ? passphrase : null);
+            }
+        } catch (error) {
+            Logger.warn('API Keys', 'Could not save the API key:', error.message);
+            ApiKeyDialog.showError(error.message);
+            return;
+        }
+        ApiKeyDialog.renderStatus();
+        ApiKeyDialog.close();
+    },
+
+    forget: () => {
+        const provider = ApiKeyDialog.provider();
+        ApiKeyStore.forget(provider);
+        Logger.info('API Keys', `Forgot the ${provider} API key`);
+        ApiKeyDialog.renderStatus();
+        ApiKeyDialog.showError('');
+    }
+};
+
+window.ApiKeyDialog = ApiKeyDialog;
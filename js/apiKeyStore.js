@@ -0,0 +1,141 @@
+/**
+ * apiKeyStore.js
+ * --------------
+ * Keeps the user's LLM API keys out of the source tree. Keys are entered in the
+ * "API key" settings dialog and stored per provider in one of two places:
+ *   - session storage: cleared when the tab is closed
+ *   - encrypted storage: AES-GCM with a key derived from a passphrase (PBKDF2), kept in
+ *     localStorage; the passphrase unlocks the keys into memory for the current page only
+ * With `Config.apiKeys.proxy.enabled`, no key is needed in the browser at all: the local relay
+ * (server/llmProxyServer.js) adds it server-side.
+ */
+
+const ApiKeyStore = {
+    // Keys decrypted with the passphrase, for this page only
+    unlocked: {},
+
+    settings: () => window.Config.apiKeys,
+
+    readJson: (storage, key) => {
+        try {
+            return JSON.parse(storage.getItem(key) || '{}');
+        } catch (error) {
+            return {};
+        }
+    },
+
+    sessionKeys: () => ApiKeyStore.readJson(window.sessionStorage, ApiKeyStore.settings().sessionStorageKey),
+    encryptedKeys: () => ApiKeyStore.readJson(window.localStorage, ApiKeyStore.settings().encryptedStorageKey),
+
+    // Usable key for a provider, or null
+    get: (provider) => ApiKeyStore.sessionKeys()[provider] || ApiKeyStore.unlocked[provider] || null,
+
+    // Where the provider's key is kept: 'session', 'encrypted' or null
+    storageOf: (provider) => {
+        if (ApiKeyStore.sessionKeys()[provider]) return 'session';
+        if (ApiKeyStore.encryptedKeys()[provider]) return 'encrypted';
+        return null;
+    },
+
+    // An encrypted key exists but has not been unlocked on this page
+    isLocked: (provider) => !ApiKeyStore.get(provider) && Boolean(ApiKeyStore.encryptedKeys()[provider]),
+
+    encryptionAvailable: () => Boolean(window.crypto && window.crypto.subtle),
+
+    // Catches obvious paste mistakes before a request is sent; returns a message or null
+    validate: (provider, apiKey) => {
+        if (!apiKey) {
+            return 'Enter an API key.';
+        }
+        if (/\s/.test(apiKey)) {
+            return 'The API key must not contain spaces or line breaks.';
+        }
+        const prefixes = { openai: 'sk-', anthropic: 'sk-ant-' };
+        if (prefixes[provider] && !apiKey.startsWith(prefixes[provider])) {
+            return `${provider} API keys start with "${prefixes[provider]}".`;
+        }
+        return null;
+    },
+
+    /**
+     * Saves a key for a provider, replacing any key it had in either storage.
+     * With a passphrase the key is encrypted into localStorage; without one it goes to session storage.
+     */
+    save: async (provider, apiKey, passphrase) => {
+        const problem = ApiKeyStore.validate(provider, apiKey);
+        if (problem) {
+            throw new Error(problem);
+        }
+        // Encrypted before the old key is forgotten, so a WebCrypto failure leaves the old key in place
+        const record = passphrase ? await ApiKeyStore.encrypt(apiKey, passphrase) : null;
+        ApiKeyStore.forget(provider);
+        if (passphrase) {
+            const encrypted = { ...ApiKeyStore.encryptedKeys(), [provider]: record };
+            window.localStorage.setItem(ApiKeyStore.settings().encryptedStorageKey, JSON.stringify(encrypted));
+            ApiKeyStore.unlocked[provider] = apiKey;
+        } else {
+            const keys = { ...ApiKeyStore.sessionKeys(), [provider]: apiKey };
+            window.sessionStorage.setItem(ApiKeyStore.settings().sessionStorageKey, JSON.stringify(keys));
+        }
+        Logger.info('API Keys', `Saved ${provider} API key in ${passphrase ? 'encrypted' : 'session'} storage`);
+    },
+
+    // Decrypts every stored key with the passphrase; rejects if the passphrase is wrong
+    unlock: async (passphrase) => {
+        const entries = Object.entries(ApiKeyStore.encryptedKeys());
+        for (const [provider, record] of entries) {
+            try {
+                ApiKeyStore.unlocked[provider] = await ApiKeyStore.decrypt(record, passphrase);
+            } catch (error) {
+                throw new Error('Wrong passphrase - the saved API keys could not be decrypted.');
+            }
+        }
+        Logger.info('API Keys', `Unlocked ${entries.length} encrypted API key(s)`);
+        return entries.map(([provider]) => provider);
+    },
+
+    forget: (provider) => {
+        const sessionKeys = ApiKeyStore.sessionKeys();
+        const encrypted = ApiKeyStore.encryptedKeys();
+        delete sessionKeys[provider];
+        delete encrypted[provider];
+        delete ApiKeyStore.unlocked[provider];
+        window.sessionStorage.setItem(ApiKeyStore.settings().sessionStorageKey, JSON.stringify(sessionKeys));
+        window.localStorage.setItem(ApiKeyStore.settings().encryptedStorageKey, JSON.stringify(encrypted));
+    },
+
+    deriveKey: async (passphrase, salt) => {
+        const subtle = window.crypto.subtle;
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations: ApiKeyStore.settings().pbkdf2Iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    toBase64: (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes))),
+    fromBase64: (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0)),
+
+    // Returns { salt, iv, data } as base64 strings
+    encrypt: async (plaintext, passphrase) => {
+        if (!ApiKeyStore.encryptionAvailable()) {
+            throw new Error('Encrypted storage needs Web Crypto - open the app from http://localhost or https.');
+        }
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const key = await ApiKeyStore.deriveKey(passphrase, salt);
+        const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+        return { salt: ApiKeyStore.toBase64(salt), iv: ApiKeyStore.toBase64(iv), data: ApiKeyStore.toBase64(data) };
+    },
+
+    decrypt: async ({ salt, iv, data }, passphrase) => {
+        const key = await ApiKeyStore.deriveKey(passphrase, ApiKeyStore.fromBase64(salt));
+        const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: ApiKeyStore.fromBase64(iv) }, key, ApiKeyStore.fromBase64(data));
+        return new TextDecoder().decode(plaintext);
+    }
+};
+
+window.ApiKeyStore = ApiKeyStore;
@@ -0,0 +1,122 @@
+/**
+ * auditLog.js
+ * -----------
+ * Structured audit trail of every `window.agent.invokeTool` call: when it ran, in which chat
+ * session, which tool, the arguments it was given, the result, how long it took and the
+ * confirmation outcome. Records are kept in localStorage (capped at Config.audit.maxEntries)
+ * and can be exported as JSON or CSV to answer "what did the assistant do on my behalf?".
+ */
+
+const AuditLog = {
+    entries: [],
+    sessionId: null,
+
+    // Fires 'record' (new entry as detail) and 'sessionchanged'; the Agent Activity panel listens to both
+    events: new EventTarget(),
+
+    init: () => {
+        try {
+            const raw = window.localStorage.getItem(window.Config.audit.storageKey);
+            AuditLog.entries = raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            Logger.warn('Audit Log', 'Could not read saved audit log - starting empty:', error.message);
+            AuditLog.entries = [];
+        }
+        Logger.debug('Audit Log', 'Loaded', AuditLog.entries.length, 'audit record(s)');
+    },
+
+    persist: () => {
+        try {
+            window.localStorage.setItem(window.Config.audit.storageKey, JSON.stringify(AuditLog.entries));
+        } catch (error) {
+            Logger.error('Audit Log', 'Failed to save audit log:', error.message);
+        }
+    },
+
+    // Chat session that new records are attributed to
+    setSession: (sessionId) => {
+        AuditLog.sessionId = sessionId;
+        AuditLog.events.dispatchEvent(new CustomEvent('sessionchanged', { detail: { sessionId } }));
+    },
+
+    // Classifies a tool result for filtering: success, failure, validation_error, permission_denied, denied, error
+    outcomeOf: (result) => {
+        if (!result || result.success !== false) return 'success';
+        if (result.error === 'validation_error') return 'validation_error';
+        if (result.error === 'permission_denied') return 'permission_denied';
+        if (result.confirmation === 'denied') return 'denied';
+        if (result.error === 'tool_error' || result.error === 'unknown_tool') return 'error';
+        return 'failure';
+    },
+
+    /**
+     * Appends a record for one tool invocation and returns it.
+     * `confirmation` is 'approved', 'denied', 'not_reached' (blocked before the dialog) or 'not_required'.
+     */
+    record: ({ toolName, args, result, startedAt, durationMs, confirmation }) => {
+        const entry = {
+            id: `AUD-${startedAt}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+            timestamp: new Date(startedAt).toISOString(),
+            sessionId: AuditLog.sessionId,
+            toolName,
+            arguments: args,
+            result,
+            outcome: AuditLog.outcomeOf(result),
+            confirmation,
+            durationMs
+        };
+        AuditLog.entries.push(entry);
+        // Drop the oldest records beyond the cap
+        const overflow = AuditLog.entries.length - window.Config.audit.maxEntries;
+        if (overflow > 0) {
+            AuditLog.entries.splice(0, overflow);
+        }
+        AuditLog.persist();
+        Logger.debug('Audit Log', `${entry.toolName} -> ${entry.outcome} (${entry.durationMs} ms)`);
+        AuditLog.events.dispatchEvent(new CustomEvent('record', { detail: entry }));
+        return entry;
+    },
+
+    // Newest first; every filter field is optional
+    query: ({ toolName, outcome, sessionId, text } = {}) => {
+        const needle = text ? text.toLowerCase() : '';
+        return AuditLog.entries
+            .filter(entry => !toolName || entry.toolName === toolName)
+            .filter(entry => !outcome || entry.outcome === outcome)
+            .filter(entry => !sessionId || entry.sessionId === sessionId)
+            .filter(entry => !needle || JSON.stringify(entry).toLowerCase().includes(needle))
+            .reverse();
+    },
+
+    formatJSON: (entries) => JSON.stringify(entries, null, 2),
+
+    // One row per record; arguments and result are embedded as JSON strings.
+    // Cells a spreadsheet would read as a formula (tool names come from the LLM) get a leading '
+    formatCSV: (entries) => {
+        const columns = ['id', 'timestamp', 'sessionId', 'toolName', 'outcome', 'confirmation', 'durationMs', 'arguments', 'result'];
+        const escape = (value) => {
+            const raw = value === undefined || value === null ? ''
+                : typeof value === 'object' ? JSON.stringify(value) : String(value);
+            const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const rows = entries.map(entry => columns.map(column => escape(entry[column])).join(','));
+        return [columns.join(','), ...rows].join('\r\n');
+    },
+
+    // Downloads the given records as webmcp-audit-<time>.json or .csv
+    download: (entries, format) => {
+        const csv = format === 'csv';
+        const blob = new Blob([csv ? AuditLog.formatCSV(entries) : AuditLog.formatJSON(entries)], {
+            type: csv ? 'text/csv' : 'application/json'
+        });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `webmcp-audit-${Date.now()}.${csv ? 'csv' : 'json'}`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        Logger.info('Audit Log', `Exported ${entries.length} record(s) as ${csv ? 'CSV' : 'JSON'}`);
+    }
+};
+
+window.AuditLog = AuditLog;
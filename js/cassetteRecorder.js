@@ -0,0 +1,178 @@
+/**
+ * cassetteRecorder.js
+ * -------------------
+ * Record-and-replay of LLM traffic for regression testing.
+ * In 'record' mode every LLM HTTP request/response pair and every WebMCP tool invocation is
+ * captured into a cassette that can be downloaded as JSON. In 'replay' mode the cassette is
+ * loaded from Config.recording.cassetteUrl, recorded responses are served instead of calling
+ * the API, and any request or tool invocation that no longer matches the recording is flagged.
+ * Request headers are never recorded, so API keys do not end up in cassette files.
+ */
+
+class CassetteRecorder {
+    constructor(config) {
+        this.settings = config.recording;
+        this.mode = this.settings.mode || 'off';
+        this.cassette = { version: 1, recordedAt: new Date().toISOString(), interactions: [], toolInvocations: [] };
+        this.interactionIndex = 0;
+        this.toolIndex = 0;
+        this.mismatches = [];
+        // Recorded response bodies still being read (see settled)
+        this.pendingBodies = [];
+        Logger.info('Cassette', 'Recorder initialized in mode:', this.mode);
+    }
+
+    // Loads the cassette to replay (once)
+    async load() {
+        if (this.mode !== 'replay' || this.loaded) {
+            return;
+        }
+        Logger.debug('Cassette', 'Loading cassette for replay:', this.settings.cassetteUrl);
+        const response = await fetch(this.settings.cassetteUrl);
+        if (!response.ok) {
+            throw new Error(`Could not load cassette from ${this.settings.cassetteUrl}: ${response.status}`);
+        }
+        this.cassette = await response.json();
+        this.loaded = true;
+        Logger.info('Cassette', 'Loaded', this.cassette.interactions.length, 'LLM interaction(s) and', this.cassette.toolInvocations.length, 'tool invocation(s)');
+    }
+
+    /**
+     * Drop-in replacement for fetch() used by the LLM provider calls.
+     * The body of each recorded response is stored as text, so streamed (SSE) responses
+     * replay exactly as they were received.
+     */
+    async fetch(url, init) {
+        const requestBody = init.body ? JSON.parse(init.body) : null;
+
+        if (this.mode === 'replay') {
+            await this.load();
+            const index = this.interactionIndex++;
+            const entry = this.cassette.interactions[index];
+            if (!entry) {
+                this.flag('interaction', index, [{ path: '(request)', message: 'No recorded response left in the cassette.' }]);
+                // Not retried by LLMTransport: another attempt would not find a response either
+                throw new LLMError('request', `Cassette exhausted: no recorded response for LLM request #${index + 1}.`);
+            }
+            const differences = [
+                ...(entry.request.url === url ? [] : [{ path: 'url', recorded: entry.request.url, actual: url }]),
+                ...this.diff(entry.request.body, requestBody, 'body')
+            ];
+            if (differences.length > 0) {
+                this.flag('interaction', index, differences);
+            }
+            Logger.debug('Cassette', `Replaying recorded response #${index + 1} (${entry.response.status})`);
+            return new Response(entry.response.body, {
+                status: entry.response.status,
+                statusText: entry.response.statusText,
+                headers: { 'Content-Type': entry.response.contentType || 'application/json' }
+            });
+        }
+
+        const response = await fetch(url, init);
+        if (this.mode === 'record') {
+            // The entry is added now to keep the request order; its body is read from a clone in the
+            // background, so the caller streams the original as it arrives instead of after it ends
+            const entry = {
+                request: { url, method: init.method, body: requestBody },
+                response: {
+                    status: response.status,
+                    statusText: response.statusText,
+                    contentType: response.headers.get('Content-Type'),
+                    body: null
+                }
+            };
+            this.cassette.interactions.push(entry);
+            const number = this.cassette.interactions.length;
+            this.pendingBodies.push(response.clone().text().then(
+                body => {
+                    entry.response.body = body;
+                    Logger.debug('Cassette', 'Recorded LLM interaction #' + number);
+                },
+                error => Logger.warn('Cassette', `Could not record the response body of LLM interaction #${number}:`, error.message)
+            ));
+        }
+        return response;
+    }
+
+    // Resolves once every recorded response body has been read
+    async settled() {
+        await Promise.all(this.pendingBodies);
+    }
+
+    // Called before a tool runs; returns a handle for finishToolInvocation
+    startToolInvocation(toolName, args) {
+        if (this.mode === 'record') {
+            const entry = { toolName, arguments: args, result: undefined };
+            this.cassette.toolInvocations.push(entry);
+            return entry;
+        }
+        if (this.mode === 'replay') {
+            const index = this.toolIndex++;
+            const recorded = this.cassette.toolInvocations[index];
+            const differences = recorded
+                ? this.diff({ toolName: recorded.toolName, arguments: recorded.arguments }, { toolName, arguments: args }, 'tool')
+                : [{ path: 'tool', message: 'Tool invocation not present in the cassette.', actual: toolName }];
+            if (differences.length > 0) {
+                this.flag('toolInvocation', index, differences);
+            }
+            return { index, recorded };
+        }
+        return null;
+    }
+
+    finishToolInvocation(handle, result) {
+        if (!handle) {
+            return;
+        }
+        if (this.mode === 'record') {
+            handle.result = result;
+        } else if (this.mode === 'replay' && handle.recorded) {
+            const differences = this.diff(handle.recorded.result, result, 'result');
+            if (differences.length > 0) {
+                this.flag('toolInvocation', handle.index, differences);
+            }
+        }
+    }
+
+    // Records and reports a replay mismatch
+    flag(kind, index, differences) {
+        const mismatch = { kind, index, differences };
+        this.mismatches.push(mismatch);
+        Logger.error('Cassette', `Replay mismatch in ${kind} #${index + 1}:`, differences);
+        if (this.settings.strict) {
+            // An LLMError of kind 'request' is not retried: a retry would skip to the next recorded response
+            throw new LLMError('request', `Cassette replay mismatch in ${kind} #${index + 1}: ${differences.map(d => d.path).join(', ')}`);
+        }
+    }
+
+    // Lists the paths at which two JSON values differ (at most 20)
+    diff(recorded, actual, path) {
+        const differences = [];
+        const walk = (a, b, currentPath) => {
+            if (differences.length >= 20) return;
+            if (a && b && typeof a === 'object' && typeof b === 'object' && Array.isArray(a) === Array.isArray(b)) {
+                const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+                keys.forEach(key => walk(a[key], b[key], Array.isArray(a) ? `${currentPath}[${key}]` : `${currentPath}.${key}`));
+            } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+                differences.push({ path: currentPath, recorded: a, actual: b });
+            }
+        };
+        walk(recorded, actual, path);
+        return differences;
+    }
+
+    // Saves the recorded cassette as a JSON file download, including responses still streaming
+    async download() {
+        await this.settled();
+        const blob = new Blob([JSON.stringify(this.cassette, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `webmcp-cassette-${Date.now()}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+        Logger.debug('Cassette', 'Downloaded cassette with', this.cassette.interactions.length, 'interaction(s)');
+    }
+}
+
+window.CassetteRecorder = CassetteRecorder;
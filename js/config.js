@@ -7,67 +7,236 @@
 const Config = {
     // LLM Provider Settings
     llm: {
-        // Choose your provider: 'openai', 'anthropic', 'azure', or 'custom'
+        // Choose your provider: a key of `providers` below ('openai', 'anthropic', 'azure', 'custom'),
+        // or 'scripted' (offline fixtures).
+        // Provider, model, temperature and max tokens can also be changed at runtime in the Model settings panel.
         provider: 'openai',
         
-        // API Configuration
-        apiKey: 'sk-your-api-key-here', // Add your OpenAI API key here
-        baseUrl: 'https://api.openai.com/v1',
+        // API Configuration (keys are never kept in this file - see apiKeys below)
         model: 'gpt-4-turbo-preview', // or 'gpt-3.5-turbo', 'claude-3-sonnet', etc.
         
         // Request settings
         maxTokens: 1500,
         temperature: 0.1, // Lower temperature for more consistent function calling
-        
+        stream: true, // Stream responses token-by-token (OpenAI SSE)
+
+        // Transport: each attempt times out after timeoutMs (until the response starts); rate limits,
+        // 5xx and network errors are retried with exponential backoff and jitter, honouring Retry-After
+        timeoutMs: 60000,
+        retry: {
+            maxRetries: 3,
+            baseDelayMs: 500,
+            maxDelayMs: 10000 // Longest wait between attempts; a longer Retry-After fails the request instead
+        },
+
         // Function calling settings
-        functionCalling: true
+        functionCalling: true,
+
+        // Maximum number of tool-calling rounds per user turn before the agent gives up
+        maxAgentSteps: 5
     },
 
-    // Alternative providers
+    // Providers offered in the Model settings panel; requests go to baseUrl + chatEndpoint
     providers: {
         openai: {
+            label: 'OpenAI',
             baseUrl: 'https://api.openai.com/v1',
             chatEndpoint: '/chat/completions',
-            models: {
+            maxTemperature: 2,
+            models: {          // Label shown in the panel: model id sent to the API
                 'gpt-4': 'gpt-4-turbo-preview',
+                'gpt-4o': 'gpt-4o',
+                'gpt-4o mini': 'gpt-4o-mini',
                 'gpt-3.5': 'gpt-3.5-turbo'
             }
         },
         anthropic: {
+            label: 'Anthropic',
             baseUrl: 'https://api.anthropic.com/v1',
             chatEndpoint: '/messages',
+            maxTemperature: 1,
             models: {
-                'claude-3': 'claude-3-sonnet-20240229'
+                'claude-3': 'claude-3-sonnet-20240229',
+                'claude-3.5 sonnet': 'claude-3-5-sonnet-20241022',
+                'claude-3 haiku': 'claude-3-haiku-20240307'
             }
         },
         azure: {
-            baseUrl: '', // Your Azure OpenAI endpoint
-            chatEndpoint: '/openai/deployments/{deployment-name}/chat/completions',
-            apiVersion: '2023-12-01-preview'
+            label: 'Azure OpenAI',
+            baseUrl: '', // Your Azure OpenAI endpoint, e.g. 'https://my-resource.openai.azure.com' (the panel lists Azure once this is set)
+            chatEndpoint: '/openai/deployments/{deployment-name}/chat/completions', // {deployment-name} is the selected model
+            apiVersion: '2023-12-01-preview', // Sent as the api-version query parameter
+            maxTemperature: 2,
+            models: {}         // Your deployment names, e.g. { 'gpt-4 (prod)': 'gpt4-prod' }
+        },
+        // Any OpenAI-compatible server: Ollama (:11434), llama.cpp (:8080), vLLM (:8000), ...
+        custom: {
+            label: 'OpenAI-compatible (local)',
+            baseUrl: 'http://localhost:11434/v1',
+            chatEndpoint: '/chat/completions',
+            local: true,       // API key optional; called directly even in proxy mode
+            maxTemperature: 2,
+            models: {
+                'llama3.1': 'llama3.1',
+                'qwen2.5': 'qwen2.5'
+            }
         }
     },
 
+    // Model settings panel: the runtime choice of provider, model, temperature and max tokens is saved here
+    settings: {
+        storageKey: 'webmcp-poc.llmSettings'
+    },
+
+    // API keys are entered in the "API key" settings dialog (js/apiKeyStore.js), not written here
+    apiKeys: {
+        storage: 'session',    // Default for the dialog: 'session' (cleared with the tab) or 'encrypted' (passphrase, kept in localStorage)
+        sessionStorageKey: 'webmcp-poc.apiKeys',
+        encryptedStorageKey: 'webmcp-poc.apiKeys.encrypted',
+        pbkdf2Iterations: 250000, // Key derivation cost for the passphrase in 'encrypted' storage
+        // Local relay (npm run llm-proxy) that adds the key server-side; the browser never sees it
+        proxy: {
+            enabled: false,
+            url: 'http://localhost:8788'
+        }
+    },
+
+    // Conversation context sent with each request (see js/contextManager.js); sizes are estimated tokens
+    context: {
+        maxTokens: 8000,       // Budget for the history; older turns are summarized once it is exceeded
+        keepRecentTurns: 4,    // User turns kept verbatim when older ones are summarized
+        trimToolResultsAfterTurns: 2, // Tool results older than this many turns are replaced by a short note
+        summarize: true,       // Ask the model for the summary; false drops older turns instead
+        summaryMaxTokens: 400  // Length limit of the summary
+    },
+
+    // Scripted provider (provider: 'scripted') - replays fixture rules instead of calling a model
+    scripted: {
+        fixtureUrl: 'fixtures/scripted-llm.json',
+        fixtures: null // Optionally inline the fixture object here instead of loading fixtureUrl
+    },
+
+    // Record-and-replay of LLM traffic for regression testing
+    recording: {
+        mode: 'off',           // 'off', 'record' (capture a cassette) or 'replay' (serve a cassette)
+        cassetteUrl: 'fixtures/cassette.json', // Cassette to load in replay mode
+        strict: false          // In replay mode, throw on the first mismatch instead of only flagging it
+    },
+
+    // Chat session persistence (localStorage)
+    sessions: {
+        storageKey: 'webmcp-poc.sessions',
+        maxSessions: 20
+    },
+
+    // Transfer engine settings
+    transfers: {
+        ledgerStorageKey: 'webmcp-poc.ledger'
+    },
+
+    // Simulated order book for trade orders (see js/orderBook.js)
+    trading: {
+        orderBookStorageKey: 'webmcp-poc.orders'
+    },
+
+    // Tool permission policy enforced by window.agent.invokeTool
+    permissions: {
+        // Capabilities tools can declare, with the description shown in the consent prompt
+        scopes: {
+            'read:accounts': 'See your account names and balances',
+            'read:performance': 'See your portfolio performance',
+            'read:holdings': 'See the investments held in your accounts',
+            'read:transactions': 'See your transfer history',
+            'read:orders': 'See the status of your trade orders',
+            'write:transfers': 'Move money between your accounts',
+            'write:trades': 'Prepare buy and sell orders for you to review and place'
+        },
+        defaultScopes: [],     // Scopes granted in every conversation without asking
+        rules: {},             // Per-tool overrides: { toolName: 'allow' | 'deny' }; 'allow' skips the consent prompt
+        rateLimits: {          // Max calls per tool within a sliding window; 'default' applies to tools not listed
+            default: { maxCalls: 30, windowMs: 60000 },
+            initiateFundTransfer: { maxCalls: 3, windowMs: 60000 },
+            placeTradeOrder: { maxCalls: 3, windowMs: 60000 }
+        },
+        maxTransferAmount: 10000, // Largest amount a 'write:transfers' tool may move in one call
+        maxTradeAmount: 10000  // Largest estimated cost or proceeds of one order placeTradeOrder may prepare
+    },
+
+    // Audit log of tool invocations (Agent Activity panel)
+    audit: {
+        storageKey: 'webmcp-poc.audit',
+        maxEntries: 500        // Oldest records are dropped beyond this
+    },
+
+    // Where account, performance and transfer data comes from
+    dataSource: {
+        adapter: 'memory',     // 'memory' (in-page fixtures) or 'http' (local REST mock server: npm run mock-api)
+        baseUrl: 'http://localhost:8787/api', // Base URL of the REST API for the 'http' adapter
+        latencyMs: 0           // Artificial delay for the 'memory' adapter, to exercise loading states
+    },
+
     // Development settings
     development: {
-        enableMockMode: false, // Set to true to fall back to mock behavior
-        logRequests: true,
-        logResponses: true
+        enableMockMode: false  // Set to true to fall back to mock behavior
+    },
+
+    // Console logging (see js/logger.js); full request/response payloads are logged at 'debug'
+    logging: {
+        level: 'info',         // Default threshold: 'debug', 'info', 'warn', 'error' or 'silent'
+        namespaces: {          // Per-namespace levels; a trailing '*' matches a prefix
+            // 'OpenAI API': 'debug',
+            // 'WebMCP Tool:*': 'warn'
+        },
+        redact: true,          // Mask API keys, tokens and account numbers in logged text and objects
+        redactKeys: ['balance', 'balancesAfter'], // Extra object fields to mask in logged data
+        traceViewer: false,    // Show the in-page Trace panel
+        traceBufferSize: 500   // Log entries kept for the trace viewer
     }
 };
 
-// Helper to get API key from environment or prompt user
+/**
+ * Returns the API key for the active provider from ApiKeyStore.
+ * Returns null when the relay adds the key (proxy mode) or a local server runs without one,
+ * and throws when no usable key is available.
+ */
 Config.getApiKey = function() {
-    if (this.llm.apiKey) {
-        return this.llm.apiKey;
+    const problem = this.checkApiKey();
+    if (problem) {
+        throw new Error(problem);
     }
-    
-    // In development, you could prompt for the key
-    if (this.development.enableMockMode) {
-        console.warn('Mock mode enabled - no API key required');
+    const provider = this.llm.provider;
+    if (provider === 'scripted') {
+        return 'scripted';
+    }
+    if (this.usesProxy(provider)) {
+        return null;
+    }
+    const apiKey = window.ApiKeyStore.get(provider);
+    if (!apiKey && this.development.enableMockMode) {
+        Logger.warn('Config', 'Mock mode enabled - no API key required');
         return 'mock-key';
     }
-    
-    throw new Error('API key not configured. Please set Config.llm.apiKey or enable mock mode.');
+    return apiKey;
+};
+
+// Whether requests to a provider go through the local relay; local servers are always called directly
+Config.usesProxy = function(provider) {
+    return this.apiKeys.proxy.enabled && !(this.providers[provider] || {}).local;
+};
+
+// Checked before the first request: returns a message for the user, or null when requests can be sent
+Config.checkApiKey = function() {
+    const provider = this.llm.provider;
+    if (provider === 'scripted' || this.development.enableMockMode || this.usesProxy(provider)) {
+        return null;
+    }
+    if ((this.providers[provider] || {}).local || window.ApiKeyStore.get(provider)) {
+        return null;
+    }
+    if (window.ApiKeyStore.isLocked(provider)) {
+        return `Your saved ${provider} API key is encrypted. Open API key settings and enter your passphrase to unlock it.`;
+    }
+    return `No ${provider} API key is set. Open API key settings to add one, or start the local proxy (npm run llm-proxy).`;
 };
 
 // Export for use in other files
@@ -0,0 +1,141 @@
+/**
+ * confirmationDialog.js
+ * ---------------------
+ * Generic human-in-the-loop approval dialog for sensitive WebMCP tools.
+ * `invokeTool` calls `ConfirmationDialog.request()` for any tool that declares
+ * `requiresConfirmation: true` or `riskLevel: 'high'`, and waits for the user to
+ * approve or deny before the tool's `execute` runs. It also shows the per-session consent
+ * prompt used by `PermissionPolicy`. Requests are queued so that parallel tool calls are
+ * confirmed one at a time and dialogs never overlap.
+ */
+
+const ConfirmationDialog = {
+    // Chain of pending requests; each dialog waits for the previous one to close
+    queue: Promise.resolve(),
+
+    /**
+     * Shows the approval dialog and resolves with 'approved' or 'denied'.
+     * `summary` is an optional list of human-readable lines (e.g. resolved account names).
+     * Aborting `signal` (the chat's Stop button) closes the dialog as 'denied'.
+     */
+    request: ({ toolName, description, riskLevel, args, summary, signal }) => {
+        return ConfirmationDialog.enqueue(() => ConfirmationDialog.show({ toolName, description, riskLevel, args, summary, signal }));
+    },
+
+    // Runs `task` once every earlier dialog has closed and resolves with its result
+    enqueue: (task) => {
+        const result = ConfirmationDialog.queue.then(task);
+        ConfirmationDialog.queue = result.catch(() => {});
+        return result;
+    },
+
+    show: ({ toolName, description, riskLevel, args, summary, signal }) => new Promise(resolve => {
+        if (signal && signal.aborted) {
+            Logger.info('Confirmation', `Request was stopped before ${toolName} could be confirmed`);
+            return resolve('denied');
+        }
+        Logger.debug('Confirmation', `Requesting user approval for: ${toolName}`, args);
+        const dialog = document.getElementById('confirmation-dialog');
+        const approveBtn = document.getElementById('confirmation-approve-btn');
+        const denyBtn = document.getElementById('confirmation-deny-btn');
+
+        document.getElementById('confirmation-tool').textContent = toolName;
+        document.getElementById('confirmation-description').textContent = description || '';
+        document.getElementById('confirmation-risk').textContent = riskLevel || 'high';
+        dialog.dataset.risk = riskLevel || 'high';
+
+        const summaryEl = document.getElementById('confirmation-summary');
+        summaryEl.innerHTML = '';
+        (summary || []).forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            summaryEl.appendChild(item);
+        });
+
+        // Show the exact arguments the agent passed, not a paraphrase
+        const argsEl = document.getElementById('confirmation-args');
+        argsEl.innerHTML = '';
+        Object.entries(args || {}).forEach(([key, value]) => {
+            const row = document.createElement('tr');
+            const nameCell = document.createElement('th');
+            const valueCell = document.createElement('td');
+            nameCell.textContent = key;
+            valueCell.textContent = JSON.stringify(value);
+            row.append(nameCell, valueCell);
+            argsEl.appendChild(row);
+        });
+
+        const finish = (outcome) => {
+            approveBtn.removeEventListener('click', onApprove);
+            denyBtn.removeEventListener('click', onDeny);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            dialog.style.display = 'none';
+            Logger.info('Confirmation', `User ${outcome} ${toolName}`);
+            resolve(outcome);
+        };
+        const onApprove = () => finish('approved');
+        const onDeny = () => finish('denied');
+        const onAbort = () => finish('denied');
+
+        approveBtn.addEventListener('click', onApprove);
+        denyBtn.addEventListener('click', onDeny);
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        dialog.style.display = 'flex';
+        denyBtn.focus();
+    }),
+
+    /**
+     * Asks the user to grant scopes for the rest of the chat session.
+     * Resolves with 'granted' or 'denied'. Call through enqueue() so it never overlaps another dialog.
+     * Aborting `signal` closes the prompt as 'denied'.
+     */
+    showConsent: ({ toolName, scopes, signal }) => new Promise(resolve => {
+        if (signal && signal.aborted) {
+            Logger.info('Consent', `Request was stopped before ${toolName} could ask for ${scopes.join(', ')}`);
+            return resolve('denied');
+        }
+        Logger.debug('Consent', `Asking the user to grant scopes for ${toolName}:`, scopes);
+        const dialog = document.getElementById('consent-dialog');
+        const grantBtn = document.getElementById('consent-grant-btn');
+        const denyBtn = document.getElementById('consent-deny-btn');
+
+        document.getElementById('consent-tool').textContent = toolName;
+        const scopesEl = document.getElementById('consent-scopes');
+        scopesEl.innerHTML = '';
+        scopes.forEach(scope => {
+            const item = document.createElement('li');
+            const name = document.createElement('code');
+            name.textContent = scope;
+            item.append(name, ` - ${window.Config.permissions.scopes[scope] || 'Unknown capability'}`);
+            scopesEl.appendChild(item);
+        });
+
+        const finish = (outcome) => {
+            grantBtn.removeEventListener('click', onGrant);
+            denyBtn.removeEventListener('click', onDeny);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            dialog.style.display = 'none';
+            Logger.info('Consent', `User ${outcome} ${scopes.join(', ')}`);
+            resolve(outcome);
+        };
+        const onGrant = () => finish('granted');
+        const onDeny = () => finish('denied');
+        const onAbort = () => finish('denied');
+
+        grantBtn.addEventListener('click', onGrant);
+        denyBtn.addEventListener('click', onDeny);
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+        dialog.style.display = 'flex';
+        denyBtn.focus();
+    })
+};
+
+window.ConfirmationDialog = ConfirmationDialog;
@@ -0,0 +1,99 @@
+/**
+ * contextManager.js
+ * -----------------
+ * Keeps the conversation sent to the LLM within a token budget (`Config.context`).
+ * History is handled in whole turns (a user message plus the assistant replies, tool calls and
+ * tool results that follow it), so a tool call is never separated from its result. Tool results
+ * of older turns are replaced by a short note, and once the estimated size exceeds the budget,
+ * older turns are folded into a summary written by the model (see LLMClient.manageContext).
+ */
+
+const ContextManager = {
+    // Start of the note that replaces a trimmed tool result
+    trimmedNote: 'Earlier result of',
+
+    summaryInstructions: 'You compress conversations between a user and a financial assistant. Summarize the transcript below '
+        + 'in at most a few short paragraphs: what the user asked, which accounts and amounts were involved, which actions '
+        + 'were completed or denied, and any open questions. Keep exact figures. Do not invent anything.',
+
+    // Rough estimate (~4 characters per token plus per-message overhead); good enough for budgeting
+    estimateTokens: (message) => {
+        let text = typeof message.content === 'string' ? message.content : JSON.stringify(message.content || '');
+        if (message.tool_calls) {
+            text += JSON.stringify(message.tool_calls);
+        }
+        return Math.ceil(text.length / 4) + 4;
+    },
+
+    estimateText: (text) => (text ? Math.ceil(text.length / 4) : 0),
+
+    estimateHistory: (history) => history.reduce((total, message) => total + ContextManager.estimateTokens(message), 0),
+
+    // Groups history into turns, each starting at a user message
+    splitTurns: (history) => {
+        const turns = [];
+        history.forEach(message => {
+            if (message.role === 'user' || turns.length === 0) {
+                turns.push([]);
+            }
+            turns[turns.length - 1].push(message);
+        });
+        return turns;
+    },
+
+    /**
+     * Returns a copy of the history in which tool results older than the last `keepTurns` turns
+     * are replaced by a note naming the tool. The messages and their tool_call_id stay in place.
+     */
+    trimToolResults: (history, keepTurns) => {
+        const toolNames = {};
+        history.forEach(message => (message.tool_calls || []).forEach(call => {
+            toolNames[call.id] = call.function.name;
+        }));
+        const turns = ContextManager.splitTurns(history);
+        const cutoff = Math.max(0, turns.length - keepTurns);
+        return turns.flatMap((turn, index) => turn.map(message => {
+            if (index >= cutoff || message.role !== 'tool' || message.content.startsWith(`{"note":"${ContextManager.trimmedNote}`)) {
+                return message;
+            }
+            const note = `${ContextManager.trimmedNote} ${toolNames[message.tool_call_id] || 'this tool'} removed to save context. Call the tool again if you need it.`;
+            return { ...message, content: JSON.stringify({ note }) };
+        }));
+    },
+
+    /**
+     * Splits the history into older turns to summarize and recent turns to keep verbatim.
+     * Keeps up to `keepTurns` turns, fewer if they do not fit `budget`, but always the last one.
+     */
+    splitForCompaction: (history, budget, keepTurns) => {
+        const turns = ContextManager.splitTurns(history);
+        let kept = Math.min(keepTurns, turns.length);
+        while (kept > 1 && ContextManager.estimateHistory(turns.slice(-kept).flat()) > budget) {
+            kept--;
+        }
+        return {
+            older: turns.slice(0, turns.length - kept).flat(),
+            recent: turns.slice(turns.length - kept).flat()
+        };
+    },
+
+    // Plain-text transcript for the summary request, starting with the previous summary if any
+    transcript: (messages, previousSummary) => {
+        const lines = previousSummary ? [`Summary of the conversation before this point: ${previousSummary}`] : [];
+        messages.forEach(message => {
+            if (message.role === 'tool') {
+                lines.push(`Tool result: ${message.content}`);
+                return;
+            }
+            if (message.content) {
+                lines.push(`${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`);
+            }
+            (message.tool_calls || []).forEach(call => {
+                lines.push(`Assistant called ${call.function.name}(${call.function.arguments})`);
+            });
+        });
+        return lines.join('\n');
+    }
+};
+
+window.ContextManager = ContextManager;
@@ -0,0 +1,245 @@
+/**
+ * dataSource.js
+ * -------------
+ * Data-access layer for account data, performance history, transfers and trade orders.
+ * The app and the WebMCP tools call `DataSource` instead of reading the mock constants directly,
+ * so the backing store can be swapped via `Config.dataSource.adapter`:
+ *   - 'memory': in-page fixtures (`mockAccountData`), `PortfolioAnalytics`, `TransferEngine` and `OrderBook`
+ *   - 'http':   the local REST mock server in server/mockApiServer.js
+ * All methods are async so latency and failures behave the same way for both adapters.
+ */
+
+// In-memory adapter backed by the fixtures in fidelityApp.js
+class InMemoryDataSource {
+    constructor(settings) {
+        this.latencyMs = settings.latencyMs || 0;
+    }
+
+    // Optional artificial latency to exercise loading states without a server
+    delay() {
+        if (!this.latencyMs) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    async getAccounts() {
+        await this.delay();
+        return Object.values(mockAccountData).map(account => ({ ...account }));
+    }
+
+    async getPerformance(period, options) {
+        await this.delay();
+        return PortfolioAnalytics.performanceReport(period, options);
+    }
+
+    async getHoldings(accountId) {
+        await this.delay();
+        return PortfolioAnalytics.holdingsReport(accountId);
+    }
+
+    async getAllocation(accountId) {
+        await this.delay();
+        return PortfolioAnalytics.allocationReport(accountId);
+    }
+
+    async searchHoldings(query, accountId) {
+        await this.delay();
+        return PortfolioAnalytics.searchHoldings(query, accountId);
+    }
+
+    async validateTransfer(transfer) {
+        await this.delay();
+        return TransferEngine.validate(transfer);
+    }
+
+    async submitTransfer(transfer) {
+        await this.delay();
+        return TransferEngine.submit(transfer);
+    }
+
+    async getTransactions(filter) {
+        await this.delay();
+        return TransferEngine.getHistory(filter);
+    }
+
+    async getTransaction(transactionId) {
+        await this.delay();
+        return TransferEngine.getStatus(transactionId);
+    }
+
+    async previewOrder(order) {
+        await this.delay();
+        return OrderBook.preview(order);
+    }
+
+    async placeOrder(order) {
+        await this.delay();
+        return OrderBook.place(order);
+    }
+
+    async submitOrder(orderId) {
+        await this.delay();
+        return OrderBook.submit(orderId);
+    }
+
+    async cancelOrder(orderId) {
+        await this.delay();
+        return OrderBook.cancel(orderId);
+    }
+
+    async getOrders(filter) {
+        await this.delay();
+        return OrderBook.getOrders(filter);
+    }
+
+    async getOrder(orderId) {
+        await this.delay();
+        return OrderBook.getStatus(orderId);
+    }
+}
+
+// HTTP adapter for the local REST mock server
+class HttpDataSource {
+    constructor(settings) {
+        this.baseUrl = settings.baseUrl;
+    }
+
+    async request(path, { allowNotFound, ...init } = {}) {
+        Logger.debug('Data Source', `${init.method || 'GET'} ${this.baseUrl}${path}`);
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                ...init,
+                headers: { 'Content-Type': 'application/json' }
+            });
+        } catch (error) {
+            throw new Error(`Data service unreachable at ${this.baseUrl}: ${error.message}`);
+        }
+        if (response.status === 404 && allowNotFound) {
+            return null;
+        }
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Data service error: ${response.status} ${errorData.error || response.statusText}`);
+        }
+        return response.json();
+    }
+
+    async getAccounts() {
+        const data = await this.request('/accounts');
+        return data.accounts;
+    }
+
+    async getPerformance(period, { benchmark, accountId } = {}) {
+        const params = new URLSearchParams({ period });
+        if (benchmark) params.set('benchmark', benchmark);
+        if (accountId) params.set('accountId', accountId);
+        return this.request(`/performance?${params}`);
+    }
+
+    async getHoldings(accountId) {
+        const params = new URLSearchParams();
+        if (accountId) params.set('accountId', accountId);
+        return this.request(`/holdings?${params}`);
+    }
+
+    async getAllocation(accountId) {
+        const params = new URLSearchParams();
+        if (accountId) params.set('accountId', accountId);
+        return this.request(`/allocation?${params}`);
+    }
+
+    async searchHoldings(query, accountId) {
+        const params = new URLSearchParams({ q: query });
+        if (accountId) params.set('accountId', accountId);
+        return this.request(`/holdings/search?${params}`);
+    }
+
+    async validateTransfer(transfer) {
+        const data = await this.request('/transfers/validate', { method: 'POST', body: JSON.stringify(transfer) });
+        return data.reasons;
+    }
+
+    async submitTransfer(transfer) {
+        return this.request('/transfers', { method: 'POST', body: JSON.stringify(transfer) });
+    }
+
+    async getTransactions({ accountId, limit } = {}) {
+        const params = new URLSearchParams();
+        if (accountId) params.set('accountId', accountId);
+        if (limit) params.set('limit', limit);
+        const data = await this.request(`/transfers?${params}`);
+        return data.transactions;
+    }
+
+    async getTransaction(transactionId) {
+        return this.request(`/transfers/${encodeURIComponent(transactionId)}`, { allowNotFound: true });
+    }
+
+    async previewOrder(order) {
+        return this.request('/orders/preview', { method: 'POST', body: JSON.stringify(order) });
+    }
+
+    async placeOrder(order) {
+        return this.request('/orders', { method: 'POST', body: JSON.stringify(order) });
+    }
+
+    async submitOrder(orderId) {
+        return this.request(`/orders/${encodeURIComponent(orderId)}/submit`, { method: 'POST', allowNotFound: true });
+    }
+
+    async cancelOrder(orderId) {
+        return this.request(`/orders/${encodeURIComponent(orderId)}/cancel`, { method: 'POST', allowNotFound: true });
+    }
+
+    async getOrders({ accountId, limit } = {}) {
+        const params = new URLSearchParams();
+        if (accountId) params.set('accountId', accountId);
+        if (limit) params.set('limit', limit);
+        const data = await this.request(`/orders?${params}`);
+        return data.orders;
+    }
+
+    async getOrder(orderId) {
+        return this.request(`/orders/${encodeURIComponent(orderId)}`, { allowNotFound: true });
+    }
+}
+
+// Facade used by the app and the WebMCP tools
+const DataSource = {
+    adapter: null,
+
+    // Creates the adapter selected in Config.dataSource on first use
+    current: () => {
+        if (!DataSource.adapter) {
+            const settings = window.Config.dataSource;
+            Logger.info('Data Source', 'Using adapter:', settings.adapter);
+            DataSource.adapter = settings.adapter === 'http'
+                ? new HttpDataSource(settings)
+                : new InMemoryDataSource(settings);
+        }
+        return DataSource.adapter;
+    },
+
+    getAccounts: () => DataSource.current().getAccounts(),
+    // options: { benchmark, accountId } - see PortfolioAnalytics.performanceReport
+    getPerformance: (period, options = {}) => DataSource.current().getPerformance(period, options),
+    // Without an accountId these cover the whole portfolio
+    getHoldings: (accountId) => DataSource.current().getHoldings(accountId),
+    getAllocation: (accountId) => DataSource.current().getAllocation(accountId),
+    searchHoldings: (query, accountId) => DataSource.current().searchHoldings(query, accountId),
+    validateTransfer: (transfer) => DataSource.current().validateTransfer(transfer),
+    submitTransfer: (transfer) => DataSource.current().submitTransfer(transfer),
+    getTransactions: (filter) => DataSource.current().getTransactions(filter),
+    getTransaction: (transactionId) => DataSource.current().getTransaction(transactionId),
+    // Trade orders - see OrderBook; submit, cancel and getOrder resolve to null for unknown orders
+    previewOrder: (order) => DataSource.current().previewOrder(order),
+    placeOrder: (order) => DataSource.current().placeOrder(order),
+    submitOrder: (orderId) => DataSource.current().submitOrder(orderId),
+    cancelOrder: (orderId) => DataSource.current().cancelOrder(orderId),
+    getOrders: (filter) => DataSource.current().getOrders(filter),
+    getOrder: (orderId) => DataSource.current().getOrder(orderId)
+};
+
+window.DataSource = DataSource;
@@ -6,27 +6,57 @@
  * For this POC, it provides mock data and functions for our WebMCP tools to interact with.
  */
 
-// Mock database of user accounts
+// Mock database of user accounts (the positions behind each balance are in portfolioAnalytics.js)
 const mockAccountData = {
-    "acc_brokerage_123": { id: "acc_brokerage_123", name: "Brokerage Account", balance: 15430.25, type: "taxable" },
-    "acc_roth_456": { id: "acc_roth_456", name: "Roth IRA", balance: 89500.75, type: "retirement" },
-    "acc_401k_789": { id: "acc_401k_789", name: "401(k) Rollover", balance: 245100.40, type: "retirement" },
-    "acc_cash_101": { id: "acc_cash_101", name: "Cash Management", balance: 5200.00, type: "cash" },
+    "acc_brokerage_123": { id: "acc_brokerage_123", name: "Brokerage Account", balance: 15430.25, type: "taxable", aliases: ["Individual Brokerage"] },
+    "acc_roth_456": { id: "acc_roth_456", name: "Roth IRA", balance: 89500.75, type: "retirement", aliases: ["Roth"] },
+    "acc_401k_789": { id: "acc_401k_789", name: "401(k) Rollover", balance: 245100.40, type: "retirement", aliases: ["401k", "Old 401k"] },
+    "acc_cash_101": { id: "acc_cash_101", name: "Cash Management", balance: 5200.00, type: "cash", aliases: ["Cash", "Core cash"] },
 };
 
 // Simulated Application Logic Namespace
 const App = {
-    // Renders the list of accounts on the main page
-    renderAccountList: () => {
-        console.log('🏦 [Fidelity App] Rendering account list UI component');
-        console.log('🏦 [Fidelity App] This simulates a real Fidelity.com dashboard with mock account data');
+    // Order currently shown in the order ticket, if any (an OrderBook entry)
+    pendingOrder: null,
+
+    // Accounts from the last successful DataSource.getAccounts() call
+    accounts: {},
+
+    // What the performance chart shows: { period, benchmark, accountId }
+    performanceView: { period: 'YTD', benchmark: '', accountId: '' },
+
+    // Accounts whose holdings table is open; they stay open when the list is re-rendered
+    expandedHoldings: new Set(),
+
+    // Loads accounts through the data source and renders them on the main page
+    renderAccountList: async () => {
+        Logger.debug('Fidelity App', 'Rendering account list UI component');
         const listEl = document.getElementById('accounts-list');
+        listEl.innerHTML = '<div class="data-status loading">Loading accounts...</div>';
+
+        let accounts;
+        try {
+            accounts = await DataSource.getAccounts();
+        } catch (error) {
+            Logger.error('Fidelity App', 'Failed to load accounts:', error.message);
+            listEl.innerHTML = '';
+            const errorEl = document.createElement('div');
+            errorEl.className = 'data-status error';
+            errorEl.textContent = `Could not load accounts: ${error.message} `;
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'data-retry-btn';
+            retryBtn.textContent = 'Retry';
+            retryBtn.addEventListener('click', () => App.renderAccountList());
+            errorEl.appendChild(retryBtn);
+            listEl.appendChild(errorEl);
+            return [];
+        }
+
+        App.accounts = Object.fromEntries(accounts.map(account => [account.id, account]));
         listEl.innerHTML = '';
-        
-        console.log('🏦 [Fidelity App] Processing accounts from mock database:', Object.keys(mockAccountData).length, 'accounts');
-        for (const accountId in mockAccountData) {
-            const account = mockAccountData[accountId];
-            console.log(`🏦 [Fidelity App] Rendering account: ${account.name} ($${account.balance})`);
+        Logger.debug('Fidelity App', 'Processing accounts from data source:', accounts.length, 'accounts');
+        accounts.forEach(account => {
+            Logger.debug('Fidelity App', `Rendering account: ${account.name} ($${account.balance})`);
             const itemEl = document.createElement('div');
             itemEl.className = 'account-item';
             itemEl.id = `account-${account.id}`;
@@ -34,96 +64,312 @@ const App = {
                 <span class="account-name">${account.name}</span>
                 <span class="account-balance">$${account.balance.toFixed(2)}</span>
             `;
+            const toggleBtn = document.createElement('button');
+            toggleBtn.className = 'holdings-toggle';
+            toggleBtn.textContent = 'Holdings';
+            toggleBtn.setAttribute('aria-expanded', 'false');
+            toggleBtn.setAttribute('aria-controls', `holdings-${account.id}`);
+            toggleBtn.addEventListener('click', () => App.toggleHoldings(account.id));
+            itemEl.appendChild(toggleBtn);
             listEl.appendChild(itemEl);
+
+            // Holdings table under the account row, filled when it is opened
+            const panelEl = document.createElement('div');
+            panelEl.className = 'holdings-panel';
+            panelEl.id = `holdings-${account.id}`;
+            panelEl.hidden = true;
+            listEl.appendChild(panelEl);
+        });
+        Logger.debug('Fidelity App', 'Account list rendering complete');
+
+        // Reopen the tables that were open, with positions reflecting the new balances
+        await Promise.all([...App.expandedHoldings].filter(accountId => App.accounts[accountId]).map(App.showHoldings));
+        return accounts;
+    },
+
+    // Opens an account's holdings table and loads its current positions
+    showHoldings: async (accountId) => {
+        const panelEl = document.getElementById(`holdings-${accountId}`);
+        if (!panelEl) {
+            Logger.error('Fidelity App', `No holdings panel for account: ${accountId}`);
+            return null;
+        }
+        App.expandedHoldings.add(accountId);
+        panelEl.hidden = false;
+        document.querySelector(`#account-${accountId} .holdings-toggle`).setAttribute('aria-expanded', 'true');
+        panelEl.innerHTML = '<div class="data-status loading">Loading holdings...</div>';
+
+        let report;
+        try {
+            report = await DataSource.getHoldings(accountId);
+        } catch (error) {
+            Logger.error('Fidelity App', 'Failed to load holdings:', error.message);
+            panelEl.innerHTML = '';
+            const errorEl = document.createElement('div');
+            errorEl.className = 'data-status error';
+            errorEl.textContent = `Could not load holdings: ${error.message}`;
+            panelEl.appendChild(errorEl);
+            return null;
         }
-        console.log('✅ [Fidelity App] Account list rendering complete');
+        App.renderHoldingsTable(panelEl, report);
+        return report;
     },
 
-    // Simulates opening the fund transfer modal and pre-filling it
-    showTransferModal: ({ from, to, amount }) => {
-        console.log(`showTransferModal called with:`, { from, to, amount });
-        console.log(`Available accounts:`, mockAccountData);
-        
-        const fromAccount = mockAccountData[from]?.name || 'N/A';
-        const toAccount = mockAccountData[to]?.name || 'N/A';
-        
-        console.log(`Resolved accounts - From: ${fromAccount}, To: ${toAccount}`);
+    hideHoldings: (accountId) => {
+        App.expandedHoldings.delete(accountId);
+        document.getElementById(`holdings-${accountId}`).hidden = true;
+        document.querySelector(`#account-${accountId} .holdings-toggle`).setAttribute('aria-expanded', 'false');
+    },
 
-        const fromInput = document.getElementById('fromAccount');
-        const toInput = document.getElementById('toAccount');
-        const amountInput = document.getElementById('amount');
-        const portfolioSummary = document.getElementById('portfolio-summary');
-        const transferModule = document.getElementById('transfer-module');
-        
-        console.log(`DOM elements found:`, {
-            fromInput: !!fromInput,
-            toInput: !!toInput,
-            amountInput: !!amountInput,
-            portfolioSummary: !!portfolioSummary,
-            transferModule: !!transferModule
+    toggleHoldings: (accountId) => (App.expandedHoldings.has(accountId) ? App.hideHoldings(accountId) : App.showHoldings(accountId)),
+
+    // One row per position: symbol and name, sector, shares, price, market value, cost basis, gain/loss
+    renderHoldingsTable: (panelEl, report) => {
+        const money = PortfolioAnalytics.formatMoney;
+        const table = document.createElement('table');
+        table.className = 'holdings-table';
+        table.innerHTML = `
+            <thead><tr>
+                <th>Symbol</th><th>Sector</th><th>Shares</th><th>Price</th>
+                <th>Market value</th><th>Cost basis</th><th>Gain/loss</th>
+            </tr></thead>
+        `;
+        const tbody = document.createElement('tbody');
+        report.positions.forEach(position => {
+            const row = document.createElement('tr');
+            row.className = 'position-row';
+            row.id = `position-${position.accountId}-${position.symbol}`;
+
+            const symbolCell = document.createElement('td');
+            const symbolEl = document.createElement('strong');
+            symbolEl.textContent = position.symbol;
+            const nameEl = document.createElement('span');
+            nameEl.className = 'position-name';
+            nameEl.textContent = position.name;
+            symbolCell.append(symbolEl, nameEl);
+            row.appendChild(symbolCell);
+
+            const gain = `${position.gainLoss < 0 ? '-' : '+'}${money(Math.abs(position.gainLoss))} (${position.gainLossPercent})`;
+            [
+                position.sector,
+                position.shares.toLocaleString('en-US', { maximumFractionDigits: 3 }),
+                money(position.price),
+                money(position.marketValue),
+                money(position.costBasis),
+                gain
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            row.lastChild.className = position.gainLoss < 0 ? 'loss' : 'gain';
+            tbody.appendChild(row);
         });
+        table.appendChild(tbody);
 
-        if (fromInput) fromInput.value = fromAccount;
-        if (toInput) toInput.value = toAccount;
-        if (amountInput) amountInput.value = amount.toFixed(2);
+        const noteEl = document.createElement('p');
+        noteEl.className = 'holdings-as-of';
+        noteEl.textContent = `Prices as of ${report.asOf}`;
+        panelEl.innerHTML = '';
+        panelEl.append(table, noteEl);
+    },
 
-        if (portfolioSummary) portfolioSummary.style.display = 'none';
-        if (transferModule) {
-            transferModule.style.display = 'block';
-            console.log(`Transfer modal should now be visible`);
-            
-            // Scroll the modal into view with offset for fixed header
-            setTimeout(() => {
-                const headerHeight = 80; // Account for fixed header
-                const elementTop = transferModule.offsetTop - headerHeight;
-                window.scrollTo({
-                    top: elementTop,
-                    behavior: 'smooth'
-                });
-            }, 100); // Small delay to ensure the element is visible first
-        } else {
-            console.error('Transfer module element not found!');
+    // Submits a transfer the user has approved through the data source and reports the outcome
+    submitTransfer: async ({ from, to, amount }) => {
+        Logger.info('Fidelity App', `Submitting transfer of $${amount.toFixed(2)} from ${from} to ${to}`);
+        let entry;
+        try {
+            entry = await DataSource.submitTransfer({ from, to, amount });
+        } catch (error) {
+            const message = `Transfer could not be submitted: ${error.message}`;
+            App.displayAgentMessage(message);
+            return { success: false, status: 'error', message };
+        }
+
+        if (entry.status !== 'completed') {
+            const message = `Transfer rejected: ${entry.reasons.join(' ')}`;
+            App.displayAgentMessage(message);
+            return { success: false, transactionId: entry.id, status: entry.status, reasons: entry.reasons, message };
         }
+
+        // Show the new balances on the dashboard
+        await App.renderAccountList();
+        const message = `Transfer ${entry.id} of $${amount.toFixed(2)} from ${entry.fromName} to ${entry.toName} completed successfully.`;
+        App.displayAgentMessage(message);
+        return {
+            success: true,
+            transactionId: entry.id,
+            status: entry.status,
+            balancesAfter: entry.balancesAfter,
+            message
+        };
     },
 
-    // Hides the transfer modal
-    hideTransferModal: () => {
-        document.getElementById('transfer-module').style.display = 'none';
+    // Opens the order ticket pre-filled with a pending order and its estimated cost
+    showOrderTicket: (order) => {
+        Logger.debug('Fidelity App', 'showOrderTicket called with:', order);
+        const money = PortfolioAnalytics.formatMoney;
+        const { estimate } = order;
+        const shares = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 3 });
+
+        // Remembered so the ticket's Place order button submits exactly what was shown
+        App.pendingOrder = order;
+
+        document.getElementById('orderAccount').value = order.accountName;
+        document.getElementById('orderAction').value = order.action === 'buy' ? 'Buy' : 'Sell';
+        document.getElementById('orderSymbol').value = `${order.symbol} - ${order.securityName}`;
+        document.getElementById('orderQuantity').value = shares(order.quantity);
+        document.getElementById('orderType').value = order.orderType === 'limit' ? `Limit at ${money(order.limitPrice)}` : 'Market';
+
+        const estimateEl = document.getElementById('order-estimate');
+        estimateEl.innerHTML = '';
+        const cashLabel = order.action === 'buy' ? 'Estimated cost' : 'Estimated proceeds';
+        [
+            ['Last price', money(estimate.marketPrice)],
+            [`${cashLabel} (${shares(estimate.quantity)} × ${money(estimate.price)})`, money(estimate.amount), 'estimate-total'],
+            // Before → after this order
+            ['Cash available', `${money(estimate.cashAvailable)} → ${money(estimate.cashAfter)}`],
+            [`${order.symbol} shares held`, `${shares(estimate.sharesHeld)} → ${shares(estimate.sharesAfter)}`]
+        ].forEach(([label, value, className]) => {
+            const row = document.createElement('div');
+            if (className) row.className = className;
+            const labelEl = document.createElement('span');
+            labelEl.textContent = label;
+            const valueEl = document.createElement('span');
+            valueEl.textContent = value;
+            row.append(labelEl, valueEl);
+            estimateEl.appendChild(row);
+        });
+        const note = document.createElement('p');
+        note.className = 'order-estimate-note';
+        note.textContent = order.orderType === 'limit'
+            ? `Fills only at ${money(order.limitPrice)} or better; otherwise it stays open.`
+            : 'Market orders fill at the latest price, which may differ from this estimate.';
+        estimateEl.appendChild(note);
+
+        document.getElementById('portfolio-summary').style.display = 'none';
+        const ticket = document.getElementById('order-ticket');
+        ticket.style.display = 'block';
+        // Scroll the ticket into view with offset for fixed header
+        setTimeout(() => {
+            window.scrollTo({ top: ticket.offsetTop - 80, behavior: 'smooth' });
+        }, 100);
+    },
+
+    // Submits the order the user approved on the ticket and reports the outcome
+    submitOrder: async (orderId) => {
+        Logger.info('Fidelity App', `Submitting order ${orderId}`);
+        App.pendingOrder = null;
+        let entry;
+        try {
+            entry = await DataSource.submitOrder(orderId);
+        } catch (error) {
+            const message = `Order could not be submitted: ${error.message}`;
+            App.hideOrderTicket();
+            App.displayAgentMessage(message);
+            return { success: false, status: 'error', message };
+        }
+        App.hideOrderTicket();
+
+        let message;
+        if (!entry) {
+            message = `Order ${orderId} was not found.`;
+            App.displayAgentMessage(message);
+            return { success: false, status: 'not_found', message };
+        }
+        if (entry.status === 'rejected') {
+            message = `Order rejected: ${entry.reasons.join(' ')}`;
+            App.displayAgentMessage(message);
+            return { success: false, orderId: entry.id, status: entry.status, reasons: entry.reasons, message };
+        }
+        if (entry.status === 'pending') {
+            message = `Limit order ${entry.id} to ${entry.action} ${entry.quantity} ${entry.symbol} at ${PortfolioAnalytics.formatMoney(entry.limitPrice)} is open; the latest price is ${PortfolioAnalytics.formatMoney(entry.estimate.marketPrice)}.`;
+            App.displayAgentMessage(message);
+            return { success: true, orderId: entry.id, status: entry.status, message };
+        }
+
+        // Show the new positions on the dashboard
+        await App.renderAccountList();
+        message = `Order ${entry.id} filled: ${entry.action === 'buy' ? 'bought' : 'sold'} ${entry.quantity} ${entry.symbol} at ${PortfolioAnalytics.formatMoney(entry.fillPrice)} (${PortfolioAnalytics.formatMoney(entry.fillAmount)}).`;
+        App.displayAgentMessage(message);
+        return {
+            success: true,
+            orderId: entry.id,
+            status: entry.status,
+            fillPrice: entry.fillPrice,
+            fillAmount: entry.fillAmount,
+            message
+        };
+    },
+
+    // The user dismissed the order ticket: the order is cancelled without being placed
+    cancelOrder: async (orderId) => {
+        App.pendingOrder = null;
+        App.hideOrderTicket();
+        try {
+            await DataSource.cancelOrder(orderId);
+        } catch (error) {
+            Logger.error('Fidelity App', 'Failed to cancel order:', error.message);
+        }
+        App.displayAgentMessage('Order canceled.');
+    },
+
+    // Reopens the ticket of an order that was prepared but neither placed nor cancelled before a reload
+    restoreOrderTicket: async () => {
+        let orders;
+        try {
+            orders = await DataSource.getOrders();
+        } catch (error) {
+            Logger.warn('Fidelity App', 'Could not check for an unplaced order ticket:', error.message);
+            return null;
+        }
+        const order = orders.find(entry => entry.status === 'pending' && !entry.submittedAt);
+        if (!order) {
+            return null;
+        }
+        Logger.info('Fidelity App', `Restoring the order ticket for ${order.id}`);
+        App.showOrderTicket(order);
+        App.displayAgentMessage(`Order ${order.id} to ${order.action} ${order.quantity} ${order.symbol} is still waiting on the order ticket: place it or cancel it.`);
+        return order;
+    },
+
+    // Hides the order ticket
+    hideOrderTicket: () => {
+        document.getElementById('order-ticket').style.display = 'none';
         document.getElementById('portfolio-summary').style.display = 'block';
     },
 
     // Updates the UI to show a message from the agent
     displayAgentMessage: (message) => {
-        console.log('💬 [Fidelity App] Displaying agent message in chat UI:', message);
-        console.log('💬 [Fidelity App] This simulates app-initiated messages to the user');
+        Logger.debug('Fidelity App', 'Displaying agent message in chat UI:', message);
         const chatHistory = document.getElementById('ai-chat-history');
         const msgDiv = document.createElement('div');
         msgDiv.className = 'message agent-message';
         msgDiv.textContent = message;
         chatHistory.appendChild(msgDiv);
         chatHistory.scrollTop = chatHistory.scrollHeight; // Auto-scroll
-        console.log('✅ [Fidelity App] Agent message displayed and chat scrolled');
+        Logger.debug('Fidelity App', 'Agent message displayed and chat scrolled');
     },
 
-    // Highlights a specific account in the UI
-    highlightAccount: (accountId) => {
-        console.log(`Attempting to highlight account: ${accountId}`);
+    // Highlights a specific account in the UI, and optionally some of its positions (by symbol)
+    highlightAccount: (accountId, symbols = []) => {
+        Logger.debug('Fidelity App', `Attempting to highlight account: ${accountId}`, symbols);
         
         // Clear previous highlights
-        document.querySelectorAll('.account-item.highlight').forEach(el => {
+        document.querySelectorAll('.account-item.highlight, .position-row.highlight').forEach(el => {
             el.classList.remove('highlight');
-            console.log(`Removed highlight from: ${el.id}`);
+            Logger.debug('Fidelity App', `Removed highlight from: ${el.id}`);
         });
         
         // Add new highlight
         const elementId = `account-${accountId}`;
         const accountEl = document.getElementById(elementId);
-        console.log(`Looking for element with ID: ${elementId}`);
-        console.log(`Found element:`, accountEl);
+        Logger.debug('Fidelity App', `Looking for element with ID: ${elementId}`);
+        Logger.debug('Fidelity App', `Found element:`, accountEl);
         
         if (accountEl) {
             accountEl.classList.add('highlight');
-            console.log(`Successfully highlighted account: ${accountId}`);
+            Logger.debug('Fidelity App', `Successfully highlighted account: ${accountId}`);
             
             // Scroll the highlighted account into view
             accountEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -131,110 +377,175 @@ const App = {
             // Auto-remove highlight after 5 seconds
             setTimeout(() => {
                 accountEl.classList.remove('highlight');
-                console.log(`Removed highlight from ${accountId} after 5 seconds`);
+                Logger.debug('Fidelity App', `Removed highlight from ${accountId} after 5 seconds`);
             }, 5000);
         } else {
-            console.error(`Could not find account element with ID: ${elementId}`);
+            Logger.error('Fidelity App', `Could not find account element with ID: ${elementId}`);
             // List all account elements for debugging
             const allAccountElements = document.querySelectorAll('.account-item');
-            console.log('Available account elements:', Array.from(allAccountElements).map(el => el.id));
+            Logger.debug('Fidelity App', 'Available account elements:', Array.from(allAccountElements).map(el => el.id));
+        }
+
+        if (symbols.length > 0) {
+            return App.highlightPositions(symbols.map(symbol => ({ accountId, symbol })));
+        }
+    },
+
+    /**
+     * Opens the holdings tables of the accounts involved and highlights the given positions
+     * ({ accountId, symbol }) for 5 seconds. Resolves to the number of rows highlighted.
+     */
+    highlightPositions: async (positions) => {
+        document.querySelectorAll('.position-row.highlight').forEach(el => el.classList.remove('highlight'));
+        const accountIds = [...new Set(positions.map(position => position.accountId))];
+        await Promise.all(accountIds.map(App.showHoldings));
+
+        const rows = positions
+            .map(position => document.getElementById(`position-${position.accountId}-${position.symbol}`))
+            .filter(Boolean);
+        Logger.debug('Fidelity App', `Highlighting ${rows.length} position row(s)`);
+        rows.forEach(row => row.classList.add('highlight'));
+        if (rows.length > 0) {
+            rows[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
         }
+        setTimeout(() => rows.forEach(row => row.classList.remove('highlight')), 5000);
+        return rows.length;
     },
 
-    // Updates the performance chart UI
-    updatePerformanceChart: (timePeriod) => {
-        console.log(`📈 [Fidelity App] Starting portfolio performance chart update for: ${timePeriod}`);
-        console.log(`📈 [Fidelity App] This demonstrates real-time UI manipulation via WebMCP tools`);
+    /**
+     * Loads performance data through the data source and draws it with PerformanceChart.
+     * options.accountId shows one account instead of the whole portfolio; options.benchmark
+     * overlays a benchmark series. Both stay selected in the chart controls.
+     */
+    updatePerformanceChart: async (timePeriod, options = {}) => {
+        Logger.debug('Fidelity App', `Starting portfolio performance chart update for: ${timePeriod}`, options);
+        const view = { period: timePeriod, benchmark: options.benchmark || '', accountId: options.accountId || '' };
         
         // Update time period text
         const chartEl = document.getElementById('chart-time-period');
         chartEl.textContent = `Time Period: ${timePeriod}`;
-        console.log(`📈 [Fidelity App] Updated chart time period display`);
+        Logger.debug('Fidelity App', `Updated chart time period display`);
         
         // Activate the chart area
         const chartContainer = document.getElementById('performance-chart');
-        chartContainer.classList.add('active');
-        console.log(`📈 [Fidelity App] Activated chart container with enhanced styling`);
+        chartContainer.classList.add('active', 'has-data');
+        Logger.debug('Fidelity App', `Activated chart container with enhanced styling`);
         
-        // Mock performance data based on time period
-        const performanceData = {
-            'YTD': { 
-                months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
-                values: [8.2, 12.5, 9.8, 15.3, 11.7, 12.5],
-                totalReturn: '+12.5%',
-                portfolioValue: '$355,231'
-            },
-            '1 Year': { 
-                months: ['Q1', 'Q2', 'Q3', 'Q4'],
-                values: [15.5, 18.2, 22.1, 19.8],
-                totalReturn: '+19.8%',
-                portfolioValue: '$355,231'
-            },
-            '3 Year': { 
-                months: ['2022', '2023', '2024'],
-                values: [35.2, 42.1, 48.5],
-                totalReturn: '+48.5%',
-                portfolioValue: '$355,231'
-            },
-            '5 Year': { 
-                months: ['2020', '2021', '2022', '2023', '2024'],
-                values: [22.3, 28.7, 35.2, 42.1, 48.5],
-                totalReturn: '+48.5%',
-                portfolioValue: '$355,231'
-            }
-        };
-        
-        const data = performanceData[timePeriod] || performanceData['YTD'];
-        
-        // Generate chart bars
-        console.log(`📈 [Fidelity App] Generating animated chart bars for ${timePeriod} data`);
         const chartBars = document.getElementById('chart-bars');
-        chartBars.innerHTML = '';
+        chartBars.innerHTML = '<div class="data-status loading">Loading performance...</div>';
+
+        let data;
+        try {
+            data = await DataSource.getPerformance(timePeriod, { benchmark: view.benchmark || undefined, accountId: view.accountId || undefined });
+        } catch (error) {
+            Logger.error('Fidelity App', 'Failed to load performance data:', error.message);
+            chartBars.innerHTML = '';
+            const errorEl = document.createElement('div');
+            errorEl.className = 'data-status error';
+            errorEl.textContent = `Could not load performance data: ${error.message}`;
+            chartBars.appendChild(errorEl);
+            chartContainer.classList.remove('active');
+            throw error;
+        }
+        App.performanceView = view;
         
-        const maxValue = Math.max(...data.values);
-        console.log(`📈 [Fidelity App] Chart data - Periods: ${data.months.join(', ')}, Max value: ${maxValue}%`);
-        data.months.forEach((month, index) => {
-            const barHeight = (data.values[index] / maxValue) * 100;
-            const bar = document.createElement('div');
-            bar.className = 'chart-bar';
-            bar.style.setProperty('--bar-height', `${barHeight}px`);
-            bar.style.height = `${barHeight}px`;
-            bar.setAttribute('data-value', `${data.values[index]}%`);
-            bar.title = `${month}: ${data.values[index]}%`;
-            chartBars.appendChild(bar);
+        Logger.debug('Fidelity App', `Drawing performance chart - Periods: ${data.months.join(', ')}`);
+        const subject = data.account ? data.account.name : 'Portfolio';
+        const series = [{ name: subject, values: data.values }];
+        if (data.benchmark) {
+            series.push({ name: data.benchmark.name, values: data.benchmark.values });
+        }
+        PerformanceChart.render(chartBars, {
+            title: `${subject} performance, ${data.period}${data.benchmark ? ` vs ${data.benchmark.name}` : ''}`,
+            periods: data.months,
+            series
         });
-        console.log(`📈 [Fidelity App] Created ${data.months.length} animated chart bars`);
+        App.renderPerformanceBreakdown(data);
+        App.renderChartControls();
         
         // Update performance summary
-        console.log(`📈 [Fidelity App] Updating performance metrics - Return: ${data.totalReturn}, Value: ${data.portfolioValue}`);
+        Logger.debug('Fidelity App', `Updating performance metrics - Return: ${data.totalReturn}, Value: ${data.portfolioValue}`);
         document.getElementById('total-return').textContent = data.totalReturn;
+        document.getElementById('annualized-return').textContent = data.annualizedReturn || 'n/a';
+        document.getElementById('volatility').textContent = data.volatility;
         document.getElementById('portfolio-value').textContent = data.portfolioValue;
+        document.getElementById('performance-as-of').textContent = `As of ${data.asOf}`;
         
         // Scroll chart into view
-        console.log(`📈 [Fidelity App] Scrolling chart into user viewport`);
+        Logger.debug('Fidelity App', `Scrolling chart into user viewport`);
         chartContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
         
-        // Auto-hide active state after 10 seconds
+        // Auto-remove the highlight after 10 seconds; the chart itself stays
         setTimeout(() => {
             chartContainer.classList.remove('active');
-            console.log(`📈 [Fidelity App] Auto-removed chart highlight after 10 seconds`);
+            Logger.debug('Fidelity App', `Auto-removed chart highlight after 10 seconds`);
         }, 10000);
         
-        console.log(`✅ [Fidelity App] Performance chart update completed successfully for ${timePeriod}`);
+        Logger.debug('Fidelity App', `Performance chart update completed successfully for ${timePeriod}`);
+        return data;
+    },
+
+    // Per-account returns for the period; the account shown in the chart is marked
+    renderPerformanceBreakdown: (data) => {
+        const tbody = document.getElementById('chart-breakdown-body');
+        tbody.innerHTML = '';
+        data.breakdown.forEach(entry => {
+            const row = document.createElement('tr');
+            row.classList.toggle('selected', entry.accountId === data.account?.id);
+            [entry.name, entry.totalReturn].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    },
+
+    // Keeps the benchmark and account selectors in sync with the chart
+    renderChartControls: () => {
+        const accountSelect = document.getElementById('chart-account');
+        accountSelect.innerHTML = '<option value="">All accounts</option>';
+        Object.values(App.accounts).forEach(account => {
+            const option = document.createElement('option');
+            option.value = account.id;
+            option.textContent = account.name;
+            accountSelect.appendChild(option);
+        });
+        accountSelect.value = App.performanceView.accountId;
+        document.getElementById('chart-benchmark').value = App.performanceView.benchmark;
+    },
+
+    // Redraws the chart after the user changes the benchmark or account selector
+    changeChartView: () => {
+        const options = {
+            benchmark: document.getElementById('chart-benchmark').value,
+            accountId: document.getElementById('chart-account').value
+        };
+        return App.updatePerformanceChart(App.performanceView.period, options).catch(() => {});
     }
 };
 
 // Initial render on page load
 document.addEventListener('DOMContentLoaded', () => {
+    // Replay the saved ledger and order book before the first render so balances and positions reflect them
+    TransferEngine.init();
+    OrderBook.init();
     App.renderAccountList();
+    App.restoreOrderTicket();
 
-    // Event listeners for the mock transfer modal
-    document.getElementById('submit-transfer-btn').addEventListener('click', () => {
-        App.displayAgentMessage("Transfer submitted successfully!");
-        App.hideTransferModal();
+    // Event listeners for the order ticket
+    document.getElementById('submit-order-btn').addEventListener('click', () => {
+        if (App.pendingOrder) {
+            App.submitOrder(App.pendingOrder.id);
+        }
     });
-    document.getElementById('cancel-transfer-btn').addEventListener('click', () => {
-        App.displayAgentMessage("Transfer canceled.");
-        App.hideTransferModal();
+    document.getElementById('cancel-order-btn').addEventListener('click', () => {
+        if (App.pendingOrder) {
+            App.cancelOrder(App.pendingOrder.id);
+        }
     });
+
+    // Benchmark and account selectors of the performance chart
+    document.getElementById('chart-benchmark').addEventListener('change', () => App.changeChartView());
+    document.getElementById('chart-account').addEventListener('change', () => App.changeChartView());
 });
\ No newline at end of file
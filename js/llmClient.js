@@ -7,20 +7,23 @@
 
 class LLMClient {
     constructor(config) {
-        console.log('🤖 [LLM Client] Initializing LLM client with configuration');
-        console.log('🤖 [LLM Client] Provider:', config.llm.provider, 'Model:', config.llm.model);
-        console.log('🤖 [LLM Client] This enables real AI-powered natural language processing for WebMCP');
+        Logger.debug('LLM Client', 'Initializing LLM client with configuration');
+        Logger.info('LLM Client', 'Provider:', config.llm.provider, 'Model:', config.llm.model);
         this.config = config;
         this.conversationHistory = [];
-        console.log('✅ [LLM Client] Client initialized successfully');
+        // Model-written summary of turns removed from the history (see manageContext)
+        this.conversationSummary = null;
+        // All provider HTTP calls go through the recorder (pass-through unless recording/replaying)
+        this.recorder = new CassetteRecorder(config);
+        Logger.debug('LLM Client', 'Client initialized successfully');
     }
 
     /**
      * Converts WebMCP tools to OpenAI function calling format
      */
     formatToolsForOpenAI(tools) {
-        console.log('🔧 [LLM Client] Converting WebMCP tools to OpenAI function calling format');
-        console.log('🔧 [LLM Client] Available WebMCP tools:', Array.from(tools.keys()));
+        Logger.debug('LLM Client', 'Converting WebMCP tools to OpenAI function calling format');
+        Logger.debug('LLM Client', 'Available WebMCP tools:', Array.from(tools.keys()));
         const formattedTools = Array.from(tools.values()).map(tool => ({
             type: "function",
             function: {
@@ -29,7 +32,7 @@ class LLMClient {
                 parameters: tool.inputSchema
             }
         }));
-        console.log('✅ [LLM Client] Tools formatted for OpenAI function calling:', formattedTools.length, 'functions');
+        Logger.debug('LLM Client', 'Tools formatted for OpenAI function calling:', formattedTools.length, 'functions');
         return formattedTools;
     }
 
@@ -44,172 +47,441 @@ class LLMClient {
         }));
     }
 
+    /**
+     * Updates the tools offered on follow-up requests after window.agent fires 'toolschanged'.
+     * Takes effect from the next request, including one in the middle of an agent loop.
+     */
+    updateTools(tools) {
+        Logger.debug('LLM Client', 'Tool set updated:', Array.from(tools.keys()));
+        this.activeTools = tools;
+    }
+
+    /**
+     * Builds the system prompt shared by all providers
+     */
+    buildSystemPrompt(toolNames) {
+        return `You are a helpful financial assistant for Fidelity Investments. You can help users with account inquiries, holdings, portfolio performance, fund transfers, and trade orders. 
+                    
+                    Available tools: ${toolNames.join(', ')}
+                    
+                    Always be helpful and professional. Sensitive tools such as transfers ask the user to approve the exact request before they run. The tool result tells you whether the user approved or denied it: only say an action was completed if the result reports success, and if it was denied, tell the user it was not performed. A result with error 'ambiguous_account' lists the accounts that match: ask the user which one they mean and never pick one yourself. A result with error 'permission_denied' means a policy or the user blocked the call: explain the reason and do not retry it, except after 'retryAfterMs' for a 'rate_limited' reason.`
+            + (this.conversationSummary
+                ? `\n\nSummary of the earlier conversation (older messages were removed to save context):\n${this.conversationSummary}`
+                : '');
+    }
+
     /**
      * Make API call to LLM with function calling support
+     * options.onTextDelta(delta) receives streamed text as it arrives (when streaming is enabled)
+     * options.signal (AbortSignal) cancels the request, including retries and a stream being read
      */
-    async generateResponse(userMessage, availableTools) {
-        console.log('💬 [LLM Client] Processing user message:', userMessage);
-        console.log('💬 [LLM Client] Available WebMCP tools for this request:', availableTools.size);
+    async generateResponse(userMessage, availableTools, options = {}) {
+        Logger.debug('LLM Client', 'Processing user message:', userMessage);
+        Logger.debug('LLM Client', 'Available WebMCP tools for this request:', availableTools.size);
         
         try {
             if (this.config.development.enableMockMode) {
-                console.log('🧪 [LLM Client] Mock mode enabled - using simulated responses');
+                Logger.debug('LLM Client', 'Mock mode enabled - using simulated responses');
                 return this.mockResponse(userMessage);
             }
 
-            console.log('🔑 [LLM Client] Retrieving API key for real LLM integration');
+            Logger.debug('LLM Client', 'Retrieving API key for real LLM integration');
             const apiKey = this.config.getApiKey();
+
+            // Remember the tools so follow-up requests in the agent loop can offer them again
+            // (Anthropic also rejects tool_result blocks without tool definitions)
+            this.activeTools = availableTools;
             
             // Add user message to conversation history
-            console.log('📝 [LLM Client] Adding user message to conversation history');
+            Logger.debug('LLM Client', 'Adding user message to conversation history');
             this.conversationHistory.push({
                 role: "user",
                 content: userMessage
             });
+            await this.manageContext(apiKey, options.signal);
 
-            let response;
-            
-            console.log('🌐 [LLM Client] Routing to provider-specific API handler');
-            switch (this.config.llm.provider) {
-                case 'openai':
-                    console.log('🤖 [LLM Client] Using OpenAI API with GPT-4 and function calling');
-                    response = await this.callOpenAI(userMessage, availableTools, apiKey);
-                    break;
-                case 'anthropic':
-                    console.log('🤖 [LLM Client] Using Anthropic Claude API with tool calling');
-                    response = await this.callAnthropic(userMessage, availableTools, apiKey);
-                    break;
-                default:
-                    throw new Error(`Unsupported LLM provider: ${this.config.llm.provider}`);
-            }
+            const response = await this.requestCompletion(availableTools, apiKey, options);
 
             return response;
             
         } catch (error) {
-            console.error('❌ [LLM Client] Error during LLM processing:', error.message);
-            console.error('❌ [LLM Client] This could be API key, network, or rate limiting issue');
-            return {
-                type: 'error',
-                message: 'Sorry, I encountered an error processing your request. Please try again.'
-            };
+            return this.errorResponse(error);
         }
     }
 
+    /**
+     * Turns a failed request into an 'error' response (or 'cancelled' after Stop).
+     * LLMErrors carry a message specific to the failure (bad key, quota, network, content filter...).
+     */
+    errorResponse(error) {
+        if (error instanceof LLMError && error.kind === 'cancelled') {
+            Logger.info('LLM Client', 'Request cancelled by the user');
+            return { type: 'cancelled', message: error.userMessage };
+        }
+        Logger.error('LLM Client', 'Error during LLM processing:', error.message);
+        if (error instanceof LLMError) {
+            return { type: 'error', errorKind: error.kind, message: error.userMessage };
+        }
+        return {
+            type: 'error',
+            message: 'Sorry, I encountered an error processing your request. Please try again.'
+        };
+    }
+
+    /**
+     * Keeps the history within Config.context at the start of each user turn (never mid-turn, so
+     * the agent loop's tool calls and results stay together). Tool results of older turns are
+     * trimmed first; if the estimate is still over budget, older turns are replaced by a summary
+     * written by the model, or dropped when summarizing is off or fails.
+     */
+    async manageContext(apiKey, signal) {
+        const settings = this.config.context;
+        let history = ContextManager.trimToolResults(this.conversationHistory, settings.trimToolResultsAfterTurns);
+        const used = ContextManager.estimateHistory(history) + ContextManager.estimateText(this.conversationSummary);
+        Logger.debug('Context', `Estimated history size: ${used} of ${settings.maxTokens} tokens`);
+
+        if (used > settings.maxTokens) {
+            const { older, recent } = ContextManager.splitForCompaction(
+                history, settings.maxTokens - settings.summaryMaxTokens, settings.keepRecentTurns);
+            if (older.length > 0) {
+                let summary = null;
+                if (settings.summarize) {
+                    try {
+                        summary = await this.requestSummary(ContextManager.transcript(older, this.conversationSummary), apiKey, signal);
+                    } catch (error) {
+                        if (error.kind === 'cancelled') {
+                            throw error;
+                        }
+                        Logger.warn('Context', 'Summary request failed - dropping older turns instead:', error.message);
+                    }
+                }
+                if (summary) {
+                    this.conversationSummary = summary;
+                }
+                history = recent;
+                Logger.info('Context', `${summary ? 'Summarized' : 'Dropped'} ${older.length} older message(s); ~${ContextManager.estimateHistory(history)} tokens remain`);
+            }
+        }
+        this.conversationHistory = history;
+    }
+
+    /**
+     * Asks the active provider for a summary of a transcript (no tools, no streaming).
+     * Resolves with the summary text, or null for the scripted provider, which cannot summarize.
+     */
+    async requestSummary(transcript, apiKey, signal) {
+        const provider = this.config.llm.provider;
+        if (provider === 'scripted') {
+            return null;
+        }
+        Logger.debug('Context', 'Requesting a summary of older turns from', provider);
+        const maxTokens = this.config.context.summaryMaxTokens;
+        const anthropic = provider === 'anthropic';
+        const requestBody = anthropic
+            ? { model: this.config.llm.model, system: ContextManager.summaryInstructions, messages: [{ role: 'user', content: transcript }], max_tokens: maxTokens, temperature: 0 }
+            : { model: this.config.llm.model, messages: [{ role: 'system', content: ContextManager.summaryInstructions }, { role: 'user', content: transcript }], max_tokens: maxTokens, temperature: 0 };
+        const response = await this.sendRequest(provider, {
+            method: 'POST',
+            headers: anthropic ? this.anthropicHeaders(apiKey) : { 'Content-Type': 'application/json', ...this.openAIAuthHeaders(provider, apiKey) },
+            body: JSON.stringify(requestBody)
+        }, signal);
+        const data = await response.json();
+        const text = anthropic
+            ? (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('')
+            : data.choices?.[0]?.message?.content;
+        return text ? text.trim() : null;
+    }
+
+    /**
+     * Routes a completion request for the current conversation to the configured provider
+     */
+    async requestCompletion(availableTools, apiKey, options = {}) {
+        Logger.debug('LLM Client', 'Routing to provider-specific API handler');
+        switch (this.config.llm.provider) {
+            case 'openai':
+            case 'azure':
+            case 'custom':
+                // Azure OpenAI and local OpenAI-compatible servers share the chat completions format
+                Logger.debug('LLM Client', `Using ${this.config.llm.provider} chat completions API with function calling`);
+                return this.callOpenAI('', availableTools, apiKey, options);
+            case 'anthropic':
+                Logger.debug('LLM Client', 'Using Anthropic Claude API with tool calling');
+                return this.callAnthropic('', availableTools, apiKey, options);
+            case 'scripted':
+                Logger.debug('LLM Client', 'Using scripted provider (offline fixture replay)');
+                return this.callScripted();
+            default:
+                throw new Error(`Unsupported LLM provider: ${this.config.llm.provider}`);
+        }
+    }
+
+    /**
+     * Chat endpoint of a provider from Config.providers (baseUrl + chatEndpoint). Azure's
+     * {deployment-name} is the selected model and its apiVersion is added as the api-version query.
+     * In proxy mode the same path is requested from the local relay (server/llmProxyServer.js),
+     * which adds the API key.
+     */
+    endpointUrl(provider) {
+        const providerConfig = this.config.providers[provider];
+        if (!providerConfig || !providerConfig.baseUrl) {
+            throw new Error(`Provider '${provider}' has no baseUrl - set Config.providers.${provider}.baseUrl.`);
+        }
+        let path = providerConfig.chatEndpoint.replace('{deployment-name}', encodeURIComponent(this.config.llm.model));
+        if (providerConfig.apiVersion) {
+            path += `?api-version=${encodeURIComponent(providerConfig.apiVersion)}`;
+        }
+        return this.config.usesProxy(provider)
+            ? `${this.config.apiKeys.proxy.url}/${provider}${path}`
+            : `${providerConfig.baseUrl}${path}`;
+    }
+
+    providerLabel(provider) {
+        return this.config.providers[provider]?.label || provider;
+    }
+
+    /**
+     * POSTs to the provider's chat endpoint through the cassette recorder, with the timeout,
+     * retries and cancellation of LLMTransport. Resolves with a successful Response or throws an LLMError.
+     */
+    sendRequest(provider, init, signal) {
+        return LLMTransport.request((url, requestInit) => this.recorder.fetch(url, requestInit), this.endpointUrl(provider), init, {
+            label: this.providerLabel(provider),
+            signal,
+            timeoutMs: this.config.llm.timeoutMs,
+            retry: this.config.llm.retry
+        });
+    }
+
+    // Auth header for OpenAI-format providers: Azure uses 'api-key', the others a bearer token (optional for local servers)
+    openAIAuthHeaders(provider, apiKey) {
+        if (!apiKey) {
+            return {};
+        }
+        return provider === 'azure' ? { 'api-key': apiKey } : { 'Authorization': `Bearer ${apiKey}` };
+    }
+
     /**
      * OpenAI API integration
+     * Also used for Azure OpenAI and OpenAI-compatible servers (provider 'azure' or 'custom').
      */
-    async callOpenAI(userMessage, availableTools, apiKey) {
-        console.log('🔄 [OpenAI API] Preparing OpenAI chat completions request');
+    async callOpenAI(userMessage, availableTools, apiKey, options = {}) {
+        const provider = this.config.llm.provider;
+        const label = this.providerLabel(provider);
+        Logger.debug('OpenAI API', `Preparing ${label} chat completions request`);
         const tools = this.formatToolsForOpenAI(availableTools);
         
-        console.log('📋 [OpenAI API] Building request payload with system prompt and WebMCP tools');
+        Logger.debug('OpenAI API', 'Building request payload with system prompt and WebMCP tools');
         const requestBody = {
             model: this.config.llm.model,
             messages: [
                 {
                     role: "system",
-                    content: `You are a helpful financial assistant for Fidelity Investments. You can help users with account inquiries, portfolio performance, and fund transfers. 
-                    
-                    Available tools: ${tools.map(t => t.function.name).join(', ')}
-                    
-                    Always be helpful and professional. When users request transfers, explain that you'll prepare the form but they need to confirm the transaction for security.`
+                    content: this.buildSystemPrompt(tools.map(t => t.function.name))
                 },
                 ...this.conversationHistory
             ],
             tools: tools.length > 0 ? tools : undefined,
             tool_choice: tools.length > 0 ? "auto" : undefined,
             max_tokens: this.config.llm.maxTokens,
-            temperature: this.config.llm.temperature
+            temperature: this.config.llm.temperature,
+            stream: this.config.llm.stream || undefined
         };
 
-        console.log('📋 [OpenAI API] Request configuration:', {
+        Logger.debug('OpenAI API', 'Request configuration:', {
             model: requestBody.model,
             messageCount: requestBody.messages.length,
             toolCount: tools.length,
-            toolChoice: requestBody.tool_choice
+            toolChoice: requestBody.tool_choice,
+            stream: !!requestBody.stream
         });
 
-        if (this.config.development.logRequests) {
-            console.log('📤 [OpenAI API] Full request payload:', requestBody);
-        }
+        Logger.debug('OpenAI API', 'Full request payload:', requestBody);
 
-        console.log('🌐 [OpenAI API] Sending HTTP request to OpenAI chat completions endpoint');
-        const response = await fetch(`${this.config.llm.baseUrl}/chat/completions`, {
+        Logger.debug('OpenAI API', `Sending HTTP request to ${label} chat completions endpoint`);
+        const response = await this.sendRequest(provider, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiKey}`
+                ...this.openAIAuthHeaders(provider, apiKey)
             },
             body: JSON.stringify(requestBody)
-        });
+        }, options.signal);
 
-        if (!response.ok) {
-            console.error('❌ [OpenAI API] HTTP error response:', response.status, response.statusText);
-            const errorData = await response.json().catch(() => ({}));
-            console.error('❌ [OpenAI API] Error details:', errorData);
-            throw new Error(`OpenAI API error: ${response.status} ${errorData.error?.message || response.statusText}`);
+        if (requestBody.stream) {
+            Logger.debug('OpenAI API', 'Streaming response started - assembling SSE deltas');
+            return this.readOpenAIStream(response, options.onTextDelta, options.signal);
         }
 
-        console.log('✅ [OpenAI API] Successful response received from OpenAI');
+        Logger.info('OpenAI API', `Successful response received from ${label}`);
         const data = await response.json();
-        console.log('📊 [OpenAI API] Response metadata:', {
+        Logger.debug('OpenAI API', 'Response metadata:', {
             id: data.id,
             model: data.model,
             usage: data.usage,
             finishReason: data.choices?.[0]?.finish_reason
         });
         
-        if (this.config.development.logResponses) {
-            console.log('📥 [OpenAI API] Full response payload:', data);
-        }
+        Logger.debug('OpenAI API', 'Full response payload:', data);
 
         return this.processOpenAIResponse(data);
     }
 
+    /**
+     * Reads an OpenAI SSE stream, forwarding text deltas to onTextDelta and assembling
+     * tool-call argument fragments by index. The assembled message goes through
+     * processOpenAIResponse like a non-streamed completion. Stop (the signal) ends the read
+     * without adding the partial message to the history.
+     */
+    async readOpenAIStream(response, onTextDelta, signal) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const message = { role: "assistant", content: '' };
+        const toolCalls = [];
+        let finishReason = null;
+        let buffer = '';
+        let done = false;
+
+        const label = this.providerLabel(this.config.llm.provider);
+        while (!done) {
+            let chunk;
+            try {
+                if (signal?.aborted) {
+                    throw new LLMError('cancelled', 'Request cancelled', { label });
+                }
+                chunk = await reader.read();
+            } catch (error) {
+                reader.cancel().catch(() => {});
+                if (error instanceof LLMError) {
+                    throw error;
+                }
+                throw signal?.aborted
+                    ? new LLMError('cancelled', 'Request cancelled', { label })
+                    : new LLMError('network', `${label} stream interrupted: ${error.message}`, { label });
+            }
+            if (chunk.done) {
+                break;
+            }
+            buffer += decoder.decode(chunk.value, { stream: true });
+
+            // SSE events are newline-delimited; keep any partial line for the next chunk
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const rawLine of lines) {
+                const line = rawLine.trim();
+                if (!line.startsWith('data:')) {
+                    continue;
+                }
+                const payload = line.slice(5).trim();
+                if (payload === '[DONE]') {
+                    done = true;
+                    break;
+                }
+
+                let event;
+                try {
+                    event = JSON.parse(payload);
+                } catch (error) {
+                    Logger.warn('OpenAI Stream', 'Skipping malformed SSE event:', payload);
+                    continue;
+                }
+
+                const choice = event.choices?.[0];
+                if (!choice) {
+                    continue;
+                }
+                finishReason = choice.finish_reason || finishReason;
+                const delta = choice.delta || {};
+
+                if (delta.content) {
+                    message.content += delta.content;
+                    if (onTextDelta) {
+                        onTextDelta(delta.content);
+                    }
+                }
+
+                (delta.tool_calls || []).forEach(toolCallDelta => {
+                    const index = toolCallDelta.index ?? 0;
+                    if (!toolCalls[index]) {
+                        Logger.debug('OpenAI Stream', 'Tool call started mid-stream at index', index);
+                        toolCalls[index] = { id: '', type: "function", function: { name: '', arguments: '' } };
+                    }
+                    const toolCall = toolCalls[index];
+                    if (toolCallDelta.id) {
+                        toolCall.id = toolCallDelta.id;
+                    }
+                    if (toolCallDelta.function?.name) {
+                        toolCall.function.name += toolCallDelta.function.name;
+                    }
+                    if (toolCallDelta.function?.arguments) {
+                        toolCall.function.arguments += toolCallDelta.function.arguments;
+                    }
+                });
+            }
+        }
+
+        const streamedText = message.content.length > 0;
+        if (!streamedText) {
+            message.content = null;
+        }
+        const assembledToolCalls = toolCalls.filter(Boolean);
+        if (assembledToolCalls.length > 0) {
+            message.tool_calls = assembledToolCalls;
+        }
+
+        Logger.debug('OpenAI Stream', 'Stream complete:', {
+            finishReason,
+            textLength: streamedText ? message.content.length : 0,
+            toolCalls: assembledToolCalls.map(toolCall => toolCall.function.name)
+        });
+        Logger.debug('OpenAI Stream', 'Assembled message:', message);
+
+        const result = this.processOpenAIResponse({ choices: [{ message, finish_reason: finishReason }] });
+        // Lets the UI know the text was already rendered through onTextDelta
+        result.streamed = streamedText && Boolean(onTextDelta);
+        return result;
+    }
+
     /**
      * Process OpenAI response and handle function calls
      */
     processOpenAIResponse(apiResponse) {
-        console.log('🔄 [OpenAI Response] Processing OpenAI API response');
+        Logger.debug('OpenAI Response', 'Processing OpenAI API response');
         const message = apiResponse.choices[0].message;
+        if (apiResponse.choices[0].finish_reason === 'content_filter') {
+            // Kept out of the history: the filtered answer is incomplete
+            const label = this.providerLabel(this.config.llm.provider);
+            throw new LLMError('content_filter', `${label} response stopped by the content filter`, { label });
+        }
         
         // Add assistant message to history
-        console.log('📝 [OpenAI Response] Adding assistant message to conversation history');
+        Logger.debug('OpenAI Response', 'Adding assistant message to conversation history');
         this.conversationHistory.push(message);
 
-        // Check if the assistant wants to call a function
+        // Check if the assistant wants to call one or more functions
         if (message.tool_calls && message.tool_calls.length > 0) {
-            console.log('🔧 [OpenAI Response] AI wants to execute WebMCP tool function call');
-            const toolCall = message.tool_calls[0];
-            const functionName = toolCall.function.name;
-            console.log('🎯 [OpenAI Response] Tool to execute:', functionName);
-            console.log('🎯 [OpenAI Response] Raw function arguments:', toolCall.function.arguments);
-            
-            let functionArgs;
-            
-            try {
-                functionArgs = JSON.parse(toolCall.function.arguments);
-                console.log('✅ [OpenAI Response] Successfully parsed function arguments:', functionArgs);
-            } catch (error) {
-                console.error('❌ [OpenAI Response] Error parsing function arguments:', error);
-                return {
-                    type: 'error',
-                    message: 'I had trouble understanding the parameters for that request.'
-                };
-            }
+            Logger.debug('OpenAI Response', 'AI wants to execute', message.tool_calls.length, 'WebMCP tool call(s)');
+            const toolCalls = message.tool_calls.map(toolCall => {
+                Logger.debug('OpenAI Response', 'Tool to execute:', toolCall.function.name);
+                Logger.debug('OpenAI Response', 'Raw function arguments:', toolCall.function.arguments);
+                try {
+                    const functionArgs = JSON.parse(toolCall.function.arguments || '{}');
+                    Logger.debug('OpenAI Response', 'Successfully parsed function arguments:', functionArgs);
+                    return { functionName: toolCall.function.name, arguments: functionArgs, toolCallId: toolCall.id };
+                } catch (error) {
+                    // Reported back to the model as a failed tool result so it can retry
+                    Logger.error('OpenAI Response', 'Error parsing function arguments:', error);
+                    return { functionName: toolCall.function.name, arguments: {}, toolCallId: toolCall.id, parseError: error.message };
+                }
+            });
 
-            console.log('🚀 [OpenAI Response] Preparing WebMCP function call execution');
-            return {
-                type: 'function_call',
-                functionName: functionName,
-                arguments: functionArgs,
-                toolCallId: toolCall.id
-            };
+            Logger.debug('OpenAI Response', 'Preparing WebMCP function call execution');
+            return this.buildFunctionCallResponse(toolCalls);
         }
 
         // Regular text response
-        console.log('💬 [OpenAI Response] AI provided text response (no function calls)');
-        console.log('💬 [OpenAI Response] Response content:', message.content);
+        Logger.debug('OpenAI Response', 'AI provided text response (no function calls)');
+        Logger.debug('OpenAI Response', 'Response content:', message.content);
         return {
             type: 'text',
             message: message.content
@@ -217,42 +489,349 @@ class LLMClient {
     }
 
     /**
-     * Handle function call results and get follow-up response
+     * Builds the 'function_call' response shape. The first call is also exposed
+     * at the top level for callers that only handle a single tool call.
      */
-    async handleFunctionResult(toolCallId, functionName, functionResult) {
-        console.log('🔄 [Function Result] Processing WebMCP tool execution result');
-        console.log('🔄 [Function Result] Tool:', functionName, 'Result:', functionResult);
-        
-        // Add function result to conversation history
-        console.log('📝 [Function Result] Adding tool result to conversation context');
-        this.conversationHistory.push({
-            role: "tool",
-            content: JSON.stringify(functionResult),
-            tool_call_id: toolCallId
+    buildFunctionCallResponse(toolCalls) {
+        const [firstCall] = toolCalls;
+        return {
+            type: 'function_call',
+            functionName: firstCall.functionName,
+            arguments: firstCall.arguments,
+            toolCallId: firstCall.toolCallId,
+            toolCalls: toolCalls
+        };
+    }
+
+    /**
+     * Adds tool results to the conversation history without requesting a follow-up.
+     * Every tool call in an assistant turn needs a matching result before the next request.
+     */
+    recordToolResults(results) {
+        Logger.debug('Function Result', 'Adding', results.length, 'tool result(s) to conversation context');
+        results.forEach(({ toolCallId, result }) => {
+            this.conversationHistory.push({
+                role: "tool",
+                content: JSON.stringify(result),
+                tool_call_id: toolCallId
+            });
+        });
+    }
+
+    /**
+     * Sends the results of all tool calls from the last assistant turn back to the LLM
+     * and returns its next response (text or further tool calls).
+     * Accepts the same options as generateResponse.
+     */
+    async submitToolResults(results, options = {}) {
+        Logger.debug('Function Result', 'Processing WebMCP tool execution results');
+        results.forEach(({ functionName, result }) => {
+            Logger.debug('Function Result', 'Tool:', functionName, 'Result:', result);
         });
+        this.recordToolResults(results);
 
-        // Get follow-up response from LLM
-        console.log('🤖 [Function Result] Requesting follow-up response from AI based on tool execution');
-        const followUpResponse = await this.callOpenAI('', new Map(), this.config.getApiKey());
-        console.log('✅ [Function Result] Received AI follow-up response');
+        // Tools stay available so the model can chain further calls
+        Logger.debug('Function Result', 'Requesting follow-up response from AI based on tool execution');
+        const followUpResponse = await this.requestCompletion(this.activeTools || new Map(), this.config.getApiKey(), options);
+        Logger.debug('Function Result', 'Received AI follow-up response');
         return followUpResponse;
     }
 
     /**
-     * Anthropic API integration (similar structure)
+     * Handle a single function call result and get follow-up response
      */
-    async callAnthropic(userMessage, availableTools, apiKey) {
-        // Implementation for Anthropic Claude API
-        // Similar structure but different API format
-        throw new Error('Anthropic integration not implemented yet');
+    async handleFunctionResult(toolCallId, functionName, functionResult) {
+        return this.submitToolResults([{ toolCallId, functionName, result: functionResult }]);
+    }
+
+    // Without a key (proxy mode) the relay adds it, and the request is not a direct browser call
+    anthropicHeaders(apiKey) {
+        return {
+            'Content-Type': 'application/json',
+            'anthropic-version': '2023-06-01',
+            ...(apiKey ? { 'x-api-key': apiKey, 'anthropic-dangerous-direct-browser-access': 'true' } : {})
+        };
+    }
+
+    /**
+     * Anthropic Messages API integration
+     * Conversation history is kept in OpenAI format and translated per request,
+     * so switching providers mid-conversation keeps the full context.
+     */
+    async callAnthropic(userMessage, availableTools, apiKey, options = {}) {
+        Logger.debug('Anthropic API', 'Preparing Anthropic messages request');
+        const tools = this.formatToolsForAnthropic(availableTools);
+
+        Logger.debug('Anthropic API', 'Building request payload with separate system prompt and WebMCP tools');
+        const requestBody = {
+            model: this.config.llm.model,
+            system: this.buildSystemPrompt(tools.map(t => t.name)),
+            messages: this.toAnthropicMessages(this.conversationHistory),
+            tools: tools.length > 0 ? tools : undefined,
+            tool_choice: tools.length > 0 ? { type: "auto" } : undefined,
+            max_tokens: this.config.llm.maxTokens,
+            temperature: this.config.llm.temperature
+        };
+
+        Logger.debug('Anthropic API', 'Request configuration:', {
+            model: requestBody.model,
+            messageCount: requestBody.messages.length,
+            toolCount: tools.length
+        });
+
+        Logger.debug('Anthropic API', 'Full request payload:', requestBody);
+
+        Logger.debug('Anthropic API', 'Sending HTTP request to Anthropic messages endpoint');
+        const response = await this.sendRequest('anthropic', {
+            method: 'POST',
+            headers: this.anthropicHeaders(apiKey),
+            body: JSON.stringify(requestBody)
+        }, options.signal);
+
+        Logger.info('Anthropic API', 'Successful response received from Anthropic');
+        const data = await response.json();
+        Logger.debug('Anthropic API', 'Response metadata:', {
+            id: data.id,
+            model: data.model,
+            usage: data.usage,
+            stopReason: data.stop_reason
+        });
+
+        Logger.debug('Anthropic API', 'Full response payload:', data);
+
+        return this.processAnthropicResponse(data);
+    }
+
+    /**
+     * Translates the OpenAI-format conversation history into Anthropic messages.
+     * Assistant tool calls become tool_use blocks, tool results become tool_result
+     * blocks in a user turn, and consecutive turns with the same role are merged
+     * because Anthropic requires strictly alternating user/assistant roles.
+     */
+    toAnthropicMessages(history) {
+        const messages = [];
+        const append = (role, blocks) => {
+            const last = messages[messages.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
+            } else {
+                messages.push({ role, content: blocks });
+            }
+        };
+
+        history.forEach(msg => {
+            switch (msg.role) {
+                case 'user':
+                    if (msg.content) {
+                        append('user', [{ type: 'text', text: msg.content }]);
+                    }
+                    break;
+                case 'assistant': {
+                    const blocks = [];
+                    if (msg.content) {
+                        blocks.push({ type: 'text', text: msg.content });
+                    }
+                    (msg.tool_calls || []).forEach(toolCall => {
+                        let input = {};
+                        try {
+                            input = JSON.parse(toolCall.function.arguments || '{}');
+                        } catch (error) {
+                            Logger.warn('Anthropic API', 'Could not parse stored tool arguments for:', toolCall.function.name);
+                        }
+                        blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input });
+                    });
+                    if (blocks.length > 0) {
+                        append('assistant', blocks);
+                    }
+                    break;
+                }
+                case 'tool':
+                    append('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]);
+                    break;
+            }
+        });
+
+        // The first message must come from the user
+        while (messages.length > 0 && messages[0].role !== 'user') {
+            messages.shift();
+        }
+        return messages;
+    }
+
+    /**
+     * Process Anthropic response and handle tool_use blocks
+     */
+    processAnthropicResponse(apiResponse) {
+        Logger.debug('Anthropic Response', 'Processing Anthropic API response');
+        if (apiResponse.stop_reason === 'refusal') {
+            throw new LLMError('content_filter', 'Anthropic declined to answer (stop_reason: refusal)', { label: this.providerLabel('anthropic') });
+        }
+        const blocks = apiResponse.content || [];
+        const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('\n');
+        const toolUses = blocks.filter(block => block.type === 'tool_use');
+
+        // Store the assistant turn in the shared (OpenAI-format) history
+        Logger.debug('Anthropic Response', 'Adding assistant message to conversation history');
+        const message = { role: "assistant", content: text || null };
+        if (toolUses.length > 0) {
+            message.tool_calls = toolUses.map(block => ({
+                id: block.id,
+                type: "function",
+                function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+            }));
+        }
+        this.conversationHistory.push(message);
+
+        if (toolUses.length > 0) {
+            Logger.debug('Anthropic Response', 'AI wants to execute', toolUses.length, 'WebMCP tool call(s)');
+            const toolCalls = toolUses.map(toolUse => {
+                Logger.debug('Anthropic Response', 'Tool to execute:', toolUse.name, 'Input:', toolUse.input);
+                return { functionName: toolUse.name, arguments: toolUse.input || {}, toolCallId: toolUse.id };
+            });
+            return this.buildFunctionCallResponse(toolCalls);
+        }
+
+        Logger.debug('Anthropic Response', 'AI provided text response (no tool use)');
+        Logger.debug('Anthropic Response', 'Response content:', text);
+        return {
+            type: 'text',
+            message: text
+        };
+    }
+
+    /**
+     * Scripted provider: replays tool calls and answers from a fixture file instead of calling
+     * a model, so the whole WebMCP pipeline runs offline. Each step produces an assistant
+     * message in OpenAI format and goes through processOpenAIResponse like a real completion.
+     */
+    async callScripted() {
+        const fixtures = await this.loadScriptedFixtures();
+        const lastMessage = this.conversationHistory[this.conversationHistory.length - 1];
+
+        // A new user message starts a new script; tool results continue the current one
+        if (lastMessage.role === 'user') {
+            const rule = fixtures.rules.find(candidate => new RegExp(candidate.match, 'i').test(lastMessage.content));
+            const match = rule ? new RegExp(rule.match, 'i').exec(lastMessage.content) : null;
+            Logger.info('Scripted LLM', 'Matched rule:', rule ? rule.name : '(fallback)');
+            this.scriptState = {
+                rule: rule || { name: 'fallback', steps: [fixtures.fallback] },
+                match: match?.groups || {},
+                stepIndex: 0,
+                historyStart: this.conversationHistory.length
+            };
+        }
+
+        const state = this.scriptState;
+        const step = state.rule.steps[state.stepIndex] || { text: '' };
+        state.stepIndex++;
+        const context = { match: this.normalizeScriptMatch(state), results: this.collectScriptResults(state.historyStart) };
+
+        const message = { role: "assistant", content: null };
+        if (step.toolCalls) {
+            message.tool_calls = step.toolCalls.map((call, index) => ({
+                id: `scripted_${state.rule.name}_${state.stepIndex}_${index}`,
+                type: "function",
+                function: { name: call.name, arguments: JSON.stringify(this.resolveScriptTemplate(call.arguments, context)) }
+            }));
+        } else {
+            message.content = this.resolveScriptTemplate(step.text, context);
+        }
+
+        Logger.debug('Scripted LLM', 'Scripted message:', message);
+        return this.processOpenAIResponse({ choices: [{ message }] });
+    }
+
+    // Loads (once) the fixture rules from Config.scripted.fixtures or Config.scripted.fixtureUrl
+    async loadScriptedFixtures() {
+        if (!this.scriptedFixtures) {
+            const scripted = this.config.scripted;
+            if (scripted.fixtures) {
+                this.scriptedFixtures = scripted.fixtures;
+            } else {
+                Logger.debug('Scripted LLM', 'Loading fixture file:', scripted.fixtureUrl);
+                const response = await fetch(scripted.fixtureUrl);
+                if (!response.ok) {
+                    throw new Error(`Could not load scripted fixtures from ${scripted.fixtureUrl}: ${response.status}`);
+                }
+                this.scriptedFixtures = await response.json();
+            }
+        }
+        return this.scriptedFixtures;
+    }
+
+    // Applies the rule's optional `values` map to the captured regex groups
+    normalizeScriptMatch({ rule, match }) {
+        const normalized = {};
+        Object.entries(match).forEach(([group, value]) => {
+            if (value === undefined) return;
+            const aliases = rule.values?.[group] || {};
+            normalized[group] = aliases[value.toLowerCase()] ?? value;
+        });
+        return normalized;
+    }
+
+    // Latest result of each tool since the current script started, keyed by tool name
+    collectScriptResults(historyStart) {
+        const toolNames = {};
+        const results = {};
+        this.conversationHistory.slice(historyStart).forEach(msg => {
+            (msg.tool_calls || []).forEach(toolCall => {
+                toolNames[toolCall.id] = toolCall.function.name;
+            });
+            if (msg.role === 'tool') {
+                try {
+                    results[toolNames[msg.tool_call_id]] = JSON.parse(msg.content);
+                } catch (error) {
+                    results[toolNames[msg.tool_call_id]] = msg.content;
+                }
+            }
+        });
+        return results;
+    }
+
+    /**
+     * Fills {{path}} and {{path|number}} placeholders. A string that is exactly one placeholder
+     * is replaced by the raw value (so numbers stay numbers); objects are resolved recursively.
+     */
+    resolveScriptTemplate(template, context) {
+        const lookup = (expression) => {
+            const [path, filter] = expression.split('|').map(part => part.trim());
+            const value = path.split('.').reduce((current, key) => current?.[key], context);
+            if (filter === 'number') {
+                return Number(String(value).replace(/,/g, ''));
+            }
+            return value;
+        };
+
+        if (typeof template === 'string') {
+            const single = template.match(/^\{\{([^}]+)\}\}$/);
+            if (single) {
+                return lookup(single[1]);
+            }
+            return template.replace(/\{\{([^}]+)\}\}/g, (_, expression) => {
+                const value = lookup(expression);
+                return value === undefined ? '' : String(value);
+            });
+        }
+        if (Array.isArray(template)) {
+            return template.map(item => this.resolveScriptTemplate(item, context));
+        }
+        if (template && typeof template === 'object') {
+            const resolved = {};
+            Object.entries(template).forEach(([key, value]) => {
+                resolved[key] = this.resolveScriptTemplate(value, context);
+            });
+            return resolved;
+        }
+        return template;
     }
 
     /**
      * Fallback mock response for testing
      */
     mockResponse(userMessage) {
-        console.log('🧪 [Mock LLM] Generating mock response (no real API call)');
-        console.log('🧪 [Mock LLM] User input:', userMessage);
+        Logger.debug('Mock LLM', 'Generating mock response (no real API call)');
+        Logger.debug('Mock LLM', 'User input:', userMessage);
         return {
             type: 'text',
             message: `Mock LLM response to: "${userMessage}". Enable a real LLM provider in config.js for actual AI responses.`
@@ -260,10 +839,11 @@ class LLMClient {
     }
 
     /**
-     * Clear conversation history
+     * Clear conversation history, including the summary of older turns
      */
     reset() {
         this.conversationHistory = [];
+        this.conversationSummary = null;
     }
 }
 
@@ -0,0 +1,199 @@
+/**
+ * llmTransport.js
+ * ---------------
+ * HTTP transport for the LLM provider calls. Every request gets a per-attempt timeout
+ * (Config.llm.timeoutMs), can be cancelled through an AbortSignal (the Stop button), and is
+ * retried with exponential backoff and jitter on rate limits, 5xx and network failures,
+ * waiting at least as long as the provider's Retry-After header asks.
+ * Failures are thrown as LLMError, whose `kind` selects the message shown to the user.
+ */
+
+class LLMError extends Error {
+    /**
+     * kind: 'auth' | 'quota' | 'rate_limit' | 'server' | 'network' | 'timeout' | 'content_filter' | 'request' | 'cancelled'
+     * details: { label, status, retryAfterMs, timeoutMs }
+     */
+    constructor(kind, message, details = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.kind = kind;
+        this.label = details.label || 'The AI provider';
+        this.status = details.status;
+        this.retryAfterMs = details.retryAfterMs;
+        this.timeoutMs = details.timeoutMs;
+    }
+
+    // Transient failures that are worth another attempt
+    get retryable() {
+        return ['rate_limit', 'server', 'network', 'timeout'].includes(this.kind);
+    }
+
+    // Message shown in the chat instead of the generic error
+    get userMessage() {
+        const label = this.label;
+        switch (this.kind) {
+            case 'auth':
+                return `The ${label} API key was rejected (HTTP ${this.status}). Check it under "API key" settings.`;
+            case 'quota':
+                return `Your ${label} account is out of quota or credit. Check your plan and billing details, then try again.`;
+            case 'rate_limit':
+                return this.retryAfterMs
+                    ? `${label} is rate-limiting requests. Please try again in about ${Math.ceil(this.retryAfterMs / 1000)} seconds.`
+                    : `${label} is rate-limiting requests. Please wait a moment and try again.`;
+            case 'server':
+                return `${label} is having problems right now (HTTP ${this.status}). Please try again shortly.`;
+            case 'network':
+                return `Could not reach ${label}. Check your network connection (or the local proxy) and try again.`;
+            case 'timeout':
+                return `${label} did not respond within ${Math.ceil(this.timeoutMs / 1000)} seconds. Please try again.`;
+            case 'content_filter':
+                return `${label}'s content filter blocked this request or its answer. Try rephrasing your question.`;
+            case 'cancelled':
+                return 'Stopped.';
+            default:
+                return this.status
+                    ? `${label} rejected the request (HTTP ${this.status}). Please try again or rephrase your question.`
+                    : `The request could not be completed: ${this.message}`;
+        }
+    }
+}
+
+const LLMTransport = {
+    /**
+     * Classifies an unsuccessful HTTP response from OpenAI-format or Anthropic providers.
+     * `errorData` is the parsed error body ({} when it was not JSON).
+     */
+    classifyResponse: (response, errorData, label) => {
+        const status = response.status;
+        const error = errorData.error || {};
+        const detail = `${error.code || ''} ${error.type || ''} ${error.message || ''}`;
+        const message = `${label} API error: ${status} ${error.message || response.statusText}`;
+        const details = { label, status, retryAfterMs: LLMTransport.parseRetryAfter(response.headers.get('Retry-After')) };
+
+        let kind = 'request';
+        if (status === 401 || status === 403) {
+            kind = 'auth';
+        } else if (/insufficient_quota|quota|billing|credit balance/i.test(detail)) {
+            kind = 'quota';
+        } else if (status === 429) {
+            kind = 'rate_limit';
+        } else if (/content_filter|content management policy|content policy/i.test(detail)) {
+            kind = 'content_filter';
+        } else if (status === 408 || status >= 500) {
+            // Includes Anthropic's 529 'overloaded_error'
+            kind = 'server';
+        }
+        return new LLMError(kind, message, details);
+    },
+
+    // Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+    parseRetryAfter: (value) => {
+        if (!value) {
+            return null;
+        }
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    },
+
+    // Full-jitter exponential backoff: a random delay up to baseDelayMs * 2^attempt, capped at maxDelayMs
+    backoffDelay: (attempt, retry) => Math.random() * Math.min(retry.maxDelayMs, retry.baseDelayMs * (2 ** attempt)),
+
+    // Resolves after `ms`, or rejects with a 'cancelled' LLMError as soon as the signal aborts
+    sleep: (ms, signal) => new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new LLMError('cancelled', 'Request cancelled'));
+            return;
+        }
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(new LLMError('cancelled', 'Request cancelled'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    }),
+
+    /**
+     * Sends one request through `fetchFn` (the cassette recorder) and returns the successful Response.
+     * options: { label, signal, timeoutMs, retry: { maxRetries, baseDelayMs, maxDelayMs } }
+     * The timeout covers each attempt until the response headers arrive; the signal also
+     * aborts a streamed body that is still being read.
+     */
+    request: async (fetchFn, url, init, options) => {
+        const { label, signal, timeoutMs, retry } = options;
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                const response = await LLMTransport.attempt(fetchFn, url, init, { label, signal, timeoutMs });
+                if (response.ok) {
+                    return response;
+                }
+                const errorData = await response.json().catch(() => ({}));
+                Logger.error('LLM Transport', 'HTTP error response:', response.status, response.statusText);
+                Logger.error('LLM Transport', 'Error details:', errorData);
+                error = LLMTransport.classifyResponse(response, errorData, label);
+            } catch (failure) {
+                error = failure;
+            }
+
+            if (!error.retryable || attempt >= retry.maxRetries) {
+                throw error;
+            }
+            // Wait at least as long as the provider asked; give up if that is longer than we are willing to wait
+            let delay = LLMTransport.backoffDelay(attempt, retry);
+            if (error.retryAfterMs != null) {
+                if (error.retryAfterMs > retry.maxDelayMs) {
+                    throw error;
+                }
+                delay = Math.max(delay, error.retryAfterMs);
+            }
+            Logger.warn('LLM Transport', `${error.message} - retrying in ${Math.round(delay)} ms (attempt ${attempt + 2} of ${retry.maxRetries + 1})`);
+            await LLMTransport.sleep(delay, signal);
+        }
+    },
+
+    // One attempt with its own timeout; network failures, timeouts and cancellation become LLMErrors
+    attempt: async (fetchFn, url, init, { label, signal, timeoutMs }) => {
+        if (signal?.aborted) {
+            throw new LLMError('cancelled', 'Request cancelled', { label });
+        }
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        // Settles as soon as the attempt is aborted, even if the fetch implementation ignores the signal
+        const aborted = new Promise((resolve, reject) => controller.signal.addEventListener('abort', () => reject(new Error('aborted')), { once: true }));
+        aborted.catch(() => {});
+        try {
+            return await Promise.race([fetchFn(url, { ...init, signal: controller.signal }), aborted]);
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new LLMError('cancelled', 'Request cancelled', { label });
+            }
+            if (timedOut) {
+                throw new LLMError('timeout', `${label} request timed out after ${timeoutMs} ms`, { label, timeoutMs });
+            }
+            if (error instanceof LLMError) {
+                throw error;
+            }
+            throw new LLMError('network', `${label} request failed: ${error.message}`, { label });
+        } finally {
+            // The Stop listener stays attached so it can still abort a streamed body being read
+            clearTimeout(timer);
+        }
+    }
+};
+
+window.LLMError = LLMError;
+window.LLMTransport = LLMTransport;
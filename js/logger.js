@@ -0,0 +1,134 @@
+/**
+ * logger.js
+ * ---------
+ * Leveled, namespaced logging for every module in the POC.
+ * Call sites name their namespace (`Logger.info('Fidelity App', 'Account list rendered')`) and the
+ * logger decides, per namespace, whether the line is printed, using `Config.logging`:
+ *   - `level` is the default threshold ('debug', 'info', 'warn', 'error' or 'silent')
+ *   - `namespaces` overrides it per namespace; a trailing '*' matches a prefix ('WebMCP Tool:*')
+ * API keys, bearer tokens, account numbers and sensitive fields are redacted before anything is
+ * printed or kept. Recent lines are buffered for the optional in-page trace viewer.
+ * From the browser console, `Logger.setLevel('OpenAI API', 'debug')` changes a namespace at runtime.
+ */
+
+const Logger = {
+    levels: { debug: 10, info: 20, warn: 30, error: 40, silent: 100 },
+
+    // Namespace levels set at runtime with setLevel(), saved across reloads
+    overrides: {},
+
+    // Most recent printed entries, newest last (capped at Config.logging.traceBufferSize)
+    trace: [],
+
+    // Fires 'entry' with each new trace entry as detail (used by the trace viewer)
+    events: new EventTarget(),
+
+    storageKey: 'webmcp-poc.logging',
+
+    // Defaults used until config.js has loaded
+    settings: () => (window.Config && window.Config.logging) || {
+        level: 'info', namespaces: {}, redact: true, redactKeys: [], traceBufferSize: 500
+    },
+
+    loadOverrides: () => {
+        try {
+            Logger.overrides = JSON.parse(window.localStorage.getItem(Logger.storageKey) || '{}');
+        } catch (error) {
+            Logger.overrides = {};
+        }
+    },
+
+    // Sets the level of a namespace (or prefix pattern ending in '*'); pass null to clear it
+    setLevel: (namespace, level) => {
+        if (level === null) {
+            delete Logger.overrides[namespace];
+        } else if (Logger.levels[level] === undefined) {
+            throw new Error(`Unknown log level '${level}'. Use one of: ${Object.keys(Logger.levels).join(', ')}.`);
+        } else {
+            Logger.overrides[namespace] = level;
+        }
+        try {
+            window.localStorage.setItem(Logger.storageKey, JSON.stringify(Logger.overrides));
+        } catch (error) {
+            // Runtime overrides still apply for this page even if they cannot be saved
+        }
+    },
+
+    // Exact namespace first, then the longest matching 'prefix*' pattern, then the default level
+    levelFor: (namespace) => {
+        const rules = { ...Logger.settings().namespaces, ...Logger.overrides };
+        if (rules[namespace]) {
+            return rules[namespace];
+        }
+        const pattern = Object.keys(rules)
+            .filter(key => key.endsWith('*') && namespace.startsWith(key.slice(0, -1)))
+            .sort((a, b) => b.length - a.length)[0];
+        return pattern ? rules[pattern] : Logger.settings().level;
+    },
+
+    isEnabled: (level, namespace) => Logger.levels[level] >= (Logger.levels[Logger.levelFor(namespace)] ?? Logger.levels.info),
+
+    debug: (namespace, message, ...args) => Logger.write('debug', namespace, message, args),
+    info: (namespace, message, ...args) => Logger.write('info', namespace, message, args),
+    warn: (namespace, message, ...args) => Logger.write('warn', namespace, message, args),
+    error: (namespace, message, ...args) => Logger.write('error', namespace, message, args),
+
+    write: (level, namespace, message, args) => {
+        if (!Logger.isEnabled(level, namespace)) {
+            return;
+        }
+        const redact = Logger.settings().redact !== false;
+        const text = redact ? Logger.redactString(String(message)) : String(message);
+        const values = redact ? args.map(value => Logger.redact(value)) : args;
+
+        const entry = { time: new Date().toISOString(), level, namespace, message: text, args: values };
+        Logger.trace.push(entry);
+        const overflow = Logger.trace.length - Logger.settings().traceBufferSize;
+        if (overflow > 0) {
+            Logger.trace.splice(0, overflow);
+        }
+        console[level](`[${namespace}] ${text}`, ...values);
+        Logger.events.dispatchEvent(new CustomEvent('entry', { detail: entry }));
+    },
+
+    // Masks secrets and account numbers inside free text
+    redactString: (text) => text
+        .replace(/\bsk-[A-Za-z0-9_-]{8,}/g, 'sk-[REDACTED]')
+        .replace(/\bBearer\s+[A-Za-z0-9._~+/=-]+/g, 'Bearer [REDACTED]')
+        .replace(/\b(acc_[a-z0-9]+_)\d+\b/g, '$1***')
+        .replace(/\b\d{4,8}(\d{4})\b/g, '****$1'),
+
+    // Copy of a logged value with secret fields and strings redacted (DOM nodes and functions are left alone)
+    redact: (value, depth = 0, seen = new WeakSet()) => {
+        if (typeof value === 'string') {
+            return Logger.redactString(value);
+        }
+        if (Object.prototype.toString.call(value) === '[object Error]') {
+            const copy = new Error(Logger.redactString(value.message));
+            copy.name = value.name;
+            return copy;
+        }
+        if (!value || typeof value !== 'object' || (typeof Node !== 'undefined' && value instanceof Node)) {
+            return value;
+        }
+        if (seen.has(value) || depth > 6) {
+            return '[…]';
+        }
+        seen.add(value);
+        if (value instanceof Map) {
+            return new Map([...value].map(([key, item]) => [key, Logger.redact(item, depth + 1, seen)]));
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => Logger.redact(item, depth + 1, seen));
+        }
+        const secretKeys = ['apikey', 'api_key', 'x-api-key', 'authorization', 'password', 'secret', 'token',
+            ...Logger.settings().redactKeys.map(key => key.toLowerCase())];
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            secretKeys.includes(key.toLowerCase()) ? '[REDACTED]' : Logger.redact(item, depth + 1, seen)
+        ]));
+    }
+};
+
+Logger.loadOverrides();
+window.Logger = Logger;
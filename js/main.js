@@ -8,82 +8,215 @@
  * 3. It calls `registerFidelityTools()` to expose the frontend's capabilities via WebMCP.
  */
 document.addEventListener('DOMContentLoaded', () => {
-    console.log('🚀 [WebMCP Demo] Starting WebMCP Proof of Concept application');
-    console.log('🚀 [WebMCP Demo] This demonstrates the W3C WebMCP specification for AI-web interaction');
+    Logger.info('WebMCP Demo', 'Starting WebMCP Proof of Concept application');
+
+    // Load the audit trail before any tool can run
+    AuditLog.init();
+    SettingsPanel.load();
 
     // --- 1. Mock WebMCP Browser API Implementation ---
     // In a real browser supporting WebMCP, this object would be provided natively.
     // For the POC, we simulate its behavior.
-    console.log('🔧 [WebMCP Simulation] Creating mock WebMCP browser API (window.agent)');
-    console.log('🔧 [WebMCP Simulation] In production, this would be provided by the browser natively');
+    Logger.debug('WebMCP Simulation', 'Creating mock WebMCP browser API (window.agent)');
     
     const mockAgentAPI = {
         tools: new Map(),
 
+        // Event target backing addEventListener/removeEventListener ('toolschanged' events)
+        events: new EventTarget(),
+
+        addEventListener: function(type, listener, options) {
+            this.events.addEventListener(type, listener, options);
+        },
+
+        removeEventListener: function(type, listener, options) {
+            this.events.removeEventListener(type, listener, options);
+        },
+
+        // Notifies listeners (AgentClient, LLMClient) that the set of available tools changed
+        dispatchToolsChanged: function(added, removed) {
+            Logger.debug('WebMCP API', "Dispatching 'toolschanged' event - added:", added, "removed:", removed);
+            this.events.dispatchEvent(new CustomEvent('toolschanged', {
+                detail: { added, removed, tools: Array.from(this.tools.keys()) }
+            }));
+        },
+
         // The function Fidelity's frontend will call to expose its tools.
+        // Replaces the whole tool set; use registerTool/unregisterTool for incremental changes.
         provideContext: function(context) {
-            console.log("🔌 [WebMCP API] provideContext() called - website registering WebMCP tools");
-            console.log("🔌 [WebMCP API] Tools being registered:", context.tools.map(t => t.name));
-            console.log("🔌 [WebMCP API] This simulates the official WebMCP tool registration protocol");
-            this.tools.clear(); // Clear old tools for simplicity
+            Logger.debug('WebMCP API', "provideContext() called - website registering WebMCP tools");
+            Logger.debug('WebMCP API', "Tools being registered:", context.tools.map(t => t.name));
+            const previous = Array.from(this.tools.keys());
+            const incoming = context.tools.map(t => t.name);
+            const dropped = previous.filter(name => !incoming.includes(name));
+            if (dropped.length > 0) {
+                Logger.warn('WebMCP API', "provideContext() replaces the existing tool set - dropping:", dropped);
+            }
+            this.tools.clear();
             context.tools.forEach(tool => {
                 this.tools.set(tool.name, tool);
-                console.log(`🔌 [WebMCP API] Registered tool: ${tool.name} - ${tool.description}`);
+                Logger.debug('WebMCP API', `Registered tool: ${tool.name} - ${tool.description}`);
             });
-            console.log("✅ [WebMCP API] All tools registered successfully in browser API");
+            Logger.debug('WebMCP API', "All tools registered successfully in browser API");
+            this.dispatchToolsChanged(incoming.filter(name => !previous.includes(name)), dropped);
+        },
+
+        // Adds a single tool without touching the others. Throws if the name is already taken.
+        registerTool: function(tool) {
+            if (!tool || !tool.name || typeof tool.execute !== 'function') {
+                throw new TypeError('registerTool() requires a tool with a name and an execute function.');
+            }
+            if (tool.capabilities !== undefined && (!Array.isArray(tool.capabilities) || tool.capabilities.some(scope => typeof scope !== 'string'))) {
+                throw new TypeError(`registerTool(): '${tool.name}' capabilities must be an array of scope strings.`);
+            }
+            if (this.tools.has(tool.name)) {
+                throw new Error(`A tool named '${tool.name}' is already registered.`);
+            }
+            this.tools.set(tool.name, tool);
+            Logger.debug('WebMCP API', `registerTool(): ${tool.name} - ${tool.description}`);
+            this.dispatchToolsChanged([tool.name], []);
+        },
+
+        // Removes a single tool by name. Returns false if no such tool was registered.
+        unregisterTool: function(toolName) {
+            if (!this.tools.delete(toolName)) {
+                Logger.warn('WebMCP API', `unregisterTool(): no tool named '${toolName}' is registered`);
+                return false;
+            }
+            Logger.debug('WebMCP API', `unregisterTool(): ${toolName}`);
+            this.dispatchToolsChanged([], [toolName]);
+            return true;
         },
 
         // A helper function for the AgentClient to call a registered tool.
+        // Every call, allowed or not, is recorded in the audit log.
+        // options.signal (the chat's Stop button) declines a confirmation that is still open.
+        invokeTool: async function(toolName, parameters, options = {}) {
+            const startedAt = Date.now();
+            const result = await this.runTool(toolName, parameters, options);
+            const tool = this.tools.get(toolName);
+            const needsConfirmation = tool && (tool.requiresConfirmation || tool.riskLevel === 'high');
+            AuditLog.record({
+                toolName,
+                args: parameters || {},
+                result,
+                startedAt,
+                durationMs: Date.now() - startedAt,
+                confirmation: needsConfirmation ? ((result && result.confirmation) || 'not_reached') : 'not_required'
+            });
+            return result;
+        },
+
+        // Validates, authorizes, confirms and executes a tool call.
         // This simulates the browser invoking the tool's 'execute' function.
-        invokeTool: async function(toolName, parameters) {
-            console.log(`⚡ [WebMCP Execution] AI agent requesting tool execution: ${toolName}`);
-            console.log(`⚡ [WebMCP Execution] Tool parameters:`, parameters);
-            console.log(`⚡ [WebMCP Execution] This simulates browser-mediated tool execution`);
+        runTool: async function(toolName, parameters, { signal } = {}) {
+            Logger.info('WebMCP Execution', `AI agent requesting tool execution: ${toolName}`);
+            Logger.debug('WebMCP Execution', `Tool parameters:`, parameters);
             
             if (this.tools.has(toolName)) {
                 const tool = this.tools.get(toolName);
-                console.log(`✅ [WebMCP Execution] Tool found, executing: ${toolName}`);
+
+                // Validate the LLM-produced arguments against the tool's inputSchema before executing
+                const args = parameters || {};
+                const validationErrors = SchemaValidator.validate(args, tool.inputSchema);
+                if (validationErrors.length > 0) {
+                    Logger.error('WebMCP Execution', `Invalid arguments for '${toolName}':`, validationErrors);
+                    return {
+                        success: false,
+                        error: 'validation_error',
+                        message: `Invalid arguments for ${toolName}. Correct the listed fields and call the tool again.`,
+                        errors: validationErrors
+                    };
+                }
+
                 try {
+                    // Policy: per-tool rules, rate limits and the scopes granted in this conversation
+                    const permissionDenial = await PermissionPolicy.authorize(tool, args, { signal });
+                    if (permissionDenial) {
+                        return permissionDenial;
+                    }
+
+                    // Human-in-the-loop: sensitive tools pause here until the user approves or denies
+                    if (tool.requiresConfirmation || tool.riskLevel === 'high') {
+                        // An optional preview() checks the request and summarizes it before asking the user
+                        const preview = tool.preview ? await tool.preview(args) : {};
+                        if (preview.success === false) {
+                            Logger.info('WebMCP Execution', `Preview rejected '${toolName}' before confirmation:`, preview.message);
+                            return preview;
+                        }
+
+                        Logger.debug('WebMCP Execution', `'${toolName}' requires user confirmation - waiting for decision`);
+                        const decision = await ConfirmationDialog.request({
+                            toolName,
+                            description: tool.description,
+                            riskLevel: tool.riskLevel,
+                            args,
+                            summary: preview.summary,
+                            signal
+                        });
+                        if (signal && signal.aborted) {
+                            Logger.info('WebMCP Execution', `Request stopped before '${toolName}' was confirmed - tool not executed`);
+                            return {
+                                success: false,
+                                confirmation: 'denied',
+                                message: `The user stopped the request before approving ${toolName}. The action was NOT performed.`
+                            };
+                        }
+                        if (decision !== 'approved') {
+                            Logger.info('WebMCP Execution', `User denied '${toolName}' - tool not executed`);
+                            return {
+                                success: false,
+                                confirmation: 'denied',
+                                message: `The user denied this ${toolName} request. The action was NOT performed.`
+                            };
+                        }
+                    }
+
+                    Logger.debug('WebMCP Execution', `Tool found, arguments valid, executing: ${toolName}`);
                     // Execute the tool's function and return the result
-                    const result = await tool.execute(parameters);
-                    console.log(`✅ [WebMCP Execution] Tool execution completed successfully:`, result);
+                    const result = await tool.execute(args);
+                    Logger.info('WebMCP Execution', `Tool execution completed successfully:`, result);
+                    if (tool.requiresConfirmation || tool.riskLevel === 'high') {
+                        return { ...result, confirmation: 'approved' };
+                    }
                     return result;
                 } catch (error) {
-                    console.error(`❌ [WebMCP Execution] Error executing tool '${toolName}':`, error);
-                    return { success: false, message: `An internal error occurred.` };
+                    Logger.error('WebMCP Execution', `Error executing tool '${toolName}':`, error);
+                    return { success: false, error: 'tool_error', message: `An internal error occurred.` };
                 }
             } else {
-                console.error(`❌ [WebMCP Execution] Unknown tool requested: '${toolName}'`);
-                console.error(`❌ [WebMCP Execution] Available tools:`, Array.from(this.tools.keys()));
-                return { success: false, message: `Unknown action.` };
+                Logger.error('WebMCP Execution', `Unknown tool requested: '${toolName}'`);
+                Logger.error('WebMCP Execution', `Available tools:`, Array.from(this.tools.keys()));
+                return { success: false, error: 'unknown_tool', message: `Unknown action.` };
             }
         }
     };
 
     // Attach the mock API to the window object.
-    console.log('🔧 [WebMCP Simulation] Attaching mock WebMCP API to window.agent');
+    Logger.debug('WebMCP Simulation', 'Attaching mock WebMCP API to window.agent');
     window.agent = mockAgentAPI;
 
 
     // --- 2. Initialize the AI Agent Client ---
     // The AgentClient is the UI the user interacts with. It's passed the mockAgentAPI
     // so it knows how to invoke the tools.
-    console.log('🤖 [Agent Client] Initializing AI Agent Client with WebMCP API');
-    console.log('🤖 [Agent Client] This provides the chat interface for human-AI interaction');
-    new AgentClient(mockAgentAPI);
-    console.log('✅ [Agent Client] AI Agent Client initialized successfully');
+    Logger.debug('Agent Client', 'Initializing AI Agent Client with WebMCP API');
+    window.agentClient = new AgentClient(mockAgentAPI);
+    Logger.debug('Agent Client', 'AI Agent Client initialized successfully');
+    ActivityPanel.init();
+    TraceViewer.init();
+    SettingsPanel.init();
+    ApiKeyDialog.init();
 
 
     // --- 3. Register Fidelity's WebMCP Tools ---
     // This call simulates the Fidelity.com frontend application making its
     // functionality available to the agent.
-    console.log('🏦 [Fidelity Integration] Registering Fidelity financial tools with WebMCP');
-    console.log('🏦 [Fidelity Integration] This simulates how real websites would expose functionality');
+    Logger.debug('Fidelity Integration', 'Registering Fidelity financial tools with WebMCP');
     registerFidelityTools();
-    console.log('✅ [Fidelity Integration] Fidelity tools registration completed');
+    Logger.debug('Fidelity Integration', 'Fidelity tools registration completed');
 
-    console.log("🎉 [WebMCP Demo] WebMCP Proof of Concept fully initialized and ready!");
-    console.log("🎉 [WebMCP Demo] Try asking: 'What's my Roth IRA balance?' or 'Show me 3-year performance'");
-    console.log("🎉 [WebMCP Demo] Watch the console for detailed technical flow during interactions");
+    Logger.info('WebMCP Demo', "WebMCP Proof of Concept fully initialized and ready!");
+    Logger.debug('WebMCP Demo', "Try asking: 'What's my Roth IRA balance?' or 'Show me 3-year performance'");
 
 });
\ No newline at end of file
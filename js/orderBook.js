@@ -0,0 +1,208 @@
+/**
+ * orderBook.js
+ * ------------
+ * Simulated order book for buy and sell orders prepared through the order ticket.
+ * An order is 'pending' from the moment the ticket is filled in; when the user submits it, a
+ * market order fills at the latest price and a limit order fills if the latest price is at or
+ * better than its limit (otherwise it stays pending as an open order). Unsubmitted and open
+ * orders can be 'cancelled'. Fills update the account's positions in PortfolioAnalytics and
+ * settle in its core cash position, so balances do not change. The book is persisted to
+ * localStorage and filled orders are replayed onto the positions on page load.
+ */
+
+const OrderBook = {
+    orders: [],
+
+    // Loads the saved order book and re-applies filled orders to the positions
+    init: () => {
+        try {
+            const raw = window.localStorage.getItem(window.Config.trading.orderBookStorageKey);
+            OrderBook.orders = raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            Logger.warn('Order Book', 'Could not read saved order book - starting empty:', error.message);
+            OrderBook.orders = [];
+        }
+
+        OrderBook.orders
+            .filter(entry => entry.status === 'filled')
+            .forEach(OrderBook.applyFill);
+        Logger.info('Order Book', 'Order book loaded with', OrderBook.orders.length, 'order(s)');
+    },
+
+    persist: () => {
+        try {
+            window.localStorage.setItem(window.Config.trading.orderBookStorageKey, JSON.stringify(OrderBook.orders));
+        } catch (error) {
+            Logger.error('Order Book', 'Failed to save order book:', error.message);
+        }
+    },
+
+    /**
+     * Checks an order against the account and the latest prices and estimates what it costs.
+     * order: { accountId, action: 'buy' | 'sell', symbol, quantity | amount, orderType: 'market' | 'limit', limitPrice }
+     * A dollar `amount` is converted to whole thousandths of a share at the estimate price.
+     * Returns { reasons, estimate }: `reasons` lists human-readable problems (empty when the order
+     * may be placed) and `estimate` is { marketPrice, price, quantity, amount, cashAvailable,
+     * cashAfter, sharesHeld, sharesAfter }, or null when the order is incomplete.
+     */
+    preview: ({ accountId, action, symbol, quantity, amount, orderType = 'market', limitPrice }) => {
+        const reasons = [];
+        const account = mockAccountData[accountId];
+        const ticker = String(symbol || '').toUpperCase();
+
+        if (!account) reasons.push(`Unknown account '${accountId}'.`);
+        if (action !== 'buy' && action !== 'sell') reasons.push("Action must be 'buy' or 'sell'.");
+        if (!mockSecurities[ticker]) {
+            reasons.push(`Unknown symbol '${symbol}'. Tradable symbols: ${Object.keys(mockSecurities).filter(key => key !== PortfolioAnalytics.coreSymbol).join(', ')}.`);
+        } else if (ticker === PortfolioAnalytics.coreSymbol) {
+            reasons.push(`${ticker} is the core cash position and is not traded directly.`);
+        }
+        if (orderType !== 'market' && orderType !== 'limit') reasons.push("Order type must be 'market' or 'limit'.");
+        if (orderType === 'limit' && !(limitPrice > 0)) reasons.push('A limit order needs a positive limit price.');
+        if ((quantity === undefined) === (amount === undefined)) {
+            reasons.push('Give a quantity of shares or a dollar amount, but not both.');
+        } else if (amount !== undefined && orderType !== 'market') {
+            reasons.push('Dollar-amount orders must be market orders.');
+        }
+        if (reasons.length > 0) {
+            return { reasons, estimate: null };
+        }
+
+        const marketPrice = PortfolioAnalytics.latestPrice(ticker);
+        const price = orderType === 'limit' ? limitPrice : marketPrice;
+        const shares = amount !== undefined ? Math.floor((amount / price) * 1000) / 1000 : quantity;
+        if (!(shares > 0)) {
+            reasons.push(amount !== undefined ? `$${amount.toFixed(2)} does not buy any ${ticker} at $${price.toFixed(2)}.` : 'Quantity must be a positive number of shares.');
+            return { reasons, estimate: null };
+        }
+        if (PortfolioAnalytics.roundShares(shares) !== shares) {
+            reasons.push('Quantity cannot include fractions smaller than 0.001 share.');
+        }
+
+        const cost = PortfolioAnalytics.roundCents(shares * price);
+        const cashAvailable = PortfolioAnalytics.coreCash(accountId);
+        const sharesHeld = PortfolioAnalytics.holding(accountId, ticker).shares;
+        if (action === 'buy' && cost > cashAvailable) {
+            reasons.push(`Insufficient cash: ${account.name} has $${cashAvailable.toFixed(2)} available.`);
+        }
+        if (action === 'sell' && shares > sharesHeld) {
+            reasons.push(`Insufficient shares: ${account.name} holds ${sharesHeld} ${ticker}.`);
+        }
+        const sign = action === 'buy' ? 1 : -1;
+        return {
+            reasons,
+            estimate: {
+                marketPrice,
+                price,
+                quantity: shares,
+                amount: cost,
+                cashAvailable,
+                cashAfter: PortfolioAnalytics.roundCents(cashAvailable - sign * cost),
+                sharesHeld,
+                sharesAfter: PortfolioAnalytics.roundShares(sharesHeld + sign * shares)
+            }
+        };
+    },
+
+    /**
+     * Records a new order for the order ticket and returns it. Valid orders are 'pending' until
+     * the user submits or cancels the ticket; invalid ones are recorded as 'rejected' with the reasons.
+     */
+    place: (order) => {
+        Logger.debug('Order Book', 'Placing order:', order);
+        const { reasons, estimate } = OrderBook.preview(order);
+        const ticker = String(order.symbol || '').toUpperCase();
+        const orderType = order.orderType || 'market';
+        const entry = {
+            id: `ORD-${Date.now()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+            type: 'trade',
+            accountId: order.accountId,
+            accountName: mockAccountData[order.accountId]?.name || 'N/A',
+            action: order.action,
+            symbol: ticker,
+            securityName: mockSecurities[ticker]?.name || 'N/A',
+            quantity: estimate ? estimate.quantity : order.quantity ?? null,
+            requestedAmount: order.amount ?? null,
+            orderType,
+            limitPrice: orderType === 'limit' ? order.limitPrice : null,
+            estimate,
+            status: reasons.length > 0 ? 'rejected' : 'pending',
+            reasons,
+            createdAt: new Date().toISOString(),
+            submittedAt: null
+        };
+        OrderBook.orders.push(entry);
+        OrderBook.persist();
+        return entry;
+    },
+
+    // Whether a submitted order can fill at `marketPrice`
+    marketable: (entry, marketPrice) => entry.orderType === 'market'
+        || (entry.action === 'buy' ? marketPrice <= entry.limitPrice : marketPrice >= entry.limitPrice),
+
+    /**
+     * The user submitted the order ticket: re-checks the order (balances may have changed) and
+     * fills it if the price allows. Returns the updated entry, or null for an unknown order.
+     * Orders that were already submitted, filled, cancelled or rejected are returned unchanged.
+     */
+    submit: (orderId) => {
+        const entry = OrderBook.getStatus(orderId);
+        if (!entry || entry.status !== 'pending' || entry.submittedAt) {
+            return entry;
+        }
+        const { reasons, estimate } = OrderBook.preview(entry);
+        entry.submittedAt = new Date().toISOString();
+        if (reasons.length > 0) {
+            entry.status = 'rejected';
+            entry.reasons = reasons;
+            Logger.warn('Order Book', 'Order rejected on submit:', entry.id, reasons);
+        } else if (OrderBook.marketable(entry, estimate.marketPrice)) {
+            entry.status = 'filled';
+            entry.fillPrice = estimate.marketPrice;
+            entry.fillAmount = PortfolioAnalytics.roundCents(entry.quantity * estimate.marketPrice);
+            entry.filledAt = entry.submittedAt;
+            OrderBook.applyFill(entry);
+            Logger.info('Order Book', 'Order filled:', entry.id, `${entry.action} ${entry.quantity} ${entry.symbol} at $${entry.fillPrice}`);
+        } else {
+            entry.estimate = estimate;
+            Logger.info('Order Book', 'Limit order open:', entry.id, `limit $${entry.limitPrice}, market $${estimate.marketPrice}`);
+        }
+        OrderBook.persist();
+        return entry;
+    },
+
+    // Cancels a pending order (unsubmitted or open); other orders are returned unchanged
+    cancel: (orderId) => {
+        const entry = OrderBook.getStatus(orderId);
+        if (entry && entry.status === 'pending') {
+            entry.status = 'cancelled';
+            entry.cancelledAt = new Date().toISOString();
+            OrderBook.persist();
+            Logger.info('Order Book', 'Order cancelled:', entry.id);
+        }
+        return entry;
+    },
+
+    applyFill: (entry) => {
+        if (!mockAccountData[entry.accountId]) {
+            return;
+        }
+        const shares = entry.action === 'buy' ? entry.quantity : -entry.quantity;
+        PortfolioAnalytics.applyTrade(entry.accountId, entry.symbol, shares, entry.fillAmount);
+    },
+
+    // Most recent orders first, optionally limited to one account
+    getOrders: ({ accountId, limit } = {}) => {
+        return OrderBook.orders
+            .filter(entry => !accountId || entry.accountId === accountId)
+            .slice()
+            .reverse()
+            .slice(0, limit || undefined);
+    },
+
+    getStatus: (orderId) => {
+        return OrderBook.orders.find(entry => entry.id === orderId) || null;
+    }
+};
+
+window.OrderBook = OrderBook;
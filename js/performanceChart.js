@@ -0,0 +1,197 @@
+/**
+ * performanceChart.js
+ * -------------------
+ * SVG chart for portfolio performance: bars for the portfolio (or one account), an optional
+ * benchmark line, a y axis of cumulative return in percent and one label per period.
+ * Every period's bar is focusable; hovering or focusing it (arrow keys move between periods)
+ * shows a tooltip with the values and the difference to the benchmark.
+ */
+
+const PerformanceChart = {
+    svgNS: 'http://www.w3.org/2000/svg',
+    width: 520,
+    height: 240,
+    margin: { top: 16, right: 16, bottom: 32, left: 52 },
+
+    formatPercent: (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`,
+
+    // Creates an SVG element with attributes and optional text
+    svgElement: (name, attributes = {}, text) => {
+        const element = document.createElementNS(PerformanceChart.svgNS, name);
+        Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+        if (text !== undefined) {
+            element.textContent = text;
+        }
+        return element;
+    },
+
+    // Evenly spaced round tick values covering min..max, always including 0
+    ticks: (min, max, count = 5) => {
+        const low = Math.min(0, min);
+        const high = Math.max(0, max);
+        const rough = (high - low) / count || 1;
+        const magnitude = 10 ** Math.floor(Math.log10(rough));
+        const step = [1, 2, 2.5, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+        const ticks = [];
+        for (let value = Math.floor(low / step) * step; value <= Math.ceil(high / step) * step + step / 2; value += step) {
+            ticks.push(Math.round(value * 100) / 100);
+        }
+        return ticks;
+    },
+
+    // Tooltip lines for one period: each series' value, and the gap to the benchmark if there is one
+    describe: (chart, index) => {
+        const [primary, benchmark] = chart.series;
+        const lines = chart.series.map(series => `${series.name}: ${PerformanceChart.formatPercent(series.values[index])}`);
+        if (benchmark) {
+            const gap = primary.values[index] - benchmark.values[index];
+            lines.push(`vs ${benchmark.name}: ${gap >= 0 ? '+' : ''}${gap.toFixed(1)} pts`);
+        }
+        return lines;
+    },
+
+    /**
+     * Draws the chart into `container`, replacing its content.
+     * chart: { title, periods: [label], series: [{ name, values }] } - the first series is drawn
+     * as bars, an optional second one (the benchmark) as a line.
+     */
+    render: (container, chart) => {
+        const { width, height, margin } = PerformanceChart;
+        const [primary, benchmark] = chart.series;
+        const allValues = chart.series.flatMap(series => series.values);
+        const ticks = PerformanceChart.ticks(Math.min(...allValues), Math.max(...allValues));
+        const yMin = ticks[0];
+        const yMax = ticks[ticks.length - 1];
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const band = plotWidth / chart.periods.length;
+        const x = (index) => margin.left + band * index + band / 2;
+        const y = (value) => margin.top + plotHeight * (1 - (value - yMin) / (yMax - yMin));
+
+        container.innerHTML = '';
+        const svg = PerformanceChart.svgElement('svg', {
+            class: 'performance-svg',
+            viewBox: `0 0 ${width} ${height}`,
+            role: 'group',
+            'aria-label': chart.title
+        });
+
+        // Y axis: gridlines with percentage labels, and the axis title
+        ticks.forEach(tick => {
+            svg.appendChild(PerformanceChart.svgElement('line', {
+                class: tick === 0 ? 'chart-zero-line' : 'chart-gridline',
+                x1: margin.left, x2: width - margin.right, y1: y(tick), y2: y(tick)
+            }));
+            svg.appendChild(PerformanceChart.svgElement('text', {
+                class: 'chart-axis-label', x: margin.left - 6, y: y(tick) + 4, 'text-anchor': 'end'
+            }, `${tick}%`));
+        });
+        svg.appendChild(PerformanceChart.svgElement('text', {
+            class: 'chart-axis-title',
+            transform: `translate(12 ${margin.top + plotHeight / 2}) rotate(-90)`,
+            'text-anchor': 'middle'
+        }, 'Cumulative return'));
+
+        // X axis: one label per period
+        chart.periods.forEach((period, index) => {
+            svg.appendChild(PerformanceChart.svgElement('text', {
+                class: 'chart-axis-label', x: x(index), y: height - margin.bottom + 18, 'text-anchor': 'middle'
+            }, period));
+        });
+
+        // Portfolio bars, drawn from the zero line so losses point down
+        const barWidth = Math.min(40, band * 0.5);
+        const bars = primary.values.map((value, index) => {
+            const bar = PerformanceChart.svgElement('rect', {
+                class: `chart-bar${value < 0 ? ' negative' : ''}`,
+                x: x(index) - barWidth / 2,
+                y: Math.min(y(value), y(0)),
+                width: barWidth,
+                height: Math.max(1, Math.abs(y(value) - y(0))),
+                rx: 3,
+                tabindex: 0,
+                'data-value': PerformanceChart.formatPercent(value),
+                'aria-label': `${chart.periods[index]}: ${PerformanceChart.describe(chart, index).join(', ')}`
+            });
+            svg.appendChild(bar);
+            return bar;
+        });
+
+        // Benchmark line with a marker per period
+        const markers = [];
+        if (benchmark) {
+            svg.appendChild(PerformanceChart.svgElement('polyline', {
+                class: 'chart-benchmark-line',
+                points: benchmark.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')
+            }));
+            benchmark.values.forEach((value, index) => {
+                const marker = PerformanceChart.svgElement('circle', { class: 'chart-benchmark-point', cx: x(index), cy: y(value), r: 4 });
+                svg.appendChild(marker);
+                markers.push(marker);
+            });
+        }
+        container.appendChild(svg);
+
+        const tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip';
+        tooltip.setAttribute('role', 'status');
+        tooltip.style.display = 'none';
+        container.appendChild(tooltip);
+
+        const show = (index) => {
+            tooltip.innerHTML = '';
+            const heading = document.createElement('strong');
+            heading.textContent = chart.periods[index];
+            tooltip.appendChild(heading);
+            PerformanceChart.describe(chart, index).forEach(line => {
+                const lineEl = document.createElement('div');
+                lineEl.textContent = line;
+                tooltip.appendChild(lineEl);
+            });
+            // Positioned in percent of the viewBox so it follows the chart when it scales
+            tooltip.style.left = `${(x(index) / width) * 100}%`;
+            tooltip.style.top = `${(Math.min(y(primary.values[index]), y(0)) / height) * 100}%`;
+            tooltip.style.display = 'block';
+            bars.forEach((bar, barIndex) => bar.classList.toggle('focused', barIndex === index));
+        };
+        const hide = () => {
+            tooltip.style.display = 'none';
+            bars.forEach(bar => bar.classList.remove('focused'));
+        };
+
+        bars.forEach((bar, index) => {
+            bar.addEventListener('mouseenter', () => show(index));
+            bar.addEventListener('mouseleave', hide);
+            bar.addEventListener('focus', () => show(index));
+            bar.addEventListener('blur', hide);
+            bar.addEventListener('keydown', (event) => {
+                const step = { ArrowRight: 1, ArrowLeft: -1 }[event.key];
+                if (step && bars[index + step]) {
+                    event.preventDefault();
+                    bars[index + step].focus();
+                }
+            });
+        });
+        markers.forEach((marker, index) => {
+            marker.addEventListener('mouseenter', () => show(index));
+            marker.addEventListener('mouseleave', hide);
+        });
+
+        // Legend: what the bars are and what they are compared against
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        chart.series.forEach((series, index) => {
+            const item = document.createElement('span');
+            item.className = `chart-legend-item ${index === 0 ? 'portfolio' : 'benchmark'}`;
+            item.textContent = `${series.name} ${PerformanceChart.formatPercent(series.values[series.values.length - 1])}`;
+            legend.appendChild(item);
+        });
+        const note = document.createElement('span');
+        note.className = 'chart-legend-note';
+        note.textContent = 'Cumulative return since the start of the period.';
+        legend.appendChild(note);
+        container.appendChild(legend);
+    }
+};
+
+window.PerformanceChart = PerformanceChart;
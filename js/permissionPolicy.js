@@ -0,0 +1,159 @@
+/**
+ * permissionPolicy.js
+ * -------------------
+ * Policy layer for the simulated `window.agent` API.
+ * Tools declare the capabilities they need (e.g. `capabilities: ['read:accounts']`), the user
+ * grants those scopes once per chat session through a consent prompt, and the rules in
+ * `Config.permissions` (per-tool allow/deny, rate limits, max transfer amount) are checked
+ * before every call. `invokeTool` returns a denial to the model as a structured result
+ * (`error: 'permission_denied'` plus a machine-readable `reason`) instead of running the tool.
+ */
+
+const PermissionPolicy = {
+    // Consent of the active chat session: scopes the user granted or refused
+    consent: { granted: [], denied: [] },
+    saveConsent: null,
+
+    // Timestamps of recent calls per tool, for rate limiting
+    callLog: {},
+
+    /**
+     * Switches to the consent of a chat session.
+     * `save(consent)` is called whenever the user grants, refuses or resets scopes.
+     */
+    useSession: (consent, save) => {
+        PermissionPolicy.consent = {
+            granted: (consent && consent.granted) || [],
+            denied: (consent && consent.denied) || []
+        };
+        PermissionPolicy.saveConsent = save || null;
+    },
+
+    updateConsent: (changes) => {
+        PermissionPolicy.consent = { ...PermissionPolicy.consent, ...changes };
+        if (PermissionPolicy.saveConsent) {
+            PermissionPolicy.saveConsent(PermissionPolicy.consent);
+        }
+    },
+
+    // Revokes every scope granted (or refused) in the active session
+    resetConsent: () => {
+        Logger.info('Permission Policy', 'Resetting consent for the active session');
+        PermissionPolicy.updateConsent({ granted: [], denied: [] });
+    },
+
+    grantedScopes: () => [...new Set([...window.Config.permissions.defaultScopes, ...PermissionPolicy.consent.granted])],
+
+    // Scopes the tool declares that are not granted yet ('allow' rules need none)
+    missingScopes: (tool) => {
+        if (window.Config.permissions.rules[tool.name] === 'allow') {
+            return [];
+        }
+        const granted = PermissionPolicy.grantedScopes();
+        return (tool.capabilities || []).filter(scope => !granted.includes(scope));
+    },
+
+    denial: (tool, reason, message, details = {}) => {
+        Logger.warn('Permission Policy', `Denied ${tool.name} (${reason}): ${message}`);
+        return { success: false, error: 'permission_denied', reason, tool: tool.name, message, ...details };
+    },
+
+    /**
+     * Checks the static rules for one call: per-tool deny, rate limit and max transfer amount.
+     * Returns a denial result, or null when the call is allowed. An allowed call takes its rate-limit
+     * slot right away (timestamp `now`), so parallel calls cannot all pass the check before any of
+     * them is counted; `release` gives the slot back if the call does not go ahead.
+     */
+    checkRules: (tool, args, now = Date.now()) => {
+        const settings = window.Config.permissions;
+
+        if (settings.rules[tool.name] === 'deny') {
+            return PermissionPolicy.denial(tool, 'tool_denied',
+                `Policy does not allow the assistant to use ${tool.name}. Do not retry; tell the user it is blocked.`);
+        }
+
+        // Tools without a rate limit are not logged at all, so the log only holds recent calls
+        const limit = settings.rateLimits[tool.name] || settings.rateLimits.default;
+        const recent = limit ? (PermissionPolicy.callLog[tool.name] || []).filter(time => now - time < limit.windowMs) : null;
+        if (limit) {
+            PermissionPolicy.callLog[tool.name] = recent;
+        }
+        if (limit && recent.length >= limit.maxCalls) {
+            const retryAfterMs = limit.windowMs - (now - recent[0]);
+            return PermissionPolicy.denial(tool, 'rate_limited',
+                `${tool.name} may be called at most ${limit.maxCalls} times per ${limit.windowMs / 1000} seconds.`,
+                { retryAfterMs });
+        }
+
+        const movesMoney = (tool.capabilities || []).includes('write:transfers');
+        if (movesMoney && typeof args.amount === 'number' && args.amount > settings.maxTransferAmount) {
+            return PermissionPolicy.denial(tool, 'amount_limit_exceeded',
+                `Transfers above $${settings.maxTransferAmount.toFixed(2)} are not allowed through the assistant.`,
+                { maxAmount: settings.maxTransferAmount });
+        }
+
+        if (limit) {
+            recent.push(now);
+        }
+        return null;
+    },
+
+    // Gives back the rate-limit slot `checkRules` reserved at `time`
+    release: (tool, time) => {
+        const log = PermissionPolicy.callLog[tool.name] || [];
+        const index = log.indexOf(time);
+        if (index !== -1) {
+            log.splice(index, 1);
+        }
+    },
+
+    /**
+     * Decides whether a tool call may run, asking the user for missing scopes if needed.
+     * Resolves with a denial result, or null when the call is allowed (and counts it for rate limiting).
+     * Aborting `signal` (the chat's Stop button) closes an open consent prompt without recording a refusal.
+     */
+    authorize: async (tool, args, { signal } = {}) => {
+        const now = Date.now();
+        const ruleDenial = PermissionPolicy.checkRules(tool, args, now);
+        if (ruleDenial) {
+            return ruleDenial;
+        }
+
+        // Queued behind other dialogs, and re-checked there, so parallel calls needing the same scope prompt once
+        const consentDenial = await ConfirmationDialog.enqueue(async () => {
+            const missing = PermissionPolicy.missingScopes(tool);
+            if (missing.length === 0) {
+                return null;
+            }
+            const refused = missing.filter(scope => PermissionPolicy.consent.denied.includes(scope));
+            if (refused.length > 0) {
+                return PermissionPolicy.denial(tool, 'scope_denied',
+                    `The user declined to grant ${refused.join(', ')} in this conversation. Do not retry.`,
+                    { scopes: refused });
+            }
+
+            const decision = await ConfirmationDialog.showConsent({ toolName: tool.name, scopes: missing, signal });
+            if (signal && signal.aborted) {
+                return PermissionPolicy.denial(tool, 'scope_denied',
+                    `The user stopped the request before granting ${missing.join(', ')}. The action was NOT performed.`,
+                    { scopes: missing });
+            }
+            const { granted, denied } = PermissionPolicy.consent;
+            if (decision !== 'granted') {
+                PermissionPolicy.updateConsent({ denied: [...new Set([...denied, ...missing])] });
+                return PermissionPolicy.denial(tool, 'scope_denied',
+                    `The user declined to grant ${missing.join(', ')}. The action was NOT performed.`,
+                    { scopes: missing });
+            }
+            PermissionPolicy.updateConsent({ granted: [...new Set([...granted, ...missing])] });
+            return null;
+        });
+        if (consentDenial) {
+            PermissionPolicy.release(tool, now);
+            return consentDenial;
+        }
+        return null;
+    }
+};
+
+window.PermissionPolicy = PermissionPolicy;
@@ -0,0 +1,382 @@
+/**
+ * portfolioAnalytics.js
+ * ---------------------
+ * Holdings and month-end price history per account, and the analytics computed from them:
+ * time-weighted return, annualized return, volatility and asset allocation for each period.
+ * The dashboard, the REST mock server and the WebMCP tools all read their figures from here,
+ * so what the agent reports always matches what the page shows.
+ */
+
+// Securities held in the mock accounts, with their asset class and sector.
+// Funds carry their own sector ('Diversified'), not a look-through of the stocks they hold.
+const mockSecurities = {
+    "FXAIX": { name: "Fidelity 500 Index Fund", assetClass: "US Stocks", sector: "Diversified" },
+    "FSKAX": { name: "Fidelity Total Market Index Fund", assetClass: "US Stocks", sector: "Diversified" },
+    "AAPL": { name: "Apple Inc.", assetClass: "US Stocks", sector: "Technology" },
+    "MSFT": { name: "Microsoft Corp.", assetClass: "US Stocks", sector: "Technology" },
+    "FTIHX": { name: "Fidelity Total International Index Fund", assetClass: "International Stocks", sector: "Diversified" },
+    "FXNAX": { name: "Fidelity U.S. Bond Index Fund", assetClass: "Bonds", sector: "Fixed Income" },
+    "SPAXX": { name: "Fidelity Government Money Market Fund", assetClass: "Cash", sector: "Cash" }
+};
+
+// Shares and total cost basis per account over the whole price history; filled trade orders are
+// applied on top (see PortfolioAnalytics.tradeAdjustments) and leave the history untouched.
+// SPAXX is each account's core (cash) position at $1.00: transfers and trades settle into and out
+// of it, so its current value is the account balance minus all other positions (never below zero:
+// transfers and buys are limited to it), and its cost is its value.
+const mockHoldings = {
+    "acc_brokerage_123": {
+        "AAPL": { shares: 20, costBasis: 2843.60 },
+        "MSFT": { shares: 8, costBasis: 2415.12 },
+        "FSKAX": { shares: 25, costBasis: 2712.50 },
+        "SPAXX": { shares: 3311.82 }
+    },
+    "acc_roth_456": {
+        "FXAIX": { shares: 250, costBasis: 38125.00 },
+        "FTIHX": { shares: 1200, costBasis: 15960.00 },
+        "FXNAX": { shares: 1000, costBasis: 10480.00 },
+        "SPAXX": { shares: 6211.25 }
+    },
+    "acc_401k_789": {
+        "FXAIX": { shares: 700, costBasis: 92400.00 },
+        "FTIHX": { shares: 3000, costBasis: 37500.00 },
+        "FXNAX": { shares: 4000, costBasis: 42600.00 },
+        "SPAXX": { shares: 5881.40 }
+    },
+    "acc_cash_101": {
+        "SPAXX": { shares: 5200.00 }
+    }
+};
+
+// Synthetic month-end total-return prices (distributions reinvested), oldest first, one per month
+// from June 2020 to the as-of date; benchmarks are index levels on the same dates
+const mockPriceHistory = {
+    startYear: 2020,
+    startMonth: 6,
+    prices: {
+        "FXAIX": [98.6, 94.61, 95.58, 89.49, 86.17, 87.99, 88.47, 88.97, 93.48, 98.82, 95.99, 105.46, 115.07, 115.2, 116.62, 114.13, 121.3, 121.82, 121.22, 122.6, 123.19, 129.64, 127.09, 128.29, 130.64, 138.63, 134.39, 143.73, 143.91, 138.89, 142.91, 136.54, 126.67, 127.23, 127.84, 130.41, 130.4, 137.39, 135.62, 142.39, 141.84, 137.26, 147.84, 145.58, 156.14, 152.79, 142.11, 145.56, 157.12, 163.82, 167.78, 178.16, 173.24, 180.61, 182.91, 208.5, 219.2, 220.88, 214.04, 220.24, 215.87],
+        "FSKAX": [77.5, 74.66, 75.34, 71.17, 69.32, 70.44, 71, 71.12, 74.8, 78.85, 77.57, 85.48, 93.34, 93.14, 94.91, 92.09, 96.71, 97.22, 96.97, 97.56, 97.99, 102.5, 101.3, 102.08, 103.69, 110, 105.73, 113.54, 113.35, 109.07, 111.57, 106.71, 98.96, 99.18, 99.34, 101.33, 101.24, 106.63, 105.65, 110.74, 110.04, 106.93, 114.03, 112.01, 118.42, 115.93, 107.29, 110.68, 120.28, 125.84, 128.46, 136.01, 131.79, 137.59, 138.92, 157.03, 166.53, 166.84, 160.61, 164.05, 161.43],
+        "AAPL": [108.85, 106.55, 98.83, 100.29, 90.46, 85.19, 84.1, 91.85, 91.36, 98.78, 98.89, 107.01, 118.94, 113.35, 125.63, 122.93, 128.69, 145.05, 155.29, 154.3, 180.57, 179.97, 171.55, 167.88, 147.96, 155.96, 142.89, 152.9, 146.52, 133.05, 139.08, 124.78, 116.64, 109.67, 112.99, 113.79, 118.93, 125.06, 123.75, 130.26, 115.88, 119.1, 127.3, 141.49, 152.84, 144.58, 133.24, 146.67, 161.56, 162.55, 157.06, 170.89, 154.21, 173.14, 185.87, 188.56, 200.91, 232.48, 228.52, 219.6, 205.17],
+        "MSFT": [156.55, 147.08, 154.52, 144.05, 135.16, 131.21, 124.9, 126.17, 135.21, 152.1, 159.13, 175.68, 194.31, 194.91, 194.54, 189.78, 224.34, 215.14, 211.76, 209.79, 216.61, 225.59, 232.75, 233.04, 237.69, 238.98, 248.65, 266.87, 284.4, 305.49, 307.39, 310.03, 304.74, 302.94, 319.19, 332.83, 354.09, 386.83, 370.89, 399.89, 386.14, 339.94, 361.76, 353.68, 383.8, 368.99, 329.25, 334.92, 377.78, 423.67, 435.05, 485.11, 469.1, 481.06, 464.29, 544.78, 584.65, 597.75, 556.99, 573.79, 497.41],
+        "FTIHX": [9.42, 9.05, 9.4, 8.84, 8.58, 8.47, 8.37, 8.2, 8.85, 9.62, 9.45, 10.26, 10.58, 10.24, 10.28, 10, 10.07, 9.85, 9.9, 10.05, 11.12, 10.98, 10.75, 10.84, 11.23, 10.98, 10.65, 11.02, 11.45, 10.91, 10.93, 10.5, 9.77, 9.43, 9.07, 9.56, 9.19, 9.53, 9.83, 9.82, 9.99, 9.82, 10.72, 10.88, 11.49, 11.03, 9.87, 10.04, 10.74, 11.47, 11.69, 12.15, 12.27, 12.71, 13.2, 14.73, 15.16, 15.47, 15.62, 16.26, 16.21],
+        "FXNAX": [10.75, 10.74, 10.61, 10.47, 10.29, 10.32, 10.34, 10.16, 10.1, 10.46, 10.29, 10.12, 9.99, 9.87, 9.74, 9.8, 9.76, 9.8, 9.78, 9.79, 9.74, 9.7, 9.88, 9.62, 9.51, 9.58, 9.8, 10.06, 9.99, 10.01, 10, 10.16, 10.08, 10.36, 10.49, 10.17, 10.24, 9.99, 9.88, 9.83, 9.93, 9.75, 10.07, 10.07, 9.97, 10.06, 10.17, 9.89, 9.82, 9.99, 10.13, 9.87, 9.85, 9.87, 9.8, 9.92, 9.85, 9.8, 9.83, 9.88, 9.87],
+        "SPAXX": [0.8803, 0.8803, 0.8803, 0.8803, 0.8804, 0.8804, 0.8804, 0.8804, 0.8804, 0.8804, 0.8805, 0.8805, 0.8805, 0.8805, 0.8805, 0.8806, 0.8806, 0.8806, 0.8806, 0.8806, 0.8806, 0.8807, 0.8807, 0.881, 0.8816, 0.8825, 0.8837, 0.8851, 0.8869, 0.889, 0.8913, 0.894, 0.897, 0.9002, 0.9039, 0.9076, 0.9114, 0.9151, 0.9188, 0.9226, 0.9264, 0.9302, 0.934, 0.9378, 0.9417, 0.9455, 0.9494, 0.9533, 0.9572, 0.9611, 0.9651, 0.969, 0.9724, 0.9758, 0.9793, 0.9827, 0.9861, 0.9896, 0.993, 0.9965, 1]
+    },
+    benchmarks: {
+        "S&P 500": [2832.46, 2717.95, 2745.66, 2570.84, 2475.55, 2527.72, 2541.67, 2555.88, 2685.55, 2839.13, 2757.64, 3029.73, 3306.13, 3309.84, 3350.72, 3279.09, 3485.17, 3500.13, 3482.86, 3522.69, 3539.46, 3725.01, 3651.64, 3686.31, 3753.85, 3983.52, 3861.6, 4129.92, 4135.25, 3991.03, 4106.69, 3923.57, 3640.09, 3656.23, 3673.76, 3747.55, 3747.19, 3948.32, 3897.54, 4091.94, 4076.26, 3944.58, 4248.61, 4183.77, 4487.42, 4391.23, 4084.14, 4183.32, 4515.74, 4708.23, 4822.21, 5120.44, 4979.13, 5191.17, 5257.18, 5992.67, 6300.48, 6348.74, 6152.29, 6330.48, 6204.95],
+        "US Aggregate Bond": [2376.44, 2372.22, 2346.56, 2316.63, 2275.91, 2281.88, 2284.71, 2244.99, 2230.84, 2306.6, 2267.33, 2230.12, 2202.13, 2174.34, 2143.91, 2159.74, 2151.66, 2162.55, 2158.54, 2163.96, 2153.51, 2145.98, 2188.04, 2131.6, 2107.19, 2122.99, 2172.93, 2231.82, 2217.95, 2223.72, 2223.96, 2259.69, 2238.2, 2298.8, 2332.13, 2261.55, 2278.58, 2222.95, 2199.37, 2189.66, 2211.15, 2172.04, 2244.55, 2243.58, 2221.44, 2242.79, 2265.63, 2205.36, 2192.37, 2230.75, 2260.75, 2201.2, 2198.75, 2206.43, 2196.1, 2219.42, 2207.75, 2195.87, 2202.53, 2216.51, 2218.4]
+    }
+};
+
+const PortfolioAnalytics = {
+    coreSymbol: 'SPAXX',
+
+    // Share and cost-basis changes from filled trade orders: { accountId: { symbol: { shares, costBasis } } }
+    tradeAdjustments: {},
+
+    // Chart points per period: `months` of history, one point every `step` months (YTD runs from January)
+    periods: {
+        'YTD': { step: 1 },
+        '1 Year': { months: 12, step: 3 },
+        '3 Year': { months: 36, step: 12 },
+        '5 Year': { months: 60, step: 12 }
+    },
+
+    monthNames: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+
+    formatPercent: (fraction) => `${fraction >= 0 ? '+' : ''}${(fraction * 100).toFixed(1)}%`,
+    // Part of a total as a weight, e.g. '12.5%'; an account with nothing left in it gives '0.0%'
+    formatWeight: (value, total) => `${(total ? (value / total) * 100 : 0).toFixed(1)}%`,
+    formatMoney: (value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+    roundCents: (value) => Math.round(value * 100) / 100,
+
+    // Shares are held in thousandths, like fractional shares
+    roundShares: (value) => Math.round(value * 1000) / 1000,
+
+    // Index of the latest price (the as-of date)
+    lastIndex: () => mockPriceHistory.prices[PortfolioAnalytics.coreSymbol].length - 1,
+
+    latestPrice: (symbol) => mockPriceHistory.prices[symbol][PortfolioAnalytics.lastIndex()],
+
+    // Calendar year and month (1-12) of a price index
+    monthAt: (index) => {
+        const months = mockPriceHistory.startMonth - 1 + index;
+        return { year: mockPriceHistory.startYear + Math.floor(months / 12), month: (months % 12) + 1 };
+    },
+
+    // As-of date of the analytics, e.g. '2025-06-30'
+    asOf: () => {
+        const { year, month } = PortfolioAnalytics.monthAt(PortfolioAnalytics.lastIndex());
+        const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        return `${year}-${String(month).padStart(2, '0')}-${lastDay}`;
+    },
+
+    // Chart label of a price index: 'Mar' for monthly points, 'Q1 2025' for quarterly, 'Jun 2023' for yearly
+    pointLabel: (index, step) => {
+        const { year, month } = PortfolioAnalytics.monthAt(index);
+        if (step === 1) {
+            return PortfolioAnalytics.monthNames[month - 1];
+        }
+        if (step === 3) {
+            return `Q${Math.ceil(month / 3)} ${year}`;
+        }
+        return `${PortfolioAnalytics.monthNames[month - 1]} ${year}`;
+    },
+
+    // First price index of a period and the indexes of its chart points
+    span: (period) => {
+        const settings = PortfolioAnalytics.periods[period];
+        const end = PortfolioAnalytics.lastIndex();
+        const months = settings.months || PortfolioAnalytics.monthAt(end).month;
+        const points = [];
+        for (let index = end; index > end - months; index -= settings.step) {
+            points.unshift(index);
+        }
+        return { start: end - months, points, months };
+    },
+
+    getAccount: (accountId) => {
+        const account = mockAccountData[accountId];
+        if (!account) {
+            throw new Error(`Account '${accountId}' not found.`);
+        }
+        return account;
+    },
+
+    /**
+     * Month-end values of an account and the external cash flow at each point.
+     * History uses the fixture holdings; the latest value is the live balance, and the difference
+     * (transfers since the fixtures were taken) counts as a flow so it does not look like a return.
+     */
+    accountSeries: (accountId) => {
+        const account = PortfolioAnalytics.getAccount(accountId);
+        const holdings = mockHoldings[accountId] || {};
+        const last = PortfolioAnalytics.lastIndex();
+        const values = [];
+        for (let index = 0; index <= last; index++) {
+            values.push(Object.entries(holdings).reduce((sum, [symbol, holding]) => sum + holding.shares * mockPriceHistory.prices[symbol][index], 0));
+        }
+        const flows = values.map(() => 0);
+        flows[last] = account.balance - values[last];
+        values[last] = account.balance;
+        return { values, flows };
+    },
+
+    // Whole portfolio: the sum of all accounts (transfers between them cancel out)
+    portfolioSeries: () => {
+        const all = Object.keys(mockAccountData).map(PortfolioAnalytics.accountSeries);
+        const sum = (key) => all[0][key].map((_, index) => all.reduce((total, series) => total + series[key][index], 0));
+        return { values: sum('values'), flows: sum('flows') };
+    },
+
+    benchmarkSeries: (name) => {
+        const values = mockPriceHistory.benchmarks[name];
+        if (!values) {
+            throw new Error(`Unknown benchmark '${name}'. Available: ${Object.keys(mockPriceHistory.benchmarks).join(', ')}.`);
+        }
+        return { values, flows: values.map(() => 0) };
+    },
+
+    // Monthly returns between two price indexes, each net of that month's cash flow
+    monthlyReturns: (series, from, to) => {
+        const returns = [];
+        for (let index = from + 1; index <= to; index++) {
+            returns.push((series.values[index] - series.flows[index]) / series.values[index - 1] - 1);
+        }
+        return returns;
+    },
+
+    // Time-weighted return: monthly returns chained, so deposits and withdrawals do not count
+    timeWeightedReturn: (series, from, to) =>
+        PortfolioAnalytics.monthlyReturns(series, from, to).reduce((growth, monthly) => growth * (1 + monthly), 1) - 1,
+
+    // Compound annual rate; null for periods shorter than a year, which are not annualized
+    annualize: (totalReturn, months) => (months < 12 ? null : (1 + totalReturn) ** (12 / months) - 1),
+
+    // Annualized standard deviation of the monthly returns
+    volatility: (series, from, to) => {
+        const returns = PortfolioAnalytics.monthlyReturns(series, from, to);
+        if (returns.length < 2) {
+            return 0;
+        }
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+        return Math.sqrt(variance * 12);
+    },
+
+    // Cumulative return at each chart point and the period's statistics, formatted for display
+    summarize: (series, span) => {
+        const totalReturn = PortfolioAnalytics.timeWeightedReturn(series, span.start, PortfolioAnalytics.lastIndex());
+        const annualized = PortfolioAnalytics.annualize(totalReturn, span.months);
+        return {
+            values: span.points.map(index => Math.round(PortfolioAnalytics.timeWeightedReturn(series, span.start, index) * 1000) / 10),
+            totalReturn: PortfolioAnalytics.formatPercent(totalReturn),
+            annualizedReturn: annualized === null ? null : PortfolioAnalytics.formatPercent(annualized),
+            volatility: `${(PortfolioAnalytics.volatility(series, span.start, PortfolioAnalytics.lastIndex()) * 100).toFixed(1)}%`
+        };
+    },
+
+    /**
+     * Performance report for a period (unknown periods fall back to YTD), for the whole portfolio
+     * or one account (`accountId`), with an optional `benchmark` series and each account's figures.
+     * Shared by the in-memory data source and the mock REST server.
+     */
+    performanceReport: (period, { benchmark, accountId } = {}) => {
+        const key = Object.prototype.hasOwnProperty.call(PortfolioAnalytics.periods, period) ? period : 'YTD';
+        const span = PortfolioAnalytics.span(key);
+        const series = accountId ? PortfolioAnalytics.accountSeries(accountId) : PortfolioAnalytics.portfolioSeries();
+        const report = {
+            period: key,
+            asOf: PortfolioAnalytics.asOf(),
+            months: span.points.map(index => PortfolioAnalytics.pointLabel(index, PortfolioAnalytics.periods[key].step)),
+            ...PortfolioAnalytics.summarize(series, span),
+            portfolioValue: PortfolioAnalytics.formatMoney(series.values[series.values.length - 1])
+        };
+        report.breakdown = Object.values(mockAccountData).map(account => {
+            const { totalReturn, annualizedReturn, volatility } = PortfolioAnalytics.summarize(PortfolioAnalytics.accountSeries(account.id), span);
+            return { accountId: account.id, name: account.name, totalReturn, annualizedReturn, volatility };
+        });
+        if (accountId) {
+            const account = PortfolioAnalytics.getAccount(accountId);
+            report.account = { id: account.id, name: account.name };
+        }
+        if (benchmark) {
+            report.benchmark = { name: benchmark, ...PortfolioAnalytics.summarize(PortfolioAnalytics.benchmarkSeries(benchmark), span) };
+        }
+        return report;
+    },
+
+    // Current shares and cost basis of one security in an account: fixture holdings plus filled trades
+    holding: (accountId, symbol) => {
+        const base = (mockHoldings[accountId] || {})[symbol] || { shares: 0, costBasis: 0 };
+        const change = (PortfolioAnalytics.tradeAdjustments[accountId] || {})[symbol] || { shares: 0, costBasis: 0 };
+        return {
+            shares: PortfolioAnalytics.roundShares(base.shares + change.shares),
+            costBasis: PortfolioAnalytics.roundCents((base.costBasis || 0) + change.costBasis)
+        };
+    },
+
+    /**
+     * Records a filled trade (negative `shares` for a sell). A buy adds what it cost to the cost
+     * basis; a sell removes the average cost of the shares sold. The core position pays or
+     * receives `amount` by itself, as it is the balance minus the other positions.
+     */
+    applyTrade: (accountId, symbol, shares, amount) => {
+        const current = PortfolioAnalytics.holding(accountId, symbol);
+        const costChange = shares > 0 ? amount : (current.shares ? (current.costBasis * shares) / current.shares : 0);
+        const adjustments = PortfolioAnalytics.tradeAdjustments[accountId] || (PortfolioAnalytics.tradeAdjustments[accountId] = {});
+        const change = adjustments[symbol] || { shares: 0, costBasis: 0 };
+        adjustments[symbol] = {
+            shares: PortfolioAnalytics.roundShares(change.shares + shares),
+            costBasis: PortfolioAnalytics.roundCents(change.costBasis + costChange)
+        };
+    },
+
+    // Current positions of one account at the latest prices; the core position absorbs transfers and trades
+    positions: (accountId) => {
+        const account = PortfolioAnalytics.getAccount(accountId);
+        const { coreSymbol, roundCents } = PortfolioAnalytics;
+        const symbols = new Set([
+            ...Object.keys(mockHoldings[accountId] || {}),
+            ...Object.keys(PortfolioAnalytics.tradeAdjustments[accountId] || {})
+        ]);
+        const rows = [...symbols]
+            .filter(symbol => symbol !== coreSymbol)
+            .map(symbol => {
+                const { shares, costBasis } = PortfolioAnalytics.holding(accountId, symbol);
+                const price = PortfolioAnalytics.latestPrice(symbol);
+                return { symbol, shares, price, marketValue: roundCents(shares * price), costBasis };
+            })
+            .filter(row => row.shares > 0);
+        const invested = rows.reduce((sum, row) => sum + row.marketValue, 0);
+        const core = Math.max(0, roundCents(account.balance - invested));
+        rows.push({ symbol: coreSymbol, shares: core, price: PortfolioAnalytics.latestPrice(coreSymbol), marketValue: core, costBasis: core });
+        return rows.map(row => ({
+            accountId,
+            accountName: account.name,
+            ...row,
+            ...mockSecurities[row.symbol],
+            gainLoss: roundCents(row.marketValue - row.costBasis),
+            gainLossPercent: PortfolioAnalytics.formatPercent(row.costBasis ? (row.marketValue - row.costBasis) / row.costBasis : 0)
+        }));
+    },
+
+    // Value of the account's core cash position: what transfers out and buys can spend without selling
+    coreCash: (accountId) => {
+        return PortfolioAnalytics.positions(accountId).find(position => position.symbol === PortfolioAnalytics.coreSymbol).marketValue;
+    },
+
+    /**
+     * Positions of one account, or of every account, with each position's share of the total.
+     * Returns { asOf, account?, totalValue, positions: [{ accountId, accountName, symbol, name, assetClass, sector,
+     *   shares, price, marketValue, costBasis, gainLoss, gainLossPercent, weight }] }
+     */
+    holdingsReport: (accountId) => {
+        const accountIds = accountId ? [accountId] : Object.keys(mockAccountData);
+        const positions = accountIds.flatMap(PortfolioAnalytics.positions);
+        const totalValue = PortfolioAnalytics.roundCents(positions.reduce((sum, position) => sum + position.marketValue, 0));
+        const report = {
+            asOf: PortfolioAnalytics.asOf(),
+            totalValue,
+            positions: positions.map(position => ({ ...position, weight: PortfolioAnalytics.formatWeight(position.marketValue, totalValue) }))
+        };
+        if (accountId) {
+            report.account = { id: accountId, name: mockAccountData[accountId].name };
+        }
+        return report;
+    },
+
+    // Words a holdings search ignores: "my tech holdings" searches for 'tech'
+    searchFillerWords: ['my', 'the', 'a', 'an', 'in', 'of', 'all', 'holdings', 'positions', 'shares'],
+
+    searchWords: (text) => String(text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9&]+/)
+        .filter(word => word && !PortfolioAnalytics.searchFillerWords.includes(word)),
+
+    /**
+     * Positions whose symbol, name, sector or asset class matches `query` ('tech', 'AAPL', 'bond'):
+     * every query word must start a word of the position. `share` is the matches' part of the
+     * portfolio, or of the account when `accountId` is given.
+     * Returns { asOf, account?, query, totalValue, matchedValue, share, positions }
+     */
+    searchHoldings: (query, accountId) => {
+        const { positions, ...holdings } = PortfolioAnalytics.holdingsReport(accountId);
+        const queryWords = PortfolioAnalytics.searchWords(query);
+        const matches = queryWords.length === 0 ? [] : positions.filter(position => {
+            const words = PortfolioAnalytics.searchWords(`${position.symbol} ${position.name} ${position.sector} ${position.assetClass}`);
+            return queryWords.every(queryWord => words.some(word => word.startsWith(queryWord)));
+        });
+        const matchedValue = PortfolioAnalytics.roundCents(matches.reduce((sum, position) => sum + position.marketValue, 0));
+        return {
+            ...holdings,
+            query,
+            matchedValue,
+            share: PortfolioAnalytics.formatWeight(matchedValue, holdings.totalValue),
+            positions: matches
+        };
+    },
+
+    /**
+     * Market value per asset class for one account or the whole portfolio, largest first.
+     * Returns { asOf, account?, totalValue, allocation: [{ assetClass, marketValue, weight }] }
+     */
+    allocationReport: (accountId) => {
+        const holdings = PortfolioAnalytics.holdingsReport(accountId);
+        const byClass = {};
+        holdings.positions.forEach(position => {
+            byClass[position.assetClass] = (byClass[position.assetClass] || 0) + position.marketValue;
+        });
+        const allocation = Object.entries(byClass)
+            .map(([assetClass, value]) => ({
+                assetClass,
+                marketValue: PortfolioAnalytics.roundCents(value),
+                weight: PortfolioAnalytics.formatWeight(value, holdings.totalValue)
+            }))
+            .sort((a, b) => b.marketValue - a.marketValue);
+        const { positions, ...summary } = holdings;
+        return { ...summary, allocation };
+    }
+};
+
+window.PortfolioAnalytics = PortfolioAnalytics;
@@ -0,0 +1,116 @@
+/**
+ * schemaValidator.js
+ * ------------------
+ * A small JSON Schema validator for WebMCP tool arguments.
+ * Supports the subset of JSON Schema used by our tool definitions: `type`, `properties`,
+ * `required`, `enum`, `items`, `additionalProperties`, number ranges
+ * (`minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`) and string lengths.
+ * Errors are returned as structured objects so they can be sent back to the LLM.
+ */
+
+const SchemaValidator = {
+    // Returns the JSON Schema type name for a JavaScript value
+    typeOf: (value) => {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    },
+
+    // Checks a value against a single JSON Schema type ('integer' values also satisfy 'number')
+    matchesType: (value, type) => {
+        const actual = SchemaValidator.typeOf(value);
+        if (type === 'number') {
+            return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+        }
+        return actual === type;
+    },
+
+    /**
+     * Validates a value against a schema.
+     * Returns an array of { path, message, expected?, received? } errors (empty when valid).
+     */
+    validate: (value, schema, path = '') => {
+        const errors = [];
+        if (!schema || typeof schema !== 'object') {
+            return errors;
+        }
+        const label = path || 'arguments';
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => SchemaValidator.matchesType(value, type))) {
+                errors.push({
+                    path: label,
+                    message: `Expected ${types.join(' or ')} but received ${SchemaValidator.typeOf(value)}.`,
+                    expected: types.join(' | '),
+                    received: value
+                });
+                // Further checks would only repeat the type mismatch
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            errors.push({
+                path: label,
+                message: `Must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}.`,
+                expected: schema.enum,
+                received: value
+            });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ path: label, message: `Must be greater than or equal to ${schema.minimum}.`, received: value });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ path: label, message: `Must be less than or equal to ${schema.maximum}.`, received: value });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({ path: label, message: `Must be greater than ${schema.exclusiveMinimum}.`, received: value });
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push({ path: label, message: `Must be less than ${schema.exclusiveMaximum}.`, received: value });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ path: label, message: `Must be at least ${schema.minLength} characters long.`, received: value });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ path: label, message: `Must be at most ${schema.maxLength} characters long.`, received: value });
+            }
+        }
+
+        if (SchemaValidator.typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push({ path: path ? `${path}.${key}` : key, message: 'Missing required property.' });
+                }
+            });
+            Object.keys(value).forEach(key => {
+                const childPath = path ? `${path}.${key}` : key;
+                if (properties[key]) {
+                    errors.push(...SchemaValidator.validate(value[key], properties[key], childPath));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: childPath, message: 'Unknown property.' });
+                }
+            });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...SchemaValidator.validate(item, schema.items, `${label}[${index}]`));
+            });
+        }
+
+        return errors;
+    }
+};
+
+window.SchemaValidator = SchemaValidator;
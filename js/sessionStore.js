@@ -0,0 +1,127 @@
+/**
+ * sessionStore.js
+ * ---------------
+ * Persists chat sessions in localStorage so conversations survive page reloads.
+ * Each session stores the LLM conversation history (including tool calls and results),
+ * the rendered chat bubbles, and metadata (title, timestamps, provider and model).
+ */
+
+class SessionStore {
+    constructor(config, storage = window.localStorage) {
+        Logger.debug('Session Store', 'Initializing chat session persistence');
+        this.storageKey = config.sessions.storageKey;
+        this.maxSessions = config.sessions.maxSessions;
+        this.storage = storage;
+        this.state = this.load();
+        Logger.debug('Session Store', 'Loaded', Object.keys(this.state.sessions).length, 'saved session(s)');
+    }
+
+    /**
+     * Reads the saved state, falling back to an empty store if it is missing or corrupt
+     */
+    load() {
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            if (raw) {
+                const parsed = JSON.parse(raw);
+                if (parsed && parsed.sessions) {
+                    return parsed;
+                }
+            }
+        } catch (error) {
+            Logger.warn('Session Store', 'Could not read saved sessions - starting fresh:', error.message);
+        }
+        return { activeId: null, sessions: {} };
+    }
+
+    /**
+     * Writes the current state to storage. Quota errors are logged, not thrown,
+     * so a full storage never breaks the chat itself.
+     */
+    persist() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            Logger.error('Session Store', 'Failed to save sessions:', error.message);
+        }
+    }
+
+    // Sessions ordered from most to least recently updated
+    listSessions() {
+        return Object.values(this.state.sessions).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    getSession(sessionId) {
+        return this.state.sessions[sessionId] || null;
+    }
+
+    getActiveSession() {
+        return this.getSession(this.state.activeId);
+    }
+
+    createSession(metadata = {}) {
+        const now = Date.now();
+        const session = {
+            id: `session_${now}_${Math.random().toString(36).slice(2, 8)}`,
+            title: 'New conversation',
+            createdAt: now,
+            updatedAt: now,
+            history: [],
+            messages: [],
+            ...metadata
+        };
+        this.state.sessions[session.id] = session;
+        this.state.activeId = session.id;
+        this.pruneSessions();
+        this.persist();
+        Logger.info('Session Store', 'Created session:', session.id);
+        return session;
+    }
+
+    setActiveSession(sessionId) {
+        if (!this.state.sessions[sessionId]) {
+            throw new Error(`Session '${sessionId}' does not exist.`);
+        }
+        this.state.activeId = sessionId;
+        this.persist();
+        return this.state.sessions[sessionId];
+    }
+
+    updateSession(sessionId, changes) {
+        const session = this.state.sessions[sessionId];
+        if (!session) {
+            return null;
+        }
+        Object.assign(session, changes, { updatedAt: Date.now() });
+        this.persist();
+        return session;
+    }
+
+    renameSession(sessionId, title) {
+        Logger.debug('Session Store', `Renaming session ${sessionId} to "${title}"`);
+        return this.updateSession(sessionId, { title });
+    }
+
+    deleteSession(sessionId) {
+        Logger.info('Session Store', 'Deleting session:', sessionId);
+        delete this.state.sessions[sessionId];
+        if (this.state.activeId === sessionId) {
+            const [mostRecent] = this.listSessions();
+            this.state.activeId = mostRecent ? mostRecent.id : null;
+        }
+        this.persist();
+    }
+
+    // Drops the oldest sessions beyond maxSessions (never the active one)
+    pruneSessions() {
+        const sessions = this.listSessions();
+        sessions.slice(this.maxSessions).forEach(session => {
+            if (session.id !== this.state.activeId) {
+                Logger.debug('Session Store', 'Pruning old session:', session.id);
+                delete this.state.sessions[session.id];
+            }
+        });
+    }
+}
+
+window.SessionStore = SessionStore;
@@ -0,0 +1,179 @@
+/**
+ * settingsPanel.js
+ * ----------------
+ * "Model settings" panel: switch the LLM provider, model, temperature and max tokens at runtime.
+ * Providers and their models come from `Config.providers`; the choice is written to `Config.llm`
+ * (which LLMClient reads on every request, so it applies from the next request) and saved in
+ * localStorage, so a reload keeps it. "Reset" returns to the values in config.js.
+ */
+
+const SettingsPanel = {
+    // Config.llm fields the panel controls
+    fields: ['provider', 'model', 'temperature', 'maxTokens'],
+
+    // Config.llm values from config.js, used by reset()
+    defaults: null,
+
+    // Fires 'change' with the applied settings as detail
+    events: new EventTarget(),
+
+    pick: (source) => Object.fromEntries(SettingsPanel.fields.map(field => [field, source[field]])),
+
+    // Applies the saved choice over config.js; runs before the LLM client is created
+    load: () => {
+        const settings = window.Config.settings;
+        SettingsPanel.defaults = SettingsPanel.pick(window.Config.llm);
+        let saved = {};
+        try {
+            saved = JSON.parse(window.localStorage.getItem(settings.storageKey) || '{}');
+        } catch (error) {
+            Logger.warn('Settings', 'Could not read saved model settings - using config.js:', error.message);
+        }
+        const candidate = SettingsPanel.pick({ ...SettingsPanel.defaults, ...saved });
+        const problem = SettingsPanel.validate(candidate);
+        if (problem) {
+            Logger.warn('Settings', `Ignoring saved model settings: ${problem}`);
+            return;
+        }
+        Object.assign(window.Config.llm, candidate);
+        Logger.debug('Settings', 'Model settings in effect:', candidate);
+    },
+
+    // Providers the panel offers; those without a baseUrl are listed but cannot be chosen
+    providerOptions: () => [
+        ...Object.entries(window.Config.providers).map(([name, provider]) => ({
+            name,
+            label: provider.label || name,
+            available: Boolean(provider.baseUrl)
+        })),
+        { name: 'scripted', label: 'Scripted (offline)', available: true }
+    ],
+
+    // [label, model id] pairs of a provider
+    modelsFor: (provider) => Object.entries((window.Config.providers[provider] || {}).models || {}),
+
+    maxTemperature: (provider) => (window.Config.providers[provider] || {}).maxTemperature ?? 2,
+
+    // Returns a message describing the first invalid field, or null
+    validate: ({ provider, model, temperature, maxTokens }) => {
+        const option = SettingsPanel.providerOptions().find(candidate => candidate.name === provider);
+        if (!option) {
+            return `Unknown provider '${provider}'.`;
+        }
+        if (!option.available) {
+            return `${option.label} is not configured (set Config.providers.${provider}.baseUrl).`;
+        }
+        if (provider !== 'scripted' && (typeof model !== 'string' || !model.trim())) {
+            return 'Enter a model.';
+        }
+        const maxTemperature = SettingsPanel.maxTemperature(provider);
+        if (typeof temperature !== 'number' || Number.isNaN(temperature) || temperature < 0 || temperature > maxTemperature) {
+            return `Temperature must be between 0 and ${maxTemperature} for ${option.label}.`;
+        }
+        if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 100000) {
+            return 'Max tokens must be a whole number between 1 and 100000.';
+        }
+        return null;
+    },
+
+    /**
+     * Applies and saves a change to the settings; throws with a readable message if it is invalid.
+     * Switching provider also switches to its first model (unless a model is given) and caps the temperature.
+     */
+    update: (changes) => {
+        const next = { ...SettingsPanel.pick(window.Config.llm), ...changes };
+        if (changes.provider && changes.provider !== window.Config.llm.provider) {
+            const models = SettingsPanel.modelsFor(next.provider).map(([, id]) => id);
+            if (!changes.model && !models.includes(next.model)) {
+                next.model = models[0] || next.model;
+            }
+            next.temperature = Math.min(next.temperature, SettingsPanel.maxTemperature(next.provider));
+        }
+        const problem = SettingsPanel.validate(next);
+        if (problem) {
+            throw new Error(problem);
+        }
+        Object.assign(window.Config.llm, next);
+        window.localStorage.setItem(window.Config.settings.storageKey, JSON.stringify(next));
+        Logger.info('Settings', `Using ${next.provider} / ${next.model} (temperature ${next.temperature}, max tokens ${next.maxTokens})`);
+        SettingsPanel.events.dispatchEvent(new CustomEvent('change', { detail: next }));
+        return next;
+    },
+
+    // Forgets the saved choice and returns to config.js
+    reset: () => {
+        window.localStorage.removeItem(window.Config.settings.storageKey);
+        Object.assign(window.Config.llm, SettingsPanel.defaults);
+        Logger.info('Settings', 'Model settings reset to config.js');
+        SettingsPanel.events.dispatchEvent(new CustomEvent('change', { detail: { ...SettingsPanel.defaults } }));
+    },
+
+    init: () => {
+        Logger.debug('Settings', 'Initializing Model settings panel');
+        const apply = (changes) => {
+            try {
+                SettingsPanel.update(changes);
+                SettingsPanel.showError('');
+            } catch (error) {
+                SettingsPanel.showError(error.message);
+            }
+            SettingsPanel.render();
+        };
+        document.getElementById('settings-provider').addEventListener('change', (event) => apply({ provider: event.target.value }));
+        document.getElementById('settings-model').addEventListener('change', (event) => apply({ model: event.target.value.trim() }));
+        document.getElementById('settings-temperature').addEventListener('input', (event) => {
+            document.getElementById('settings-temperature-value').textContent = event.target.value;
+        });
+        document.getElementById('settings-temperature').addEventListener('change', (event) => apply({ temperature: Number(event.target.value) }));
+        document.getElementById('settings-max-tokens').addEventListener('change', (event) => apply({ maxTokens: Number(event.target.value) }));
+        document.getElementById('settings-reset-btn').addEventListener('click', () => {
+            SettingsPanel.reset();
+            SettingsPanel.showError('');
+            SettingsPanel.render();
+        });
+        SettingsPanel.render();
+    },
+
+    showError: (message) => {
+        document.getElementById('settings-error').textContent = message;
+    },
+
+    render: () => {
+        const { provider, model, temperature, maxTokens } = window.Config.llm;
+
+        const providerSelect = document.getElementById('settings-provider');
+        providerSelect.innerHTML = '';
+        SettingsPanel.providerOptions().forEach(option => {
+            const element = document.createElement('option');
+            element.value = option.name;
+            element.textContent = option.available ? option.label : `${option.label} (not configured)`;
+            element.disabled = !option.available;
+            element.selected = option.name === provider;
+            providerSelect.appendChild(element);
+        });
+
+        // Suggestions from Config.providers; any other model id can be typed in
+        const modelInput = document.getElementById('settings-model');
+        const modelList = document.getElementById('settings-model-options');
+        modelList.innerHTML = '';
+        SettingsPanel.modelsFor(provider).forEach(([label, id]) => {
+            const element = document.createElement('option');
+            element.value = id;
+            element.label = label;
+            modelList.appendChild(element);
+        });
+        modelInput.value = model;
+        modelInput.disabled = provider === 'scripted';
+
+        const temperatureInput = document.getElementById('settings-temperature');
+        temperatureInput.max = SettingsPanel.maxTemperature(provider);
+        temperatureInput.value = temperature;
+        document.getElementById('settings-temperature-value').textContent = temperature;
+        document.getElementById('settings-max-tokens').value = maxTokens;
+
+        document.getElementById('settings-summary').textContent =
+            provider === 'scripted' ? 'Model: scripted (offline)' : `Model: ${provider} · ${model}`;
+    }
+};
+
+window.SettingsPanel = SettingsPanel;
@@ -0,0 +1,75 @@
+/**
+ * traceViewer.js
+ * --------------
+ * Optional in-page view of the logger's trace buffer, enabled with Config.logging.traceViewer.
+ * Useful during demos, where the browser console is hidden or too noisy: it shows the
+ * (already redacted) log entries, filtered by minimum level and namespace.
+ */
+
+const TraceViewer = {
+    init: () => {
+        const panel = document.getElementById('trace-viewer');
+        if (!window.Config.logging.traceViewer) {
+            panel.style.display = 'none';
+            return;
+        }
+        panel.style.display = '';
+        Logger.info('Trace Viewer', 'In-page trace viewer enabled');
+        document.getElementById('trace-level-filter').addEventListener('change', () => TraceViewer.render());
+        document.getElementById('trace-namespace-filter').addEventListener('input', () => TraceViewer.render());
+        document.getElementById('trace-clear-btn').addEventListener('click', () => {
+            Logger.trace.splice(0);
+            TraceViewer.render();
+        });
+        // New entries are appended; the whole list is only rebuilt when a filter changes
+        Logger.events.addEventListener('entry', (event) => TraceViewer.append(event.detail));
+        TraceViewer.render();
+    },
+
+    // One line per value; objects are shown as JSON
+    formatArgs: (args) => args.map(value => {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }).join(' '),
+
+    // Whether an entry passes the level and namespace filters
+    matches: (entry) => {
+        const minLevel = Logger.levels[document.getElementById('trace-level-filter').value];
+        const namespace = document.getElementById('trace-namespace-filter').value.trim().toLowerCase();
+        return Logger.levels[entry.level] >= minLevel && (!namespace || entry.namespace.toLowerCase().includes(namespace));
+    },
+
+    createLine: (entry) => {
+        const line = document.createElement('div');
+        line.className = `trace-entry trace-${entry.level}`;
+        line.textContent = `${entry.time.slice(11, 23)} ${entry.level.toUpperCase()} [${entry.namespace}] ${entry.message} ${TraceViewer.formatArgs(entry.args)}`.trim();
+        line.traceEntry = entry;
+        return line;
+    },
+
+    // Adds one new entry and drops the lines of entries the capped buffer no longer holds
+    append: (entry) => {
+        const listEl = document.getElementById('trace-list');
+        if (TraceViewer.matches(entry)) {
+            listEl.appendChild(TraceViewer.createLine(entry));
+        }
+        while (listEl.firstChild && !Logger.trace.includes(listEl.firstChild.traceEntry)) {
+            listEl.firstChild.remove();
+        }
+        listEl.scrollTop = listEl.scrollHeight;
+    },
+
+    render: () => {
+        const listEl = document.getElementById('trace-list');
+        listEl.innerHTML = '';
+        Logger.trace.filter(TraceViewer.matches).forEach(entry => listEl.appendChild(TraceViewer.createLine(entry)));
+        listEl.scrollTop = listEl.scrollHeight;
+    }
+};
+
+window.TraceViewer = TraceViewer;
@@ -0,0 +1,126 @@
+/**
+ * transferEngine.js
+ * -----------------
+ * Executes approved fund transfers against `mockAccountData`.
+ * Validates each request (known accounts, different accounts, positive whole-cent amount,
+ * sufficient core cash), moves the money, and records every attempt in a transaction ledger
+ * that is persisted to localStorage. On page load the completed ledger entries are replayed
+ * onto the starting balances so the dashboard matches the ledger after a reload.
+ */
+
+const TransferEngine = {
+    ledger: [],
+
+    // Loads the saved ledger and re-applies completed transfers to the account balances
+    init: () => {
+        try {
+            const raw = window.localStorage.getItem(window.Config.transfers.ledgerStorageKey);
+            TransferEngine.ledger = raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            Logger.warn('Transfer Engine', 'Could not read saved ledger - starting empty:', error.message);
+            TransferEngine.ledger = [];
+        }
+
+        TransferEngine.ledger
+            .filter(entry => entry.status === 'completed')
+            .forEach(entry => TransferEngine.applyBalances(entry.from, entry.to, entry.amount));
+        Logger.info('Transfer Engine', 'Ledger loaded with', TransferEngine.ledger.length, 'transaction(s)');
+    },
+
+    persist: () => {
+        try {
+            window.localStorage.setItem(window.Config.transfers.ledgerStorageKey, JSON.stringify(TransferEngine.ledger));
+        } catch (error) {
+            Logger.error('Transfer Engine', 'Failed to save ledger:', error.message);
+        }
+    },
+
+    // Rounds to whole cents to avoid floating point drift in balances
+    roundCents: (value) => Math.round(value * 100) / 100,
+
+    /**
+     * Checks a transfer request against the business rules.
+     * Returns a list of human-readable reasons (empty when the transfer is allowed).
+     */
+    validate: ({ from, to, amount }) => {
+        const errors = [];
+        const fromAcc = mockAccountData[from];
+        const toAcc = mockAccountData[to];
+
+        if (!fromAcc) errors.push(`Unknown source account '${from}'.`);
+        if (!toAcc) errors.push(`Unknown destination account '${to}'.`);
+        if (from === to) errors.push('Source and destination accounts must be different.');
+
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            errors.push('Amount must be a positive number.');
+        } else {
+            if (TransferEngine.roundCents(amount) !== amount) {
+                errors.push('Amount cannot include fractions of a cent.');
+            }
+            // Only the core cash position can be moved; invested positions would have to be sold first
+            const cashAvailable = fromAcc ? PortfolioAnalytics.coreCash(from) : 0;
+            if (fromAcc && amount > cashAvailable) {
+                errors.push(`Insufficient funds: ${fromAcc.name} has $${cashAvailable.toFixed(2)} in core cash (${PortfolioAnalytics.coreSymbol}) available to transfer.`);
+            }
+        }
+        return errors;
+    },
+
+    applyBalances: (from, to, amount) => {
+        if (!mockAccountData[from] || !mockAccountData[to]) {
+            return;
+        }
+        mockAccountData[from].balance = TransferEngine.roundCents(mockAccountData[from].balance - amount);
+        mockAccountData[to].balance = TransferEngine.roundCents(mockAccountData[to].balance + amount);
+    },
+
+    /**
+     * Validates and executes a transfer, records it in the ledger, and returns the ledger entry.
+     * Rejected transfers are recorded too, with the reasons they failed.
+     */
+    submit: ({ from, to, amount }) => {
+        Logger.debug('Transfer Engine', 'Processing transfer:', { from, to, amount });
+        const errors = TransferEngine.validate({ from, to, amount });
+        const entry = {
+            id: `TXN-${Date.now()}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`,
+            type: 'transfer',
+            from,
+            to,
+            fromName: mockAccountData[from]?.name || 'N/A',
+            toName: mockAccountData[to]?.name || 'N/A',
+            amount,
+            status: errors.length > 0 ? 'rejected' : 'completed',
+            reasons: errors,
+            createdAt: new Date().toISOString()
+        };
+
+        if (entry.status === 'completed') {
+            TransferEngine.applyBalances(from, to, amount);
+            entry.balancesAfter = {
+                [from]: mockAccountData[from].balance,
+                [to]: mockAccountData[to].balance
+            };
+            Logger.info('Transfer Engine', 'Transfer completed:', entry.id, entry.balancesAfter);
+        } else {
+            Logger.warn('Transfer Engine', 'Transfer rejected:', errors);
+        }
+
+        TransferEngine.ledger.push(entry);
+        TransferEngine.persist();
+        return entry;
+    },
+
+    // Most recent transactions first, optionally limited to one account
+    getHistory: ({ accountId, limit } = {}) => {
+        return TransferEngine.ledger
+            .filter(entry => !accountId || entry.from === accountId || entry.to === accountId)
+            .reverse()
+            .slice(0, limit || undefined);
+    },
+
+    getStatus: (transactionId) => {
+        return TransferEngine.ledger.find(entry => entry.id === transactionId) || null;
+    }
+};
+
+window.TransferEngine = TransferEngine;
@@ -2,166 +2,568 @@
  * webmcpProvider.js
  * -----------------
  * This file is responsible for defining the WebMCP tools and providing them to the agent.
- * It uses the `window.agent.provideContext` API to register a set of functions that the
- * AI agent can discover and execute. The `execute` functions for each tool call into the
- * simulated application logic in `fidelityApp.js`.
+ * It uses the `window.agent.registerTool` API (falling back to `provideContext`) to register a
+ * set of functions that the AI agent can discover and execute. The `execute` functions for each tool call into the
+ * simulated application logic in `fidelityApp.js` and read data through the `DataSource` layer.
  */
 
 // As described in the research report, this function registers the tools available
 // to the agent when the user is in a logged-in state.
 function registerFidelityTools() {
-    console.log('🔧 [WebMCP Provider] Starting WebMCP tool registration process...');
-    console.log('🔧 [WebMCP Provider] This demonstrates the W3C WebMCP specification for AI-web interaction');
+    Logger.debug('WebMCP Provider', 'Starting WebMCP tool registration process...');
     
     if (window.agent && typeof window.agent.provideContext === 'function') {
-        console.log('✅ [WebMCP Provider] WebMCP browser API detected - proceeding with tool registration');
-        console.log('🔧 [WebMCP Provider] Registering 4 financial tools: getAccountList, getAccountBalance, getPortfolioPerformance, initiateFundTransfer');
-        window.agent.provideContext({
-            tools: [
-                // Tool 1: Get a list of all accounts
-                {
-                    name: "getAccountList",
-                    description: "Retrieves a list of all the user's available accounts, including their names and unique IDs.",
-                    inputSchema: { type: "object", properties: {} },
-                    async execute() {
-                        console.log("🏦 [WebMCP Tool: getAccountList] Tool execution initiated by AI agent");
-                        console.log("🏦 [WebMCP Tool: getAccountList] Retrieving all user accounts from mock database");
-                        console.log("🏦 [WebMCP Tool: getAccountList] Found accounts:", Object.values(mockAccountData).map(acc => `${acc.name} ($${acc.balance})`));
-                        const result = { success: true, accounts: Object.values(mockAccountData) };
-                        console.log("✅ [WebMCP Tool: getAccountList] Returning account data to AI agent:", result);
-                        return result;
+        Logger.debug('WebMCP Provider', 'WebMCP browser API detected - proceeding with tool registration');
+        const tools = [
+            // Tool 1: Get a list of all accounts
+            {
+                name: "getAccountList",
+                description: "Retrieves a list of all the user's available accounts, including their names and unique IDs.",
+                capabilities: ["read:accounts"],
+                inputSchema: { type: "object", properties: {} },
+                async execute() {
+                    Logger.debug('WebMCP Tool: getAccountList', "Tool execution initiated by AI agent");
+                    Logger.debug('WebMCP Tool: getAccountList', "Retrieving all user accounts from the data source");
+                    let accounts;
+                    try {
+                        accounts = await DataSource.getAccounts();
+                    } catch (error) {
+                        return dataSourceError("getAccountList", error);
                     }
+                    Logger.debug('WebMCP Tool: getAccountList', "Found accounts:", accounts.map(acc => `${acc.name} ($${acc.balance})`));
+                    const result = { success: true, accounts };
+                    Logger.debug('WebMCP Tool: getAccountList', "Returning account data to AI agent:", result);
+                    return result;
+                }
+            },
+            // Tool 2: Get the balance for a specific account
+            {
+                name: "getAccountBalance",
+                description: "Gets the current total market value for a specific account identified by its ID, name or type (e.g., 'Roth IRA', 'Brokerage'). If the identifier fits several accounts the result is an 'ambiguous_account' error listing the candidates.",
+                capabilities: ["read:accounts"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        accountIdentifier: {
+                            type: "string",
+                            description: "The ID, name or type of the account to query, like '401k', 'Brokerage' or 'acc_roth_456'."
+                        }
+                    },
+                    required: ["accountIdentifier"]
                 },
-                // Tool 2: Get the balance for a specific account
-                {
-                    name: "getAccountBalance",
-                    description: "Gets the current total market value for a specific account identified by its name or type (e.g., 'Roth IRA', 'Brokerage').",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            accountIdentifier: {
-                                type: "string",
-                                description: "The name or type of the account to query, like '401k' or 'Brokerage'."
-                            }
+                async execute({ accountIdentifier }) {
+                    Logger.debug('WebMCP Tool: getAccountBalance', `Tool execution initiated for account: "${accountIdentifier}"`);
+                    let accounts;
+                    try {
+                        accounts = await DataSource.getAccounts();
+                    } catch (error) {
+                        return dataSourceError("getAccountBalance", error);
+                    }
+                    Logger.debug('WebMCP Tool: getAccountBalance', `Available accounts in database:`, accounts.map(acc => acc.name));
+                    
+                    const resolution = AccountResolver.resolve(accountIdentifier, accounts);
+                    if (resolution.status === 'resolved') {
+                        const account = resolution.account;
+                        Logger.debug('WebMCP Tool: getAccountBalance', `Account found:`, account);
+                        Logger.debug('WebMCP Tool: getAccountBalance', `Triggering UI highlight for account ID: ${account.id}`);
+                        App.highlightAccount(account.id);
+                        const result = { success: true, accountName: account.name, balance: account.balance };
+                        Logger.debug('WebMCP Tool: getAccountBalance', `Returning account data to AI:`, result);
+                        return result;
+                    }
+                    Logger.debug('WebMCP Tool: getAccountBalance', `No single account found for: "${accountIdentifier}" (${resolution.status})`);
+                    return AccountResolver.failureResult(accountIdentifier, resolution);
+                }
+            },
+            // Tool 3: Get portfolio performance
+            {
+                name: "getPortfolioPerformance",
+                description: "Retrieves the historical investment performance of the user's total portfolio, or of one account, over a given time period and draws it as a chart. Returns the time-weighted total return, the annualized return (periods of a year or more), the annualized volatility and each account's figures for the period. Optionally overlays a benchmark index so the user can see what the returns are measured against.",
+                capabilities: ["read:performance"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        timePeriod: {
+                            type: "string",
+                            description: "The desired time frame, e.g., 'YTD', '1 Year', '3 Year'.",
+                            enum: ["YTD", "1 Year", "3 Year", "5 Year"]
                         },
-                        required: ["accountIdentifier"]
+                        benchmark: {
+                            type: "string",
+                            description: "Optional benchmark index to compare against.",
+                            enum: ["S&P 500", "US Aggregate Bond"]
+                        },
+                        accountId: {
+                            type: "string",
+                            description: "Optional account to show instead of the whole portfolio: its ID from getAccountList (or its name)."
+                        }
                     },
-                    async execute({ accountIdentifier }) {
-                        console.log(`💰 [WebMCP Tool: getAccountBalance] Tool execution initiated for account: "${accountIdentifier}"`);
-                        console.log(`💰 [WebMCP Tool: getAccountBalance] This demonstrates secure account querying via WebMCP`);
-                        console.log(`💰 [WebMCP Tool: getAccountBalance] Available accounts in database:`, Object.values(mockAccountData).map(acc => acc.name));
-                        
-                        const lowerIdentifier = accountIdentifier.toLowerCase();
-                        console.log(`💰 [WebMCP Tool: getAccountBalance] Performing fuzzy search for: "${lowerIdentifier}"`);
-                        
-                        const account = Object.values(mockAccountData).find(acc => {
-                            const match = acc.name.toLowerCase().includes(lowerIdentifier);
-                            console.log(`💰 [WebMCP Tool: getAccountBalance] Checking "${acc.name.toLowerCase()}" contains "${lowerIdentifier}": ${match}`);
-                            return match;
-                        });
+                    required: ["timePeriod"]
+                },
+                async execute({ timePeriod, benchmark, accountId }) {
+                    Logger.debug('WebMCP Tool: getPortfolioPerformance', `Tool execution initiated for time period: "${timePeriod}"`, { benchmark, accountId });
+                    Logger.debug('WebMCP Tool: getPortfolioPerformance', `Calling Fidelity app to update performance chart display`);
+                    // This tool interacts directly with the UI components on the page.
+                    let data;
+                    try {
+                        const resolved = await resolveAccountArg(accountId, 'accountId');
+                        if (resolved.failure) {
+                            return resolved.failure;
+                        }
+                        data = await App.updatePerformanceChart(timePeriod, { benchmark, accountId: resolved.accountId });
+                    } catch (error) {
+                        return dataSourceError("getPortfolioPerformance", error);
+                    }
+                    const subject = data.account ? data.account.name : 'Portfolio';
+                    const result = {
+                        success: true,
+                        asOf: data.asOf,
+                        totalReturn: data.totalReturn,
+                        annualizedReturn: data.annualizedReturn,
+                        volatility: data.volatility,
+                        portfolioValue: data.portfolioValue,
+                        breakdown: data.breakdown,
+                        message: `${subject} performance chart is now showing data for '${timePeriod}'${data.benchmark ? ` compared with the ${data.benchmark.name}` : ''}.`
+                    };
+                    if (data.account) {
+                        result.account = data.account;
+                    }
+                    if (data.benchmark) {
+                        const gap = data.values[data.values.length - 1] - data.benchmark.values[data.benchmark.values.length - 1];
+                        result.benchmark = { name: data.benchmark.name, totalReturn: data.benchmark.totalReturn };
+                        result.relativeReturn = `${gap >= 0 ? '+' : ''}${gap.toFixed(1)} pts`;
+                    }
+                    Logger.debug('WebMCP Tool: getPortfolioPerformance', `Chart updated successfully, returning to AI:`, result);
+                    return result;
+                }
+            },
+            // Tool 4: Initiate a fund transfer (Requires User Confirmation)
+            {
+                name: "initiateFundTransfer",
+                description: "Transfers a specific amount of money between two of the user's Fidelity accounts. Only the source account's core cash (SPAXX, see getHoldings) can be transferred; invested positions would have to be sold first. The user is asked to approve the exact transfer before it is submitted; the result says whether it was approved or denied. An account that fits several accounts returns an 'ambiguous_account' error: ask the user which one they mean instead of guessing.",
+                capabilities: ["read:accounts", "write:transfers"],
+                requiresConfirmation: true,
+                riskLevel: "high",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        fromAccount: { type: "string", description: "The ID or name of the source account." },
+                        toAccount: { type: "string", description: "The ID or name of the destination account." },
+                        amount: { type: "number", description: "The dollar amount to transfer.", exclusiveMinimum: 0 }
+                    },
+                    required: ["fromAccount", "toAccount", "amount"]
+                },
+                // Runs before the confirmation dialog so the user approves resolved accounts, not guesses
+                async preview({ fromAccount, toAccount, amount }) {
+                    Logger.debug('WebMCP Tool: initiateFundTransfer', `Resolving accounts before asking for user confirmation`);
+                    let resolved, reasons;
+                    try {
+                        resolved = await resolveTransferAccounts(fromAccount, toAccount);
+                        if (resolved.failure) {
+                            return resolved.failure;
+                        }
+                        // Don't ask the user to approve a transfer the engine would reject
+                        reasons = await DataSource.validateTransfer({ from: resolved.fromAcc.id, to: resolved.toAcc.id, amount });
+                    } catch (error) {
+                        return dataSourceError("initiateFundTransfer", error);
+                    }
+                    const { fromAcc, toAcc } = resolved;
+                    if (reasons.length > 0) {
+                        return { success: false, status: 'rejected', reasons, message: `Transfer not allowed: ${reasons.join(' ')}` };
+                    }
+                    return {
+                        summary: [
+                            `From: ${fromAcc.name} (balance $${fromAcc.balance.toFixed(2)})`,
+                            `To: ${toAcc.name} (balance $${toAcc.balance.toFixed(2)})`,
+                            `Amount: $${amount.toFixed(2)}`
+                        ]
+                    };
+                },
+                async execute({ fromAccount, toAccount, amount }) {
+                    Logger.debug('WebMCP Tool: initiateFundTransfer', `Tool execution initiated for transfer request`);
+                    Logger.debug('WebMCP Tool: initiateFundTransfer', `Transfer details - From: "${fromAccount}", To: "${toAccount}", Amount: $${amount}`);
 
-                        if (account) {
-                            console.log(`✅ [WebMCP Tool: getAccountBalance] Account found:`, account);
-                            console.log(`🎯 [WebMCP Tool: getAccountBalance] Triggering UI highlight for account ID: ${account.id}`);
-                            App.highlightAccount(account.id);
-                            const result = { success: true, accountName: account.name, balance: account.balance };
-                            console.log(`💰 [WebMCP Tool: getAccountBalance] Returning account data to AI:`, result);
-                            return result;
+                    let resolved;
+                    try {
+                        resolved = await resolveTransferAccounts(fromAccount, toAccount);
+                    } catch (error) {
+                        return dataSourceError("initiateFundTransfer", error);
+                    }
+                    const { fromAcc, toAcc, failure } = resolved;
+                    if (failure) {
+                        return failure;
+                    }
+
+                    // invokeTool only reaches execute() after the user approved the exact arguments
+                    Logger.debug('WebMCP Tool: initiateFundTransfer', `User approved - submitting transfer:`, { from: fromAcc.id, to: toAcc.id, amount });
+                    const result = await App.submitTransfer({ from: fromAcc.id, to: toAcc.id, amount });
+                    Logger.debug('WebMCP Tool: initiateFundTransfer', `Transfer submitted, returning to AI:`, result);
+                    return result;
+                }
+            },
+            // Tool 5: Transaction history from the transfer ledger
+            {
+                name: "getTransactionHistory",
+                description: "Lists recent transfers from the transaction ledger, newest first, including rejected attempts. Optionally limited to one account.",
+                capabilities: ["read:transactions"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        accountIdentifier: { type: "string", description: "Optional account ID, name or type to filter by, e.g. 'Roth IRA'." },
+                        limit: { type: "integer", description: "Maximum number of transactions to return.", minimum: 1, maximum: 50 }
+                    }
+                },
+                async execute({ accountIdentifier, limit }) {
+                    Logger.debug('WebMCP Tool: getTransactionHistory', `Tool execution initiated`, { accountIdentifier, limit });
+                    let transactions;
+                    try {
+                        const resolved = await resolveAccountArg(accountIdentifier);
+                        if (resolved.failure) {
+                            return resolved.failure;
                         }
-                        console.log(`❌ [WebMCP Tool: getAccountBalance] No matching account found for: "${accountIdentifier}"`);
-                        return { success: false, message: `Account '${accountIdentifier}' not found.` };
+                        transactions = await DataSource.getTransactions({ accountId: resolved.accountId, limit: limit || 10 });
+                    } catch (error) {
+                        return dataSourceError("getTransactionHistory", error);
                     }
+                    Logger.debug('WebMCP Tool: getTransactionHistory', `Returning ${transactions.length} transaction(s) to AI`);
+                    return { success: true, count: transactions.length, transactions };
+                }
+            },
+            // Tool 6: Status of a specific transfer
+            {
+                name: "getTransferStatus",
+                description: "Gets the status (completed or rejected) and details of a transfer by its transaction ID, e.g. to verify a transfer the agent just submitted.",
+                capabilities: ["read:transactions"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        transactionId: { type: "string", description: "The transaction ID returned by initiateFundTransfer, e.g. 'TXN-...'." }
+                    },
+                    required: ["transactionId"]
                 },
-                // Tool 3: Get portfolio performance
-                {
-                    name: "getPortfolioPerformance",
-                    description: "Retrieves the historical investment performance data for the user's total portfolio over a given time period.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            timePeriod: {
-                                type: "string",
-                                description: "The desired time frame, e.g., 'YTD', '1 Year', '3 Year'.",
-                                enum: ["YTD", "1 Year", "3 Year", "5 Year"]
-                            }
-                        },
-                        required: ["timePeriod"]
+                async execute({ transactionId }) {
+                    Logger.debug('WebMCP Tool: getTransferStatus', `Looking up transaction: ${transactionId}`);
+                    let entry;
+                    try {
+                        entry = await DataSource.getTransaction(transactionId);
+                    } catch (error) {
+                        return dataSourceError("getTransferStatus", error);
+                    }
+                    if (!entry) {
+                        return { success: false, message: `Transaction '${transactionId}' not found.` };
+                    }
+                    return { success: true, transaction: entry };
+                }
+            },
+            // Tool 7: Positions held in the accounts
+            {
+                name: "getHoldings",
+                description: "Lists what the user owns in one account, or in every account: symbol, name, sector, asset class, shares, latest price, market value, cost basis, gain/loss and each position's share of the total. Values are as of the latest month-end prices. For one account its holdings table is opened on the page.",
+                capabilities: ["read:holdings"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        accountId: { type: "string", description: "Optional account ID from getAccountList (or its name); omit for the whole portfolio." }
+                    }
+                },
+                async execute({ accountId }) {
+                    Logger.debug('WebMCP Tool: getHoldings', `Tool execution initiated`, { accountId });
+                    let report;
+                    try {
+                        const resolved = await resolveAccountArg(accountId, 'accountId');
+                        if (resolved.failure) {
+                            return resolved.failure;
+                        }
+                        report = await DataSource.getHoldings(resolved.accountId);
+                    } catch (error) {
+                        return dataSourceError("getHoldings", error);
+                    }
+                    if (report.account) {
+                        App.highlightAccount(report.account.id);
+                        await App.showHoldings(report.account.id);
+                    }
+                    const subject = report.account ? report.account.name : 'Your portfolio';
+                    Logger.debug('WebMCP Tool: getHoldings', `Returning ${report.positions.length} position(s) to AI`);
+                    return {
+                        success: true,
+                        ...report,
+                        message: `${subject} holds ${report.positions.length} position(s) worth ${PortfolioAnalytics.formatMoney(report.totalValue)}: ${report.positions.map(position => position.symbol).join(', ')}.`
+                    };
+                }
+            },
+            // Tool 8: Search positions by symbol, name, sector or asset class
+            {
+                name: "searchHoldings",
+                description: "Finds the user's positions by symbol, security name, sector or asset class (e.g. 'tech', 'AAPL', 'bonds', 'international') in all accounts or in one account, highlights them on the page, and returns their combined market value and share of the portfolio (or account). Use it for questions like 'how much of my portfolio is in tech?'. Sectors are Technology, Diversified, Fixed Income and Cash; funds count as Diversified and are not broken down into the stocks they hold.",
+                capabilities: ["read:holdings"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        query: { type: "string", description: "What to look for: a symbol, part of a security name, a sector or an asset class." },
+                        accountId: { type: "string", description: "Optional account ID from getAccountList (or its name) to search only that account." }
                     },
-                    async execute({ timePeriod }) {
-                        console.log(`📈 [WebMCP Tool: getPortfolioPerformance] Tool execution initiated for time period: "${timePeriod}"`);
-                        console.log(`📈 [WebMCP Tool: getPortfolioPerformance] This demonstrates real-time UI manipulation via WebMCP`);
-                        console.log(`📈 [WebMCP Tool: getPortfolioPerformance] Calling Fidelity app to update performance chart display`);
-                        // This tool interacts directly with the UI components on the page.
-                        App.updatePerformanceChart(timePeriod);
-                        const result = { success: true, message: `Portfolio performance chart is now showing data for '${timePeriod}'.` };
-                        console.log(`✅ [WebMCP Tool: getPortfolioPerformance] Chart updated successfully, returning to AI:`, result);
-                        return result;
+                    required: ["query"]
+                },
+                async execute({ query, accountId }) {
+                    Logger.debug('WebMCP Tool: searchHoldings', `Tool execution initiated`, { query, accountId });
+                    let report;
+                    try {
+                        const resolved = await resolveAccountArg(accountId, 'accountId');
+                        if (resolved.failure) {
+                            return resolved.failure;
+                        }
+                        report = await DataSource.searchHoldings(query, resolved.accountId);
+                    } catch (error) {
+                        return dataSourceError("searchHoldings", error);
+                    }
+                    if (report.positions.length === 0) {
+                        return { success: true, ...report, message: `No holdings match '${query}'.` };
+                    }
+                    await App.highlightPositions(report.positions);
+                    const scope = report.account ? report.account.name : 'your portfolio';
+                    const symbols = [...new Set(report.positions.map(position => position.symbol))].join(', ');
+                    Logger.debug('WebMCP Tool: searchHoldings', `Found ${report.positions.length} position(s), returning to AI`);
+                    return {
+                        success: true,
+                        ...report,
+                        message: `Holdings matching '${query}' (${symbols}) are worth ${PortfolioAnalytics.formatMoney(report.matchedValue)}, ${report.share} of ${scope}.`
+                    };
+                }
+            },
+            // Tool 9: Asset allocation
+            {
+                name: "getAssetAllocation",
+                description: "Gets the asset allocation (US stocks, international stocks, bonds, cash) of the whole portfolio or of one account: market value and percentage per asset class, largest first.",
+                capabilities: ["read:holdings"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        accountId: { type: "string", description: "Optional account ID from getAccountList (or its name); omit for the whole portfolio." }
                     }
                 },
-                // Tool 4: Initiate a fund transfer (Requires User Confirmation)
-                {
-                    name: "initiateFundTransfer",
-                    description: "Pre-fills the fund transfer form to move a specific amount of money between two of the user's Fidelity accounts. This action requires final user confirmation.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            fromAccount: { type: "string", description: "The name of the source account." },
-                            toAccount: { type: "string", description: "The name of the destination account." },
-                            amount: { type: "number", description: "The dollar amount to transfer." }
-                        },
-                        required: ["fromAccount", "toAccount", "amount"]
+                async execute({ accountId }) {
+                    Logger.debug('WebMCP Tool: getAssetAllocation', `Tool execution initiated`, { accountId });
+                    let report;
+                    try {
+                        const resolved = await resolveAccountArg(accountId, 'accountId');
+                        if (resolved.failure) {
+                            return resolved.failure;
+                        }
+                        report = await DataSource.getAllocation(resolved.accountId);
+                    } catch (error) {
+                        return dataSourceError("getAssetAllocation", error);
+                    }
+                    Logger.debug('WebMCP Tool: getAssetAllocation', `Returning allocation to AI:`, report.allocation);
+                    return { success: true, ...report };
+                }
+            },
+            // Tool 10: Prepare a trade order on the order ticket (Requires User Confirmation; the user places it)
+            {
+                name: "placeTradeOrder",
+                description: "Prepares an order to buy or sell a security in one of the user's accounts and opens it on the order ticket with an estimated cost. Give either a number of shares (quantity) or a dollar amount (market orders only); a limit order needs a limit price, and if it cannot fill when placed it stays open: prices in this simulation do not move, so it never fills later. The user is first asked to approve the exact order; the result says whether it was approved or denied. Even then it is NOT placed until the user reviews the ticket and clicks Place order, so tell the user to do that and check the outcome with getOrderStatus. Buys are paid from the account's core cash (SPAXX) and sells settle into it.",
+                capabilities: ["read:holdings", "write:trades"],
+                requiresConfirmation: true,
+                riskLevel: "high",
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        accountId: { type: "string", description: "The ID or name of the account to trade in." },
+                        action: { type: "string", description: "Whether to buy or sell.", enum: ["buy", "sell"] },
+                        symbol: { type: "string", description: "The ticker symbol, e.g. 'AAPL' or 'FXAIX'." },
+                        quantity: { type: "number", description: "Number of shares (up to 3 decimals). Omit when giving an amount.", exclusiveMinimum: 0 },
+                        amount: { type: "number", description: "Dollar amount to buy or sell at the market price. Omit when giving a quantity.", exclusiveMinimum: 0 },
+                        orderType: { type: "string", description: "Market (default) or limit.", enum: ["market", "limit"] },
+                        limitPrice: { type: "number", description: "Highest price to buy at or lowest price to sell at; required for limit orders.", exclusiveMinimum: 0 }
                     },
-                    async execute({ fromAccount, toAccount, amount }) {
-                        console.log(`🏧 [WebMCP Tool: initiateFundTransfer] Tool execution initiated for transfer request`);
-                        console.log(`🏧 [WebMCP Tool: initiateFundTransfer] Transfer details - From: "${fromAccount}", To: "${toAccount}", Amount: $${amount}`);
-                        console.log(`🏧 [WebMCP Tool: initiateFundTransfer] This demonstrates WebMCP's human-in-the-loop security model`);
-                        console.log(`🏧 [WebMCP Tool: initiateFundTransfer] Available accounts for transfer:`, Object.values(mockAccountData).map(acc => acc.name));
-                        
-                        const lowerFromAccount = fromAccount.toLowerCase();
-                        const lowerToAccount = toAccount.toLowerCase();
-                        
-                        console.log(`🔍 [WebMCP Tool: initiateFundTransfer] Searching for accounts containing: "${lowerFromAccount}" and "${lowerToAccount}"`);
-                        
-                        const fromAcc = Object.values(mockAccountData).find(acc => {
-                            const match = acc.name.toLowerCase().includes(lowerFromAccount);
-                            console.log(`🔍 [WebMCP Tool: initiateFundTransfer] Source account check: "${acc.name.toLowerCase()}" includes "${lowerFromAccount}": ${match}`);
-                            return match;
-                        });
-                        
-                        const toAcc = Object.values(mockAccountData).find(acc => {
-                            const match = acc.name.toLowerCase().includes(lowerToAccount);
-                            console.log(`🔍 [WebMCP Tool: initiateFundTransfer] Destination account check: "${acc.name.toLowerCase()}" includes "${lowerToAccount}": ${match}`);
-                            return match;
-                        });
-
-                        console.log(`🏧 [WebMCP Tool: initiateFundTransfer] Account resolution results - From:`, fromAcc, `To:`, toAcc);
-
-                        if (!fromAcc || !toAcc) {
-                            const message = `Account(s) not found. From: ${fromAccount} ${fromAcc ? '✓' : '✗'}, To: ${toAccount} ${toAcc ? '✓' : '✗'}`;
-                            console.error(`❌ [WebMCP Tool: initiateFundTransfer] ${message}`);
-                            return { success: false, message };
+                    required: ["accountId", "action", "symbol"]
+                },
+                // Runs before the confirmation dialog so the user approves a resolved account and an estimate
+                async preview(args) {
+                    Logger.debug('WebMCP Tool: placeTradeOrder', `Checking the order before asking for user confirmation`, args);
+                    let checked, account;
+                    try {
+                        checked = await checkTradeOrder(args);
+                        if (checked.failure) {
+                            return checked.failure;
+                        }
+                        account = (await DataSource.getAccounts()).find(candidate => candidate.id === checked.request.accountId);
+                    } catch (error) {
+                        return dataSourceError("placeTradeOrder", error);
+                    }
+                    const { request, estimate } = checked;
+                    const money = PortfolioAnalytics.formatMoney;
+                    return {
+                        summary: [
+                            `Account: ${account.name}`,
+                            `Order: ${request.action === 'buy' ? 'Buy' : 'Sell'} ${estimate.quantity} ${String(request.symbol).toUpperCase()} ${request.orderType === 'limit' ? `at a limit of ${money(request.limitPrice)}` : 'at market'} (last price ${money(estimate.marketPrice)})`,
+                            `Estimated ${request.action === 'buy' ? 'cost' : 'proceeds'}: ${money(estimate.amount)}`,
+                            `Core cash: ${money(estimate.cashAvailable)} → ${money(estimate.cashAfter)}`
+                        ]
+                    };
+                },
+                async execute(args) {
+                    Logger.debug('WebMCP Tool: placeTradeOrder', `Tool execution initiated`, args);
+                    // One ticket at a time: parallel calls each replace the previous ticket in turn,
+                    // so the order left pending is always the one on screen
+                    return enqueueOrderTicket(async () => {
+                        let order;
+                        try {
+                            // Prices and cash may have moved while the user was deciding
+                            const checked = await checkTradeOrder(args);
+                            if (checked.failure) {
+                                return checked.failure;
+                            }
+                            // A new ticket replaces one the user has not acted on
+                            if (App.pendingOrder) {
+                                await DataSource.cancelOrder(App.pendingOrder.id);
+                                App.pendingOrder = null;
+                            }
+                            order = await DataSource.placeOrder(checked.request);
+                        } catch (error) {
+                            return dataSourceError("placeTradeOrder", error);
                         }
+                        App.showOrderTicket(order);
+                        Logger.debug('WebMCP Tool: placeTradeOrder', `Order ticket shown for ${order.id}, waiting for the user`);
+                        return {
+                            success: true,
+                            orderId: order.id,
+                            status: order.status,
+                            estimate: order.estimate,
+                            message: `The order ticket to ${order.action} ${order.quantity} ${order.symbol} in ${order.accountName} (estimated ${PortfolioAnalytics.formatMoney(order.estimate.amount)}) is ready. It is not placed until the user reviews it and clicks Place order; check the outcome with getOrderStatus.`
+                        };
+                    });
+                }
+            },
+            // Tool 11: Status of trade orders
+            {
+                name: "getOrderStatus",
+                description: "Gets a trade order by its order ID (status pending, filled, cancelled or rejected, with fill price and amount once filled), or the 10 most recent orders when no ID is given. Pending means the user has not placed the ticket yet, or a limit order is open; prices in this simulation do not move, so an open limit order never fills later.",
+                capabilities: ["read:orders"],
+                inputSchema: {
+                    type: "object",
+                    properties: {
+                        orderId: { type: "string", description: "Optional order ID returned by placeTradeOrder, e.g. 'ORD-...'." }
+                    }
+                },
+                async execute({ orderId }) {
+                    Logger.debug('WebMCP Tool: getOrderStatus', `Looking up order(s):`, orderId || 'recent');
+                    try {
+                        if (!orderId) {
+                            const orders = await DataSource.getOrders({ limit: 10 });
+                            return { success: true, count: orders.length, orders };
+                        }
+                        const order = await DataSource.getOrder(orderId);
+                        if (!order) {
+                            return { success: false, message: `Order '${orderId}' not found.` };
+                        }
+                        return { success: true, order };
+                    } catch (error) {
+                        return dataSourceError("getOrderStatus", error);
+                    }
+                }
+            }
+        ];
 
-                        console.log(`🔒 [WebMCP Tool: initiateFundTransfer] Accounts validated - preparing transfer modal (human confirmation required)`);
-                        console.log(`🔒 [WebMCP Tool: initiateFundTransfer] WebMCP security: Tool only prepares action, user must approve`);
-                        console.log(`🎯 [WebMCP Tool: initiateFundTransfer] Calling App.showTransferModal with validated IDs:`, { from: fromAcc.id, to: toAcc.id, amount });
-                        
-                        // As per security best practices (Chapter 7), the tool only prepares the action.
-                        // It calls the app logic to show and pre-fill the form. The user must manually submit.
-                        App.showTransferModal({ from: fromAcc.id, to: toAcc.id, amount });
+        Logger.debug('WebMCP Provider', `Registering ${tools.length} financial tools:`, tools.map(tool => tool.name).join(', '));
 
-                        const result = { success: true, message: "I've prepared the transfer for you. Please review and click 'Submit' to complete it." };
-                        console.log(`✅ [WebMCP Tool: initiateFundTransfer] Transfer modal prepared, returning to AI:`, result);
-                        return result;
-                    }
+        // Register tools one at a time so tools registered elsewhere on the page are kept.
+        // Re-registering replaces any earlier copy of the same Fidelity tool.
+        if (typeof window.agent.registerTool === 'function') {
+            tools.forEach(tool => {
+                if (window.agent.tools.has(tool.name)) {
+                    window.agent.unregisterTool(tool.name);
                 }
-            ]
-        });
-        console.log('✅ [WebMCP Provider] All 4 WebMCP tools successfully registered with browser API');
-        console.log('✅ [WebMCP Provider] AI agents can now discover and execute these financial operations');
-        console.log('🔧 [WebMCP Provider] WebMCP tool registration complete - system ready for AI interaction');
+                window.agent.registerTool(tool);
+            });
+        } else {
+            window.agent.provideContext({ tools });
+        }
+        Logger.info('WebMCP Provider', `All ${tools.length} WebMCP tools successfully registered with browser API`);
+        Logger.debug('WebMCP Provider', 'WebMCP tool registration complete - system ready for AI interaction');
     } else {
-        console.error("❌ [WebMCP Provider] WebMCP browser API not available - tools cannot be registered");
-        console.error("❌ [WebMCP Provider] This indicates the WebMCP simulation layer is not loaded");
+        Logger.error('WebMCP Provider', "WebMCP browser API not available - tools cannot be registered");
+        Logger.error('WebMCP Provider', "This indicates the WebMCP simulation layer is not loaded");
+    }
+}
+
+/**
+ * Resolves an optional account argument (ID, name or type) with AccountResolver.
+ * Returns { accountId } - undefined when no account was given - or { failure } with the tool
+ * result when the account is ambiguous or unknown. `field` names the argument in that result.
+ */
+async function resolveAccountArg(identifier, field) {
+    if (!identifier) {
+        return { accountId: undefined };
+    }
+    const resolution = AccountResolver.resolve(identifier, await DataSource.getAccounts());
+    if (resolution.status !== 'resolved') {
+        return { failure: AccountResolver.failureResult(identifier, resolution, field) };
+    }
+    return { accountId: resolution.account.id };
+}
+
+/**
+ * Resolves the account of a trade order and checks the order against the order book and the
+ * largest order the assistant may prepare (`Config.permissions.maxTradeAmount`).
+ * Returns { request, estimate }, or { failure } with the tool result for an order that cannot go ahead.
+ */
+async function checkTradeOrder({ accountId, action, symbol, quantity, amount, orderType = 'market', limitPrice }) {
+    const resolved = await resolveAccountArg(accountId, 'accountId');
+    if (resolved.failure) {
+        return { failure: resolved.failure };
     }
-}
\ No newline at end of file
+    const request = { accountId: resolved.accountId, action, symbol, quantity, amount, orderType, limitPrice };
+    // Don't ask about, or open a ticket for, an order the order book would reject
+    const { reasons, estimate } = await DataSource.previewOrder(request);
+    if (reasons.length > 0) {
+        return { failure: { success: false, status: 'rejected', reasons, message: `Order not allowed: ${reasons.join(' ')}` } };
+    }
+    // Checked on the estimate, as share-quantity orders have no amount until they are priced
+    const maxAmount = window.Config.permissions.maxTradeAmount;
+    if (estimate.amount > maxAmount) {
+        return {
+            failure: PermissionPolicy.denial({ name: 'placeTradeOrder' }, 'amount_limit_exceeded',
+                `Orders above $${maxAmount.toFixed(2)} are not allowed through the assistant; this one is estimated at $${estimate.amount.toFixed(2)}.`,
+                { maxAmount })
+        };
+    }
+    return { request, estimate };
+}
+
+// Order tickets are prepared one at a time, like dialogs (see ConfirmationDialog.enqueue)
+let orderTicketQueue = Promise.resolve();
+
+function enqueueOrderTicket(task) {
+    const result = orderTicketQueue.then(task);
+    orderTicketQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Resolves the source and destination accounts of a transfer with AccountResolver.
+ * Returns { fromAcc, toAcc }, or { failure } with the tool result for the first account that is
+ * ambiguous or unknown - a transfer never goes ahead on a guessed account.
+ */
+async function resolveTransferAccounts(fromAccount, toAccount) {
+    const accounts = await DataSource.getAccounts();
+    Logger.debug('WebMCP Tool: initiateFundTransfer', `Available accounts for transfer:`, accounts.map(acc => acc.name));
+    const from = AccountResolver.resolve(fromAccount, accounts);
+    const to = AccountResolver.resolve(toAccount, accounts);
+    Logger.debug('WebMCP Tool: initiateFundTransfer', `Account resolution results - From:`, from, `To:`, to);
+
+    if (from.status !== 'resolved') {
+        Logger.error('WebMCP Tool: initiateFundTransfer', `Source account "${fromAccount}" is ${from.status}`);
+        return { failure: AccountResolver.failureResult(fromAccount, from, 'fromAccount') };
+    }
+    if (to.status !== 'resolved') {
+        Logger.error('WebMCP Tool: initiateFundTransfer', `Destination account "${toAccount}" is ${to.status}`);
+        return { failure: AccountResolver.failureResult(toAccount, to, 'toAccount') };
+    }
+    return { fromAcc: from.account, toAcc: to.account };
+}
+
+// Tool result for a data source failure (server down, timeout, 5xx) so the agent can tell the user
+function dataSourceError(toolName, error) {
+    Logger.error(`WebMCP Tool: ${toolName}`, `Data source request failed:`, error.message);
+    return { success: false, error: 'data_source_error', message: `Could not reach account data: ${error.message}` };
+}
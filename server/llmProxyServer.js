@@ -0,0 +1,163 @@
+/**
+ * llmProxyServer.js
+ * -----------------
+ * Local relay for proxy mode (`Config.apiKeys.proxy.enabled`). The browser sends its LLM
+ * requests here without any key; the relay adds the key from the environment and forwards
+ * them to the provider, streaming the response back. Keys never reach the page or the repo:
+ *
+ *   OPENAI_API_KEY=sk-... npm run llm-proxy      # http://localhost:8788/openai/*
+ *   ANTHROPIC_API_KEY=sk-ant-... npm run llm-proxy # http://localhost:8788/anthropic/*
+ *   AZURE_OPENAI_ENDPOINT=https://my-resource.openai.azure.com AZURE_OPENAI_API_KEY=... npm run llm-proxy
+ *
+ * It listens on 127.0.0.1 only and answers CORS requests from localhost origins
+ * (LLM_PROXY_ALLOWED_ORIGINS adds others, comma-separated).
+ */
+const http = require('node:http');
+const { Readable, pipeline } = require('node:stream');
+
+const DEFAULT_UPSTREAMS = {
+    openai: 'https://api.openai.com/v1',
+    anthropic: 'https://api.anthropic.com/v1'
+};
+
+// Adds the provider's auth header to the forwarded request
+const AUTH_HEADERS = {
+    openai: (key) => ({ 'Authorization': `Bearer ${key}` }),
+    anthropic: (key) => ({ 'x-api-key': key }),
+    azure: (key) => ({ 'api-key': key })
+};
+
+// Environment variable holding each provider's key
+const KEY_VARIABLES = {
+    openai: 'OPENAI_API_KEY',
+    anthropic: 'ANTHROPIC_API_KEY',
+    azure: 'AZURE_OPENAI_API_KEY'
+};
+
+// Request headers passed through from the browser; anything else (cookies, auth) is dropped
+const FORWARDED_HEADERS = ['content-type', 'accept', 'anthropic-version', 'anthropic-beta'];
+
+function isAllowedOrigin(origin, allowedOrigins) {
+    if (!origin) {
+        return false;
+    }
+    if (allowedOrigins.includes(origin)) {
+        return true;
+    }
+    try {
+        return ['localhost', '127.0.0.1'].includes(new URL(origin).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Creates (but does not start) the relay.
+ * options.keys maps provider to API key (defaults to the KEY_VARIABLES environment variables);
+ * options.upstreams overrides provider base URLs (Azure's comes from AZURE_OPENAI_ENDPOINT);
+ * options.allowedOrigins adds CORS origins; options.log receives one line per request (console.log by default).
+ */
+function createLlmProxyServer(options = {}) {
+    const keys = options.keys || Object.fromEntries(
+        Object.entries(KEY_VARIABLES).map(([provider, variable]) => [provider, process.env[variable]])
+    );
+    const upstreams = { ...DEFAULT_UPSTREAMS, azure: process.env.AZURE_OPENAI_ENDPOINT, ...options.upstreams };
+    const allowedOrigins = options.allowedOrigins || [];
+    const log = options.log || console.log;
+
+    return http.createServer(async (req, res) => {
+        const origin = req.headers.origin;
+        if (origin && !isAllowedOrigin(origin, allowedOrigins)) {
+            return sendJson(res, 403, { error: { message: `Origin ${origin} is not allowed to use the LLM proxy.` } });
+        }
+        if (origin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, anthropic-version, anthropic-beta');
+        }
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const [, provider, ...rest] = url.pathname.split('/');
+        if (!AUTH_HEADERS[provider]) {
+            return sendJson(res, 404, { error: { message: `Unknown provider route: ${url.pathname}` } });
+        }
+        if (req.method !== 'POST') {
+            return sendJson(res, 405, { error: { message: 'The LLM proxy only forwards POST requests.' } });
+        }
+        if (!upstreams[provider]) {
+            return sendJson(res, 500, { error: { message: `The LLM proxy has no ${provider} endpoint. Set AZURE_OPENAI_ENDPOINT and restart it.` } });
+        }
+        if (!keys[provider]) {
+            return sendJson(res, 500, { error: { message: `The LLM proxy has no ${provider} key. Set ${KEY_VARIABLES[provider]} and restart it.` } });
+        }
+
+        const headers = AUTH_HEADERS[provider](keys[provider]);
+        FORWARDED_HEADERS.filter(name => req.headers[name]).forEach(name => { headers[name] = req.headers[name]; });
+        const target = `${upstreams[provider]}/${rest.join('/')}${url.search}`;
+        log(`🔀 [LLM Proxy] POST /${provider}/${rest.join('/')}`);
+
+        // The browser going away (Stop, reload) cancels the upstream request too. Watched on the
+        // response: the request's own 'close' also fires once its body has been read.
+        const upstreamRequest = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                upstreamRequest.abort();
+            }
+        });
+
+        try {
+            const body = await readBody(req);
+            const upstream = await fetch(target, { method: 'POST', headers, body, signal: upstreamRequest.signal });
+            res.writeHead(upstream.status, {
+                'Content-Type': upstream.headers.get('content-type') || 'application/json'
+            });
+            if (!upstream.body) {
+                return res.end();
+            }
+            // Piped as it arrives so streamed (SSE) responses stay incremental
+            pipeline(Readable.fromWeb(upstream.body), res, (error) => {
+                if (error && !upstreamRequest.signal.aborted) {
+                    log(`⚠️ [LLM Proxy] ${provider} response stream failed: ${error.message}`);
+                }
+                res.end();
+            });
+        } catch (error) {
+            if (upstreamRequest.signal.aborted) {
+                return res.end();
+            }
+            sendJson(res, 502, { error: { message: `LLM proxy could not reach ${provider}: ${error.message}` } });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.LLM_PROXY_PORT) || 8788;
+    const server = createLlmProxyServer({
+        allowedOrigins: (process.env.LLM_PROXY_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    });
+    server.listen(port, '127.0.0.1', () => {
+        const configured = Object.keys(KEY_VARIABLES).filter(provider => process.env[KEY_VARIABLES[provider]]);
+        console.log(`✅ [LLM Proxy] Relaying to ${configured.join(', ') || `no providers (set ${Object.values(KEY_VARIABLES).join(', ')})`} at http://localhost:${port}/`);
+    });
+}
+
+module.exports = { createLlmProxyServer };
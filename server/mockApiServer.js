@@ -0,0 +1,228 @@
+/**
+ * mockApiServer.js
+ * ----------------
+ * Local REST mock backend for the 'http' data source adapter (js/dataSource.js).
+ * It evaluates the browser's own fixtures (fidelityApp.js), analytics (portfolioAnalytics.js),
+ * transfer rules (transferEngine.js) and order book (orderBook.js) so both adapters return the same
+ * data, and adds configurable latency and failure injection.
+ * It also serves the app's files (index.html, js/, css/, fixtures/), so the whole POC runs from one
+ * origin. It listens on 127.0.0.1 only:
+ *
+ *   npm run mock-api                          # http://localhost:8787 (API under /api)
+ *   MOCK_API_LATENCY_MS=800 npm run mock-api  # slow responses
+ *   MOCK_API_FAILURE_RATE=0.3 npm run mock-api # 30% of API requests fail with 503
+ *
+ * The ledger and the order book are kept in memory and reset when the server restarts.
+ */
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The only files served besides /api: the page and the directories it loads from
+const STATIC_FILES = ['index.html'];
+const STATIC_DIRECTORIES = ['js', 'css', 'fixtures'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8'
+};
+
+// Loads the browser fixtures, transfer engine and order book into a fresh sandbox with a memory-backed localStorage
+function loadBackend() {
+    const storage = new Map();
+    const sandbox = {
+        console: { debug() {}, info() {}, log() {}, warn() {}, error: console.error },
+        EventTarget,
+        CustomEvent,
+        document: { addEventListener() {} },
+        localStorage: {
+            getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value))
+        }
+    };
+    sandbox.window = sandbox;
+    const context = vm.createContext(sandbox);
+    ['js/logger.js', 'js/config.js', 'js/fidelityApp.js', 'js/portfolioAnalytics.js', 'js/transferEngine.js', 'js/orderBook.js'].forEach(file => {
+        new vm.Script(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file }).runInContext(context);
+    });
+    const backend = {
+        accounts: new vm.Script('mockAccountData').runInContext(context),
+        analytics: sandbox.PortfolioAnalytics,
+        engine: sandbox.TransferEngine,
+        orders: sandbox.OrderBook
+    };
+    backend.engine.init();
+    backend.orders.init();
+    return backend;
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+    res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON.'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Routes /api/* requests to the backend; unknown routes get a JSON 404
+async function handleApi(backend, req, res, url) {
+    const route = url.pathname.replace(/^\/api/, '');
+
+    if (req.method === 'GET' && route === '/accounts') {
+        return sendJson(res, 200, { accounts: Object.values(backend.accounts) });
+    }
+    if (req.method === 'GET' && route === '/performance') {
+        // Unknown accounts or benchmarks throw and are answered with 400
+        const report = backend.analytics.performanceReport(url.searchParams.get('period'), {
+            benchmark: url.searchParams.get('benchmark') || undefined,
+            accountId: url.searchParams.get('accountId') || undefined
+        });
+        return sendJson(res, 200, report);
+    }
+    if (req.method === 'GET' && route === '/holdings') {
+        return sendJson(res, 200, backend.analytics.holdingsReport(url.searchParams.get('accountId') || undefined));
+    }
+    if (req.method === 'GET' && route === '/holdings/search') {
+        return sendJson(res, 200, backend.analytics.searchHoldings(url.searchParams.get('q') || '', url.searchParams.get('accountId') || undefined));
+    }
+    if (req.method === 'GET' && route === '/allocation') {
+        return sendJson(res, 200, backend.analytics.allocationReport(url.searchParams.get('accountId') || undefined));
+    }
+    if (req.method === 'POST' && route === '/transfers/validate') {
+        const { from, to, amount } = await readJsonBody(req);
+        return sendJson(res, 200, { reasons: backend.engine.validate({ from, to, amount }) });
+    }
+    if (req.method === 'POST' && route === '/transfers') {
+        const { from, to, amount } = await readJsonBody(req);
+        const entry = backend.engine.submit({ from, to, amount });
+        return sendJson(res, entry.status === 'completed' ? 201 : 200, entry);
+    }
+    if (req.method === 'GET' && route === '/transfers') {
+        const accountId = url.searchParams.get('accountId') || undefined;
+        const limit = Number(url.searchParams.get('limit')) || undefined;
+        return sendJson(res, 200, { transactions: backend.engine.getHistory({ accountId, limit }) });
+    }
+    const match = route.match(/^\/transfers\/([^/]+)$/);
+    if (req.method === 'GET' && match) {
+        const entry = backend.engine.getStatus(decodeURIComponent(match[1]));
+        return entry ? sendJson(res, 200, entry) : sendJson(res, 404, { error: `Transaction '${match[1]}' not found.` });
+    }
+    if (req.method === 'POST' && route === '/orders/preview') {
+        return sendJson(res, 200, backend.orders.preview(await readJsonBody(req)));
+    }
+    if (req.method === 'POST' && route === '/orders') {
+        const entry = backend.orders.place(await readJsonBody(req));
+        return sendJson(res, entry.status === 'pending' ? 201 : 200, entry);
+    }
+    if (req.method === 'GET' && route === '/orders') {
+        const accountId = url.searchParams.get('accountId') || undefined;
+        const limit = Number(url.searchParams.get('limit')) || undefined;
+        return sendJson(res, 200, { orders: backend.orders.getOrders({ accountId, limit }) });
+    }
+    const orderMatch = route.match(/^\/orders\/([^/]+)(?:\/(submit|cancel))?$/);
+    if (orderMatch && (req.method === 'POST') === Boolean(orderMatch[2])) {
+        const orderId = decodeURIComponent(orderMatch[1]);
+        const entry = orderMatch[2] ? backend.orders[orderMatch[2]](orderId) : backend.orders.getStatus(orderId);
+        return entry ? sendJson(res, 200, entry) : sendJson(res, 404, { error: `Order '${orderId}' not found.` });
+    }
+    return sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+}
+
+// Serves the app's files; anything else in the repository (.git, server/, ...) is not found
+function serveStatic(req, res, url) {
+    let relativePath;
+    try {
+        relativePath = path.normalize(decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname)).replace(/^[/\\]+/, '');
+    } catch (error) {
+        res.writeHead(400);
+        return res.end('Bad request');
+    }
+    const [topLevel, ...rest] = relativePath.split(path.sep);
+    const allowed = rest.length === 0 ? STATIC_FILES.includes(topLevel) : STATIC_DIRECTORIES.includes(topLevel);
+    if (!allowed) {
+        res.writeHead(404);
+        return res.end('Not found');
+    }
+    const filePath = path.join(ROOT, relativePath);
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    });
+}
+
+/**
+ * Creates (but does not start) the mock server.
+ * options.latencyMs delays every API response; options.failureRate (0..1) makes that share of
+ * API requests fail with 503; options.random can be replaced to make failures deterministic.
+ * options.log receives one line per API request (console.log by default).
+ */
+function createMockApiServer(options = {}) {
+    const latencyMs = options.latencyMs || 0;
+    const failureRate = options.failureRate || 0;
+    const random = options.random || Math.random;
+    const log = options.log || console.log;
+    const backend = loadBackend();
+
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (!url.pathname.startsWith('/api/')) {
+            return serveStatic(req, res, url);
+        }
+        // The app may be served from another origin (e.g. python http.server on :8000)
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            return res.end();
+        }
+
+        if (latencyMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, latencyMs));
+        }
+        if (random() < failureRate) {
+            log(`💥 [Mock API] Injected failure for ${req.method} ${url.pathname}`);
+            return sendJson(res, 503, { error: 'Service temporarily unavailable (injected failure).' });
+        }
+        try {
+            log(`🌐 [Mock API] ${req.method} ${url.pathname}${url.search}`);
+            await handleApi(backend, req, res, url);
+        } catch (error) {
+            sendJson(res, 400, { error: error.message });
+        }
+    });
+}
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8787;
+    const server = createMockApiServer({
+        latencyMs: Number(process.env.MOCK_API_LATENCY_MS) || 0,
+        failureRate: Number(process.env.MOCK_API_FAILURE_RATE) || 0
+    });
+    server.listen(port, '127.0.0.1', () => {
+        console.log(`✅ [Mock API] Serving the app at http://localhost:${port}/ and the API at http://localhost:${port}/api`);
+    });
+}
+
+module.exports = { createMockApiServer };
@@ -0,0 +1,64 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+
+let app;
+beforeEach(async () => { app = await loadApp(); });
+afterEach(() => app.close());
+
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+
+async function resolve(query) {
+    const accounts = await app.window.DataSource.getAccounts();
+    return app.window.AccountResolver.resolve(query, accounts);
+}
+
+test('resolves accounts by ID, name, alias, loose wording and small typos', async () => {
+    const cases = {
+        'acc_cash_101': 'acc_cash_101',
+        'Roth': 'acc_roth_456',
+        'Roth IRA account': 'acc_roth_456',
+        'my 401(k)': 'acc_401k_789',
+        'rollover': 'acc_401k_789',
+        'Brokrage': 'acc_brokerage_123',
+        'individual brokerage account': 'acc_brokerage_123',
+        'cash': 'acc_cash_101'
+    };
+    for (const [query, expected] of Object.entries(cases)) {
+        const resolution = await resolve(query);
+        assert.equal(resolution.status, 'resolved', query);
+        assert.equal(resolution.account.id, expected, query);
+    }
+    assert.equal((await resolve('Savings')).status, 'not_found');
+});
+
+test('generic names are ambiguous and list every close candidate', async () => {
+    const ids = async (query) => plain((await resolve(query)).candidates.map(candidate => candidate.id));
+
+    assert.equal((await resolve('IRA')).status, 'ambiguous');
+    assert.deepEqual(await ids('IRA'), ['acc_roth_456', 'acc_401k_789']);
+    assert.deepEqual(await ids('retirement'), ['acc_roth_456', 'acc_401k_789']);
+    assert.equal((await ids('account')).length, 4);
+});
+
+test('getAccountBalance asks for a choice instead of picking the first match', async () => {
+    const result = await invoke('getAccountBalance', { accountIdentifier: 'IRA' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'ambiguous_account');
+    assert.deepEqual(plain(result.candidates.map(candidate => candidate.name)), ['Roth IRA', '401(k) Rollover']);
+    assert.match(result.message, /matches more than one account: Roth IRA, 401\(k\) Rollover/);
+    assert.equal(app.document.querySelectorAll('.highlight').length, 0);
+});
+
+test('a transfer to an ambiguous account is never offered for approval', async () => {
+    const result = await invoke('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'IRA', amount: 1000 });
+
+    assert.equal(result.error, 'ambiguous_account');
+    assert.equal(result.field, 'toAccount');
+    assert.equal(app.document.getElementById('confirmation-dialog').style.display, 'none');
+    assert.equal(app.global('mockAccountData').acc_brokerage_123.balance, 15430.25);
+
+    const byId = await invoke('getTransactionHistory', { accountIdentifier: 'acc_roth_456' });
+    assert.equal(byId.success, true);
+});
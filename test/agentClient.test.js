@@ -0,0 +1,185 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, answerConfirmation, flush } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app && app.close());
+
+// Fake OpenAI endpoint: serves the queued completions in order and records each request body
+function fakeOpenAI(completions) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        const next = completions.length > 1 ? completions.shift() : completions[0];
+        if (typeof next === 'string') {
+            return new Response(next, { status: 200 });
+        }
+        return new Response(JSON.stringify({ id: 'test', choices: [{ message: next }] }), { status: 200 });
+    };
+    return { fetch, requests };
+}
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+async function send(prompt) {
+    app.document.getElementById('ai-user-prompt').value = prompt;
+    await app.window.agentClient.handleSend();
+}
+
+const lastAgentMessage = () => [...app.document.querySelectorAll('#ai-chat-history .agent-message')].pop().textContent;
+
+const useNonStreaming = (Config) => { Config.llm.stream = false; };
+
+test('renders a plain text answer from the LLM', async () => {
+    const llm = fakeOpenAI([{ role: 'assistant', content: 'Hello Jane!' }]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    await send('Hi');
+
+    assert.equal(lastAgentMessage(), 'Hello Jane!');
+    assert.equal(llm.requests[0].messages[1].content, 'Hi');
+    assert.equal(llm.requests[0].tools.length, 11);
+});
+
+test('runs every tool call from one turn and sends all results back', async () => {
+    const llm = fakeOpenAI([
+        {
+            role: 'assistant',
+            content: null,
+            tool_calls: [
+                toolCall('call_1', 'getAccountBalance', { accountIdentifier: 'Roth' }),
+                toolCall('call_2', 'getAccountBalance', { accountIdentifier: '401(k)' })
+            ]
+        },
+        { role: 'assistant', content: null, tool_calls: [toolCall('call_3', 'getPortfolioPerformance', { timePeriod: '3 Year' })] },
+        { role: 'assistant', content: 'Roth: $89,500.75, 401(k): $245,100.40.' }
+    ]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    await send('Compare my Roth and 401(k) balances and then show 3-year performance');
+
+    assert.equal(llm.requests.length, 3);
+    const toolResults = llm.requests[1].messages.filter(message => message.role === 'tool');
+    assert.deepEqual(toolResults.map(message => message.tool_call_id), ['call_1', 'call_2']);
+    assert.equal(JSON.parse(toolResults[1].content).balance, 245100.40);
+    assert.equal(app.document.getElementById('chart-time-period').textContent, 'Time Period: 3 Year');
+    assert.equal(lastAgentMessage(), 'Roth: $89,500.75, 401(k): $245,100.40.');
+});
+
+test('stops with an error when the step limit is reached', async () => {
+    const llm = fakeOpenAI([{ role: 'assistant', content: null, tool_calls: [toolCall('call_loop', 'getAccountList', {})] }]);
+    app = await loadApp({
+        fetch: llm.fetch,
+        configure: (Config) => {
+            useNonStreaming(Config);
+            Config.llm.maxAgentSteps = 2;
+        }
+    });
+
+    await send('List my accounts forever');
+
+    assert.equal(llm.requests.length, 3);
+    assert.match(lastAgentMessage(), /stopped after 2 steps/);
+    // The unexecuted call still gets a result so the history stays valid for the next request
+    const history = app.window.agentClient.llmClient.conversationHistory;
+    assert.equal(history[history.length - 1].role, 'tool');
+});
+
+test('shows an error message when the LLM request fails', async () => {
+    app = await loadApp({ configure: useNonStreaming });
+
+    await send('Hi');
+
+    assert.match(lastAgentMessage(), /Could not reach OpenAI/);
+    assert.equal(app.document.getElementById('ai-send-btn').disabled, false);
+});
+
+test('streams text deltas into a single agent bubble', async () => {
+    const events = ['Your ', 'balance ', 'is $5,200.00.']
+        .map(content => `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`)
+        .join('') + 'data: [DONE]\n\n';
+    const llm = fakeOpenAI([events]);
+    app = await loadApp({ fetch: llm.fetch });
+
+    await send('Cash balance?');
+
+    assert.equal(llm.requests[0].stream, true);
+    assert.equal(lastAgentMessage(), 'Your balance is $5,200.00.');
+    assert.equal(app.document.querySelectorAll('#ai-chat-history .agent-message').length, 2);
+});
+
+test('scripted provider drives a confirmed transfer end to end', async () => {
+    const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'scripted-llm.json'), 'utf8'));
+    app = await loadApp({
+        configure: (Config) => {
+            Config.llm.provider = 'scripted';
+            Config.scripted.fixtures = fixtures;
+        }
+    });
+
+    const turn = send('Transfer $1,000 from my Brokerage to my Roth IRA');
+    await answerConfirmation(app.window, 'approve');
+    await turn;
+
+    assert.match(lastAgentMessage(), /completed successfully/);
+    assert.equal(app.global('mockAccountData').acc_roth_456.balance, 90500.75);
+});
+
+test('stop declines a confirmation that is still open and the tool never runs', async () => {
+    const llm = fakeOpenAI([
+        { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Roth', amount: 1000 })] },
+        { role: 'assistant', content: 'Should not be asked.' }
+    ]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    const turn = send('Move $1,000 from Brokerage to my Roth');
+    const dialog = app.document.getElementById('confirmation-dialog');
+    for (let attempt = 0; attempt < 50 && dialog.style.display === 'none'; attempt++) {
+        await flush(app.window);
+    }
+    assert.equal(dialog.style.display, 'flex');
+    app.document.getElementById('ai-stop-btn').click();
+    await turn;
+
+    assert.equal(dialog.style.display, 'none');
+    assert.equal(lastAgentMessage(), 'Stopped.');
+    assert.equal(llm.requests.length, 1);
+    assert.equal(app.global('mockAccountData').acc_roth_456.balance, 89500.75);
+    const [entry] = app.global('AuditLog').entries;
+    assert.equal(entry.confirmation, 'denied');
+    assert.match(entry.result.message, /stopped the request before approving initiateFundTransfer/);
+});
+
+test('stop closes an open consent prompt without recording a refusal', async () => {
+    const llm = fakeOpenAI([
+        { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'getAccountList', {})] },
+        { role: 'assistant', content: 'Should not be asked.' }
+    ]);
+    app = await loadApp({
+        fetch: llm.fetch,
+        configure: (Config) => {
+            useNonStreaming(Config);
+            Config.permissions.defaultScopes = [];
+        }
+    });
+
+    const turn = send('What accounts do I have?');
+    const dialog = app.document.getElementById('consent-dialog');
+    for (let attempt = 0; attempt < 50 && dialog.style.display !== 'flex'; attempt++) {
+        await flush(app.window);
+    }
+    assert.equal(dialog.style.display, 'flex');
+    app.document.getElementById('ai-stop-btn').click();
+    await turn;
+
+    assert.equal(dialog.style.display, 'none');
+    assert.equal(lastAgentMessage(), 'Stopped.');
+    assert.equal(llm.requests.length, 1);
+    const PermissionPolicy = app.global('PermissionPolicy');
+    assert.deepEqual([...PermissionPolicy.consent.denied], []);
+    assert.deepEqual([...PermissionPolicy.callLog.getAccountList], []);
+    const [entry] = app.global('AuditLog').entries;
+    assert.match(entry.result.message, /stopped the request before granting read:accounts/);
+});
@@ -0,0 +1,116 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, answerConfirmation, plain } = require('./helpers/loadApp');
+
+let app;
+let AuditLog;
+beforeEach(async () => {
+    app = await loadApp();
+    AuditLog = app.global('AuditLog');
+});
+afterEach(() => app.close());
+
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+const rows = () => [...app.document.querySelectorAll('#activity-list .activity-item')];
+
+function setFilter(id, value) {
+    const control = app.document.getElementById(id);
+    if (control.type === 'checkbox') {
+        control.checked = value;
+    } else {
+        control.value = value;
+    }
+    control.dispatchEvent(new app.window.Event(control.type === 'search' ? 'input' : 'change'));
+}
+
+test('every invocation is recorded with session, arguments, result and duration', async () => {
+    await invoke('getAccountBalance', { accountIdentifier: 'Roth' });
+
+    assert.equal(AuditLog.entries.length, 1);
+    const [entry] = plain(AuditLog.entries);
+    assert.equal(entry.toolName, 'getAccountBalance');
+    assert.equal(entry.sessionId, app.window.agentClient.activeSessionId);
+    assert.deepEqual(entry.arguments, { accountIdentifier: 'Roth' });
+    assert.equal(entry.result.balance, 89500.75);
+    assert.equal(entry.outcome, 'success');
+    assert.equal(entry.confirmation, 'not_required');
+    assert.equal(typeof entry.durationMs, 'number');
+    assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+
+    const saved = JSON.parse(app.window.localStorage.getItem('webmcp-poc.audit'));
+    assert.equal(saved[0].id, entry.id);
+    assert.equal(rows().length, 1);
+    assert.match(rows()[0].textContent, /getAccountBalance · success/);
+});
+
+test('confirmation outcomes, validation errors and unknown tools are recorded', async () => {
+    const denied = invoke('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Cash', amount: 10 });
+    await answerConfirmation(app.window, 'deny');
+    await denied;
+    const approved = invoke('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Cash', amount: 10 });
+    await answerConfirmation(app.window, 'approve');
+    await approved;
+    await invoke('initiateFundTransfer', { fromAccount: 'Brokerage' });
+    await invoke('deleteEverything', {});
+
+    assert.deepEqual(plain(AuditLog.entries.map(entry => [entry.outcome, entry.confirmation])), [
+        ['denied', 'denied'],
+        ['success', 'approved'],
+        ['validation_error', 'not_reached'],
+        ['error', 'not_required']
+    ]);
+});
+
+test('the Agent Activity panel filters by tool, outcome, text and conversation', async () => {
+    await invoke('getAccountList', {});
+    await invoke('getAccountBalance', { accountIdentifier: 'Roth' });
+    await invoke('getAccountBalance', { accountIdentifier: 'Nope' });
+    assert.equal(rows().length, 3);
+
+    setFilter('activity-tool-filter', 'getAccountBalance');
+    assert.equal(rows().length, 2);
+    setFilter('activity-outcome-filter', 'failure');
+    assert.equal(rows().length, 1);
+    assert.match(app.document.getElementById('activity-count').textContent, /1 of 3/);
+
+    setFilter('activity-tool-filter', '');
+    setFilter('activity-outcome-filter', '');
+    setFilter('activity-search', 'roth');
+    assert.equal(rows().length, 2); // the Roth lookup, and the account list that contains "Roth IRA"
+
+    setFilter('activity-search', '');
+    app.window.agentClient.startNewSession();
+    await invoke('getAccountList', {});
+    setFilter('activity-session-filter', true);
+    assert.equal(rows().length, 1);
+});
+
+test('CSV export quotes values, embeds arguments and results as JSON and neutralizes formulas', () => {
+    const csv = AuditLog.formatCSV([{
+        id: 'AUD-1',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        sessionId: 's1',
+        toolName: 'getAccountBalance',
+        outcome: 'failure',
+        confirmation: 'not_required',
+        durationMs: 4,
+        arguments: { accountIdentifier: 'Roth, "main"' },
+        result: { success: false }
+    }]);
+    const [header, row] = csv.split('\r\n');
+    assert.equal(header, 'id,timestamp,sessionId,toolName,outcome,confirmation,durationMs,arguments,result');
+    assert.equal(row, 'AUD-1,2024-01-01T00:00:00.000Z,s1,getAccountBalance,failure,not_required,4,'
+        + '"{""accountIdentifier"":""Roth, \\""main\\""""}","{""success"":false}"');
+
+    // Values the LLM chose cannot become spreadsheet formulas
+    const [, formulas] = AuditLog.formatCSV([{ id: '@SUM(A1)', toolName: '=HYPERLINK("http://example.com")', outcome: '+1', confirmation: '-2' }]).split('\r\n');
+    assert.equal(formulas, `'@SUM(A1),,,"'=HYPERLINK(""http://example.com"")",'+1,'-2,,,`);
+});
+
+test('the log keeps at most maxEntries records', async () => {
+    app.window.Config.audit.maxEntries = 2;
+    await invoke('getAccountList', {});
+    await invoke('getAccountBalance', { accountIdentifier: 'Cash' });
+    await invoke('getAccountBalance', { accountIdentifier: 'Roth' });
+    assert.deepEqual(plain(AuditLog.entries.map(entry => entry.arguments.accountIdentifier)), ['Cash', 'Roth']);
+});
@@ -0,0 +1,134 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app && app.close());
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+/**
+ * Fake OpenAI endpoint for multi-turn conversations: every prompt first gets a getAccountList call,
+ * then a text answer. Summary requests (sent without tools) get `summary`, or a 500 when it is null.
+ */
+function fakeOpenAI(summary) {
+    const requests = [];
+    let calls = 0;
+    const fetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        requests.push(body);
+        if (!body.tools) {
+            return summary === null
+                ? new Response('{}', { status: 500 })
+                : new Response(JSON.stringify({ choices: [{ message: { role: 'assistant', content: summary } }] }), { status: 200 });
+        }
+        const last = body.messages[body.messages.length - 1];
+        const message = last.role === 'user'
+            ? { role: 'assistant', content: null, tool_calls: [toolCall(`call_${++calls}`, 'getAccountList', {})] }
+            : { role: 'assistant', content: `Answer ${calls}: you have 4 accounts.` };
+        return new Response(JSON.stringify({ id: 'chat', choices: [{ message }] }), { status: 200 });
+    };
+    return { fetch, requests, chatRequests: () => requests.filter(request => request.tools) };
+}
+
+function configureContext(context) {
+    return (Config) => {
+        Config.llm.stream = false;
+        Object.assign(Config.context, context);
+    };
+}
+
+async function send(prompt) {
+    app.document.getElementById('ai-user-prompt').value = prompt;
+    await app.window.agentClient.handleSend();
+}
+
+// Every tool result must directly follow the assistant message that called it
+function assertToolPairsIntact(messages) {
+    messages.forEach((message, index) => {
+        if (message.role !== 'tool') return;
+        const caller = messages.slice(0, index).reverse().find(candidate => candidate.role !== 'tool');
+        assert.ok(caller && caller.tool_calls.some(call => call.id === message.tool_call_id), `orphan tool result ${message.tool_call_id}`);
+    });
+}
+
+test('estimates tokens per message and groups history into whole turns', async () => {
+    app = await loadApp();
+    const { ContextManager } = app.window;
+    const history = [
+        { role: 'user', content: 'List my accounts' },
+        { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'getAccountList', {})] },
+        { role: 'tool', content: '{"success":true}', tool_call_id: 'call_1' },
+        { role: 'assistant', content: 'You have 4 accounts.' },
+        { role: 'user', content: 'Thanks' }
+    ];
+
+    assert.equal(ContextManager.estimateTokens({ role: 'user', content: 'x'.repeat(40) }), 14);
+    assert.deepEqual(plain(ContextManager.splitTurns(history).map(turn => turn.length)), [4, 1]);
+    const { older, recent } = ContextManager.splitForCompaction(history, 1000, 1);
+    assert.equal(older.length, 4);
+    assert.deepEqual(plain(recent), [{ role: 'user', content: 'Thanks' }]);
+});
+
+test('tool results of older turns are trimmed but stay paired with their calls', async () => {
+    const llm = fakeOpenAI('unused');
+    app = await loadApp({ fetch: llm.fetch, configure: configureContext({ trimToolResultsAfterTurns: 1 }) });
+
+    await send('List my accounts');
+    await send('List them again');
+
+    const messages = llm.chatRequests().pop().messages;
+    const toolResults = messages.filter(message => message.role === 'tool');
+    assert.equal(toolResults.length, 2);
+    assert.match(toolResults[0].content, /Earlier result of getAccountList removed/);
+    assert.equal(JSON.parse(toolResults[1].content).success, true);
+    assertToolPairsIntact(messages);
+});
+
+test('older turns are replaced by a model-written summary once the budget is exceeded', async () => {
+    const llm = fakeOpenAI('The user listed their 4 accounts twice.');
+    app = await loadApp({
+        fetch: llm.fetch,
+        configure: configureContext({ maxTokens: 250, keepRecentTurns: 1, trimToolResultsAfterTurns: 5, summaryMaxTokens: 50 })
+    });
+
+    await send('List my accounts');
+    await send('List them again');
+    await send('And once more');
+
+    const summaryRequest = llm.requests.find(request => !request.tools);
+    assert.match(summaryRequest.messages[1].content, /User: List my accounts/);
+    const messages = llm.chatRequests().pop().messages;
+    assert.match(messages[0].content, /The user listed their 4 accounts twice\./);
+    assert.equal(messages[1].role, 'user');
+    assertToolPairsIntact(messages);
+
+    // The summary belongs to the conversation and survives a reload
+    const session = app.window.agentClient.sessionStore.getActiveSession();
+    assert.equal(session.summary, 'The user listed their 4 accounts twice.');
+    assert.ok(session.history.length < 12);
+
+    // Resetting the client forgets the summary along with the history
+    const llmClient = app.window.agentClient.llmClient;
+    llmClient.reset();
+    assert.deepEqual(plain(llmClient.conversationHistory), []);
+    assert.equal(llmClient.conversationSummary, null);
+});
+
+test('older turns are dropped when the summary request fails', async () => {
+    const llm = fakeOpenAI(null);
+    app = await loadApp({
+        fetch: llm.fetch,
+        configure: configureContext({ maxTokens: 250, keepRecentTurns: 1, trimToolResultsAfterTurns: 5, summaryMaxTokens: 50 })
+    });
+
+    await send('List my accounts');
+    await send('List them again');
+    await send('And once more');
+
+    const messages = llm.chatRequests().pop().messages;
+    assert.doesNotMatch(messages[0].content, /Summary of the earlier conversation/);
+    assert.equal(messages.filter(message => message.role === 'user').length, 1);
+    assertToolPairsIntact(messages);
+    assert.match([...app.document.querySelectorAll('.agent-message')].pop().textContent, /Answer 3/);
+});
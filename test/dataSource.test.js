@@ -0,0 +1,118 @@
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, answerConfirmation, flush, plain } = require('./helpers/loadApp');
+const { createMockApiServer } = require('../server/mockApiServer');
+
+let server;
+let failNext = false;
+let app;
+
+before(async () => {
+    // Failures are switched on per test instead of at random
+    server = createMockApiServer({ failureRate: 1, random: () => (failNext ? 0 : 1), log: () => {} });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+after(() => new Promise(resolve => server.close(resolve)));
+afterEach(() => {
+    failNext = false;
+    app.close();
+});
+
+const baseUrl = () => `http://127.0.0.1:${server.address().port}/api`;
+
+function loadWithHttpAdapter() {
+    return loadApp({
+        fetch: (...args) => fetch(...args),
+        configure: (Config) => {
+            Config.dataSource.adapter = 'http';
+            Config.dataSource.baseUrl = baseUrl();
+        }
+    });
+}
+
+// Real HTTP round trips take more than one tick
+async function waitFor(window, predicate) {
+    for (let attempt = 0; attempt < 200 && !predicate(); attempt++) {
+        await new Promise(resolve => window.setTimeout(resolve, 5));
+    }
+    assert.ok(predicate(), 'condition not reached in time');
+}
+
+test('the http adapter renders accounts served by the mock API', async () => {
+    app = await loadWithHttpAdapter();
+    const rows = () => app.document.querySelectorAll('#accounts-list .account-item');
+    await waitFor(app.window, () => rows().length === 4);
+    assert.match(rows()[1].textContent, /Roth IRA/);
+
+    const result = await app.window.agent.invokeTool('getAccountList', {});
+    assert.equal(result.success, true);
+    assert.deepEqual(plain(result.accounts.map(account => account.id)), [
+        'acc_brokerage_123', 'acc_roth_456', 'acc_401k_789', 'acc_cash_101'
+    ]);
+});
+
+test('a confirmed transfer is executed by the mock API and can be looked up', async () => {
+    app = await loadWithHttpAdapter();
+    const pending = app.window.agent.invokeTool('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Cash', amount: 100 });
+    await answerConfirmation(app.window, 'approve');
+    const result = await pending;
+    assert.equal(result.success, true);
+    assert.equal(result.balancesAfter.acc_cash_101, 5300);
+
+    const status = await app.window.agent.invokeTool('getTransferStatus', { transactionId: result.transactionId });
+    assert.equal(status.transaction.status, 'completed');
+    const missing = await app.window.agent.invokeTool('getTransferStatus', { transactionId: 'TXN-unknown' });
+    assert.equal(missing.success, false);
+    assert.match(missing.message, /not found/);
+
+    const response = await fetch(`${baseUrl()}/accounts`);
+    const { accounts } = await response.json();
+    assert.equal(accounts.find(account => account.id === 'acc_brokerage_123').balance, 15330.25);
+});
+
+test('failed requests show an error with Retry in the UI and a structured tool error', async () => {
+    failNext = true;
+    app = await loadWithHttpAdapter();
+    const errorEl = () => app.document.querySelector('#accounts-list .data-status.error');
+    await waitFor(app.window, () => errorEl() !== null);
+    assert.match(errorEl().textContent, /503/);
+
+    const result = await app.window.agent.invokeTool('getPortfolioPerformance', { timePeriod: 'YTD' });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'data_source_error');
+    assert.ok(app.document.querySelector('#chart-bars .data-status.error'));
+
+    failNext = false;
+    errorEl().querySelector('.data-retry-btn').click();
+    await waitFor(app.window, () => app.document.querySelectorAll('#accounts-list .account-item').length === 4);
+});
+
+test('the memory adapter shows a loading state while latency is simulated', async () => {
+    app = await loadApp();
+    // Slow the adapter down only after the initial render has finished
+    app.global('DataSource').current().latencyMs = 50;
+    const App = app.global('App');
+    const rendering = App.renderAccountList();
+    await flush(app.window);
+    assert.ok(app.document.querySelector('#accounts-list .data-status.loading'));
+    await rendering;
+    assert.equal(app.document.querySelectorAll('#accounts-list .account-item').length, 4);
+});
+
+test('the mock API serves only the app files and survives malformed paths', async () => {
+    const root = baseUrl().replace(/\/api$/, '');
+    const page = await fetch(`${root}/`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<title>/);
+    assert.equal(page.headers.get('Access-Control-Allow-Origin'), null);
+    assert.equal((await fetch(`${root}/js/main.js`)).status, 200);
+    assert.equal((await fetch(`${root}/fixtures/scripted-llm.json`)).status, 200);
+
+    for (const hidden of ['/.git/config', '/package.json', '/server/mockApiServer.js', '/js/../.git/HEAD', '/..%2f..%2fetc%2fpasswd']) {
+        assert.equal((await fetch(`${root}${hidden}`)).status, 404, hidden);
+    }
+
+    // An undecodable path is a bad request, not a crash
+    assert.equal((await fetch(`${root}/%E0%A4%A`)).status, 400);
+    assert.equal((await fetch(`${baseUrl()}/accounts`)).status, 200);
+});
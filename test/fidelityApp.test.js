@@ -0,0 +1,75 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, flush } = require('./helpers/loadApp');
+
+let app;
+let App;
+beforeEach(async () => {
+    app = await loadApp();
+    App = app.global('App');
+});
+afterEach(() => app.close());
+
+test('renderAccountList renders one row per account', () => {
+    const rows = app.document.querySelectorAll('#accounts-list .account-item');
+    assert.equal(rows.length, 4);
+    assert.equal(rows[0].id, 'account-acc_brokerage_123');
+    assert.match(rows[0].textContent, /Brokerage Account/);
+    assert.match(rows[0].textContent, /\$15430\.25/);
+});
+
+test('updatePerformanceChart draws one bar per period and updates the summary', async () => {
+    await App.updatePerformanceChart('1 Year');
+
+    assert.equal(app.document.getElementById('chart-time-period').textContent, 'Time Period: 1 Year');
+    assert.ok(app.document.getElementById('performance-chart').classList.contains('active'));
+    const bars = app.document.querySelectorAll('#chart-bars .chart-bar');
+    assert.equal(bars.length, 4);
+    assert.equal(bars[0].getAttribute('aria-label'), 'Q3 2024: Portfolio: +10.2%');
+    assert.equal(app.document.getElementById('total-return').textContent, '+30.4%');
+});
+
+test('updatePerformanceChart falls back to YTD data for unknown periods', async () => {
+    await App.updatePerformanceChart('10 Year');
+    assert.equal(app.document.querySelectorAll('#chart-bars .chart-bar').length, 6);
+});
+
+test('submitTransfer rejects same-account transfers without touching balances', async () => {
+    const result = await App.submitTransfer({ from: 'acc_cash_101', to: 'acc_cash_101', amount: 10 });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 'rejected');
+    assert.equal(app.global('mockAccountData').acc_cash_101.balance, 5200);
+});
+
+test('the Holdings button opens a positions table that stays open and current after a transfer', async () => {
+    const toggle = app.document.querySelector('#account-acc_brokerage_123 .holdings-toggle');
+    const panel = app.document.getElementById('holdings-acc_brokerage_123');
+    assert.equal(panel.hidden, true);
+
+    toggle.click();
+    await flush(app.window);
+    assert.equal(panel.hidden, false);
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    const cells = [...app.document.querySelectorAll('#position-acc_brokerage_123-AAPL td')].map(cell => cell.textContent);
+    assert.deepEqual(cells, ['AAPLApple Inc.', 'Technology', '20', '$205.17', '$4,103.40', '$2,843.60', '+$1,259.80 (+44.3%)']);
+    assert.equal(panel.querySelectorAll('.position-row').length, 4);
+
+    await App.submitTransfer({ from: 'acc_brokerage_123', to: 'acc_cash_101', amount: 1000 });
+    const core = app.document.querySelectorAll('#position-acc_brokerage_123-SPAXX td')[4];
+    assert.equal(core.textContent, '$2,311.82');
+
+    app.document.querySelector('#account-acc_brokerage_123 .holdings-toggle').click();
+    assert.equal(app.document.getElementById('holdings-acc_brokerage_123').hidden, true);
+});
+
+test('highlightAccount can highlight individual positions', async () => {
+    const highlighted = await App.highlightAccount('acc_roth_456', ['FXNAX']);
+
+    assert.equal(highlighted, 1);
+    assert.ok(app.document.getElementById('account-acc_roth_456').classList.contains('highlight'));
+    assert.ok(app.document.getElementById('position-acc_roth_456-FXNAX').classList.contains('highlight'));
+    assert.equal(app.document.querySelectorAll('.position-row.highlight').length, 1);
+
+    App.highlightAccount('acc_cash_101');
+    assert.equal(app.document.querySelectorAll('.position-row.highlight').length, 0);
+});
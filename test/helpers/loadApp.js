@@ -0,0 +1,128 @@
+/**
+ * loadApp.js
+ * ----------
+ * Boots the POC inside jsdom so the browser scripts can be tested headlessly in Node.
+ * The scripts are evaluated in the order index.html loads them, sharing one window
+ * like <script> tags do, and loadApp resolves once DOMContentLoaded has run.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Loads index.html and all js/ scripts.
+ * options.configure(Config) runs before start-up, e.g. to select the scripted provider.
+ * options.fetch replaces window.fetch (jsdom has none).
+ * options.apiKeys sets the session API keys by provider (pass {} to start without any).
+ * options.console forwards the app's console output to Node's console (silent by default).
+ * options.localStorage pre-fills localStorage, e.g. with savedStorage() of an earlier app to simulate a reload.
+ */
+async function loadApp(options = {}) {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const virtualConsole = new VirtualConsole();
+    if (options.console) {
+        virtualConsole.sendTo(console);
+    }
+
+    // Strip the <script> tags; the scripts are evaluated below so errors surface in the test
+    const dom = new JSDOM(html.replace(/<script[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        virtualConsole
+    });
+    const { window } = dom;
+    Object.entries(options.localStorage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    // APIs jsdom does not implement
+    window.HTMLElement.prototype.scrollIntoView = () => {};
+    window.scrollTo = () => {};
+    window.fetch = options.fetch || (() => Promise.reject(new Error('Network access is disabled in tests.')));
+    window.Response = Response;
+    window.TextDecoder = TextDecoder;
+    window.TextEncoder = TextEncoder;
+    if (!window.crypto.subtle) {
+        Object.defineProperty(window.crypto, 'subtle', { value: globalThis.crypto.subtle });
+    }
+
+    // vm.Script gives classic-script semantics: top-level const/class share one global scope
+    const context = dom.getInternalVMContext();
+    const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(match => match[1]);
+    scripts.forEach(src => {
+        const source = fs.readFileSync(path.join(ROOT, src), 'utf8');
+        new vm.Script(source, { filename: src }).runInContext(context);
+    });
+
+    // Most tests talk to a fake provider endpoint: give it a session key unless a test passes its own
+    const apiKeys = options.apiKeys || { openai: 'sk-test-key', anthropic: 'sk-ant-test-key' };
+    window.sessionStorage.setItem(window.Config.apiKeys.sessionStorageKey, JSON.stringify(apiKeys));
+
+    // Most tests are not about consent: grant every scope unless a test clears defaultScopes
+    window.Config.permissions.defaultScopes = Object.keys(window.Config.permissions.scopes);
+    // Failed LLM requests are still retried, just without the real backoff delays
+    window.Config.llm.retry.baseDelayMs = 1;
+    if (options.configure) {
+        options.configure(window.Config);
+    }
+
+    // jsdom fires DOMContentLoaded asynchronously after construction; wait for it
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    } else {
+        window.document.dispatchEvent(new window.Event('DOMContentLoaded'));
+    }
+    // Let the first data source requests (account list) settle
+    await flush(window);
+
+    return {
+        window,
+        document: window.document,
+        // Top-level const/class declarations are not window properties, so read them by name
+        global: (name) => new vm.Script(name).runInContext(context),
+        close: () => window.close()
+    };
+}
+
+// Everything the app saved in localStorage, for options.localStorage of the next loadApp
+function savedStorage(window) {
+    const storage = window.localStorage;
+    return Object.fromEntries(Array.from({ length: storage.length }, (_, index) => [storage.key(index), storage.getItem(storage.key(index))]));
+}
+
+// Resolves once pending promise callbacks and zero-delay timers have run
+function flush(window) {
+    return new Promise(resolve => window.setTimeout(resolve, 0));
+}
+
+// Waits until the confirmation dialog is visible, then clicks Approve or Deny
+async function answerConfirmation(window, decision) {
+    const dialog = window.document.getElementById('confirmation-dialog');
+    for (let attempt = 0; attempt < 50 && dialog.style.display === 'none'; attempt++) {
+        await flush(window);
+    }
+    if (dialog.style.display === 'none') {
+        throw new Error('Confirmation dialog never opened.');
+    }
+    window.document.getElementById(decision === 'approve' ? 'confirmation-approve-btn' : 'confirmation-deny-btn').click();
+}
+
+// Waits until the consent prompt is visible, then clicks Allow or Deny
+async function answerConsent(window, decision) {
+    const dialog = window.document.getElementById('consent-dialog');
+    for (let attempt = 0; attempt < 50 && dialog.style.display === 'none'; attempt++) {
+        await flush(window);
+    }
+    if (dialog.style.display === 'none') {
+        throw new Error('Consent prompt never opened.');
+    }
+    window.document.getElementById(decision === 'grant' ? 'consent-grant-btn' : 'consent-deny-btn').click();
+}
+
+// Copies a value from the jsdom realm into plain Node objects so deepStrictEqual can compare it
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadApp, flush, answerConfirmation, answerConsent, plain, savedStorage };
@@ -0,0 +1,93 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app && app.close());
+
+// Fake chat completions endpoint that records the URL and headers of each request
+function fakeChatCompletions() {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, headers: init.headers, body: JSON.parse(init.body) });
+        return new Response(JSON.stringify({ id: 'chat', choices: [{ message: { role: 'assistant', content: 'Hello!' } }] }), { status: 200 });
+    };
+    return { fetch, requests };
+}
+
+async function send(prompt) {
+    app.document.getElementById('ai-user-prompt').value = prompt;
+    await app.window.agentClient.handleSend();
+}
+
+const lastAgentMessage = () => [...app.document.querySelectorAll('#ai-chat-history .agent-message')].pop().textContent;
+
+const useAzure = (Config) => {
+    Config.llm.stream = false;
+    Config.llm.provider = 'azure';
+    Config.llm.model = 'gpt4 prod';
+    Config.providers.azure.baseUrl = 'https://contoso.openai.azure.com';
+};
+
+const useCustom = (Config) => {
+    Config.llm.stream = false;
+    Config.llm.provider = 'custom';
+    Config.llm.model = 'llama3.1';
+};
+
+test('azure requests the deployment endpoint with the api-key header and api-version', async () => {
+    const llm = fakeChatCompletions();
+    app = await loadApp({ fetch: llm.fetch, apiKeys: { azure: '0123456789abcdef' }, configure: useAzure });
+
+    await send('Hi');
+
+    const [request] = llm.requests;
+    assert.equal(request.url, 'https://contoso.openai.azure.com/openai/deployments/gpt4%20prod/chat/completions?api-version=2023-12-01-preview');
+    assert.equal(request.headers['api-key'], '0123456789abcdef');
+    assert.equal(request.headers.Authorization, undefined);
+    assert.equal(lastAgentMessage(), 'Hello!');
+});
+
+test('azure without a key is reported before any request', async () => {
+    const llm = fakeChatCompletions();
+    app = await loadApp({ fetch: llm.fetch, apiKeys: {}, configure: useAzure });
+
+    await send('Hi');
+
+    assert.equal(llm.requests.length, 0);
+    assert.match(lastAgentMessage(), /No azure API key is set/);
+});
+
+test('the custom provider calls a local OpenAI-compatible server with optional auth', async () => {
+    const llm = fakeChatCompletions();
+    app = await loadApp({ fetch: llm.fetch, apiKeys: {}, configure: useCustom });
+
+    await send('Hi');
+    assert.equal(llm.requests[0].url, 'http://localhost:11434/v1/chat/completions');
+    assert.equal(llm.requests[0].body.model, 'llama3.1');
+    assert.deepEqual(Object.keys(llm.requests[0].headers), ['Content-Type']);
+
+    await app.window.ApiKeyStore.save('custom', 'local-secret');
+    await send('Again');
+    assert.equal(llm.requests[1].headers.Authorization, 'Bearer local-secret');
+});
+
+test('proxy mode relays azure but calls local servers directly', async () => {
+    const llm = fakeChatCompletions();
+    app = await loadApp({
+        fetch: llm.fetch,
+        apiKeys: {},
+        configure: (Config) => {
+            useAzure(Config);
+            Config.apiKeys.proxy.enabled = true;
+        }
+    });
+
+    await send('Hi');
+    assert.equal(llm.requests[0].url, 'http://localhost:8788/azure/openai/deployments/gpt4%20prod/chat/completions?api-version=2023-12-01-preview');
+    assert.equal(llm.requests[0].headers['api-key'], undefined);
+
+    app.window.SettingsPanel.update({ provider: 'custom' });
+    await send('Again');
+    assert.equal(llm.requests[1].url, 'http://localhost:11434/v1/chat/completions');
+});
@@ -0,0 +1,273 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app && app.close());
+
+const completion = (message) => new Response(JSON.stringify({ id: 'chat', choices: [{ message }] }), { status: 200 });
+const apiError = (status, error, headers = {}) => new Response(JSON.stringify({ error }), { status, headers });
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+/**
+ * Fake provider endpoint: each request gets the next queued reply (the last one repeats).
+ * A reply is a Response, a function returning one, or 'hang' for a request that never answers.
+ */
+function fakeProvider(replies) {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, init, body: JSON.parse(init.body), at: Date.now() });
+        const reply = replies.length > 1 ? replies.shift() : replies[0];
+        if (reply === 'hang') {
+            return new Promise(() => {});
+        }
+        return typeof reply === 'function' ? reply() : reply.clone();
+    };
+    return { fetch, requests };
+}
+
+const useNonStreaming = (Config) => { Config.llm.stream = false; };
+
+async function send(prompt) {
+    app.document.getElementById('ai-user-prompt').value = prompt;
+    await app.window.agentClient.handleSend();
+}
+
+const byId = (id) => app.document.getElementById(id);
+const lastAgentBubble = () => [...app.document.querySelectorAll('#ai-chat-history .agent-message')].pop();
+
+async function waitFor(condition) {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(condition(), 'condition never became true');
+}
+
+test('rate limits and server errors are retried, waiting as long as Retry-After asks', async () => {
+    const llm = fakeProvider([
+        apiError(429, { message: 'Rate limit reached', code: 'rate_limit_exceeded' }, { 'Retry-After': '0.05' }),
+        apiError(503, { message: 'Service unavailable' }),
+        completion({ role: 'assistant', content: 'Hello after retrying!' })
+    ]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    await send('Hi');
+
+    assert.equal(llm.requests.length, 3);
+    assert.ok(llm.requests[1].at - llm.requests[0].at >= 45, 'the second attempt came before Retry-After');
+    assert.equal(lastAgentBubble().textContent, 'Hello after retrying!');
+});
+
+test('a Retry-After longer than the retry budget fails at once with a rate-limit message', async () => {
+    const llm = fakeProvider([apiError(429, { message: 'Rate limit reached' }, { 'Retry-After': '30' })]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    await send('Hi');
+
+    assert.equal(llm.requests.length, 1);
+    assert.match(lastAgentBubble().textContent, /OpenAI is rate-limiting requests\. Please try again in about 30 seconds/);
+});
+
+test('each failure class gets its own message and permanent failures are not retried', async () => {
+    const cases = [
+        // A rejected key is shown like a missing one
+        [apiError(401, { message: 'Incorrect API key provided', code: 'invalid_api_key' }), /OpenAI API key was rejected \(HTTP 401\)/, true],
+        [apiError(429, { message: 'You exceeded your current quota', code: 'insufficient_quota' }), /out of quota or credit/],
+        [apiError(400, { message: 'The response was filtered', code: 'content_filter' }), /content filter blocked/],
+        [new Response(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '' }, finish_reason: 'content_filter' }] })), /content filter blocked/]
+    ];
+    for (const [reply, expected, setupError = false] of cases) {
+        const llm = fakeProvider([reply]);
+        app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+        await send('Hi');
+
+        assert.equal(llm.requests.length, 1);
+        assert.match(lastAgentBubble().textContent, expected);
+        assert.equal(lastAgentBubble().classList.contains('setup-error'), setupError);
+        app.close();
+    }
+});
+
+test('network failures are retried up to maxRetries and timeouts end the request', async () => {
+    const llm = fakeProvider([() => Promise.reject(new TypeError('Failed to fetch'))]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    await send('Hi');
+    assert.equal(llm.requests.length, 4);
+    assert.match(lastAgentBubble().textContent, /Could not reach OpenAI/);
+    app.close();
+
+    const slow = fakeProvider(['hang']);
+    app = await loadApp({
+        fetch: slow.fetch,
+        configure: (Config) => {
+            useNonStreaming(Config);
+            Config.llm.timeoutMs = 20;
+            Config.llm.retry.maxRetries = 1;
+        }
+    });
+
+    await send('Hi');
+    assert.equal(slow.requests.length, 2);
+    assert.equal(slow.requests[0].init.signal.aborted, true);
+    assert.match(lastAgentBubble().textContent, /did not respond within 1 seconds/);
+    assert.equal(byId('ai-send-btn').textContent, 'Send');
+});
+
+test('Stop cancels the request in flight and the conversation can continue', async () => {
+    const llm = fakeProvider(['hang', completion({ role: 'assistant', content: 'Back again.' })]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    const turn = send('Hi');
+    await waitFor(() => llm.requests.length === 1);
+    assert.equal(byId('ai-stop-btn').style.display, '');
+    byId('ai-stop-btn').click();
+    await turn;
+
+    assert.equal(lastAgentBubble().textContent, 'Stopped.');
+    assert.equal(llm.requests[0].init.signal.aborted, true);
+    assert.equal(byId('ai-send-btn').disabled, false);
+    assert.equal(byId('ai-stop-btn').style.display, 'none');
+
+    await send('Hello?');
+    assert.equal(lastAgentBubble().textContent, 'Back again.');
+});
+
+test('Stop during the agent loop keeps every tool call paired with a result', async () => {
+    const llm = fakeProvider([
+        completion({ role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'getAccountList', {})] }),
+        'hang',
+        completion({ role: 'assistant', content: 'Done.' })
+    ]);
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    const turn = send('List my accounts');
+    await waitFor(() => llm.requests.length === 2);
+    app.window.agentClient.stop();
+    await turn;
+
+    assert.equal(lastAgentBubble().textContent, 'Stopped.');
+    const history = app.window.agentClient.llmClient.conversationHistory;
+    assert.deepEqual(plain(history.map(message => message.role)), ['user', 'assistant', 'tool']);
+
+    await send('Thanks');
+    const messages = llm.requests[2].body.messages;
+    assert.deepEqual(messages.slice(-2).map(message => message.role), ['tool', 'user']);
+    assert.equal(lastAgentBubble().textContent, 'Done.');
+});
+
+test('recording a cassette does not hold back a streamed response', async () => {
+    const encoder = new TextEncoder();
+    const chunk = (content) => encoder.encode(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`);
+    let finish;
+    const llm = fakeProvider([() => new Response(new ReadableStream({
+        start(controller) {
+            controller.enqueue(chunk('Hel'));
+            finish = () => {
+                controller.enqueue(chunk('lo!'));
+                controller.enqueue(encoder.encode('data: [DONE]\n\n'));
+                controller.close();
+            };
+        }
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } })]);
+    app = await loadApp({ fetch: llm.fetch, configure: (Config) => { Config.recording.mode = 'record'; } });
+
+    const turn = send('Hi');
+    // The first tokens render while the provider is still sending
+    await waitFor(() => lastAgentBubble().textContent === 'Hel');
+    finish();
+    await turn;
+    assert.equal(lastAgentBubble().textContent, 'Hello!');
+
+    const recorder = app.window.agentClient.llmClient.recorder;
+    await recorder.settled();
+    assert.equal(recorder.cassette.interactions.length, 1);
+    assert.match(recorder.cassette.interactions[0].response.body, /"Hel"[\s\S]*"lo!"[\s\S]*\[DONE\]/);
+});
+
+// Records one conversation (a getAccountBalance call, then an answer) and returns the cassette
+async function recordCassette() {
+    const llm = fakeProvider([
+        completion({ role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'getAccountBalance', { accountIdentifier: 'Roth' })] }),
+        completion({ role: 'assistant', content: 'Your Roth IRA holds $89,500.75.' })
+    ]);
+    app = await loadApp({ fetch: llm.fetch, configure: (Config) => { useNonStreaming(Config); Config.recording.mode = 'record'; } });
+    await send('What is in my Roth?');
+    const recorder = app.window.agentClient.llmClient.recorder;
+    await recorder.settled();
+    const cassette = JSON.parse(JSON.stringify(recorder.cassette));
+    app.close();
+    return cassette;
+}
+
+// Boots the app in replay mode: the cassette is the only thing it can fetch
+function loadReplay(cassette, configure = () => {}) {
+    const requests = [];
+    const fetch = async (url) => {
+        requests.push(url);
+        if (url === 'fixtures/cassette.json') {
+            return new Response(JSON.stringify(cassette), { status: 200 });
+        }
+        throw new Error(`Replay must not call ${url}`);
+    };
+    return loadApp({
+        fetch,
+        configure: (Config) => {
+            useNonStreaming(Config);
+            Config.recording.mode = 'replay';
+            configure(Config);
+        }
+    }).then(loaded => ({ app: loaded, requests }));
+}
+
+test('a recorded cassette replays the conversation without calling the provider', async () => {
+    const cassette = await recordCassette();
+    assert.equal(cassette.interactions.length, 2);
+    assert.deepEqual(plain(cassette.toolInvocations.map(entry => [entry.toolName, entry.result.balance])), [['getAccountBalance', 89500.75]]);
+
+    let requests;
+    ({ app, requests } = await loadReplay(cassette));
+    await send('What is in my Roth?');
+
+    assert.equal(lastAgentBubble().textContent, 'Your Roth IRA holds $89,500.75.');
+    assert.deepEqual(requests, ['fixtures/cassette.json']);
+    assert.deepEqual(plain(app.window.agentClient.llmClient.recorder.mismatches), []);
+});
+
+test('replay flags a changed system prompt, tool schema and tool result', async () => {
+    const cassette = await recordCassette();
+    ({ app } = await loadReplay(cassette));
+    const { llmClient } = app.window.agentClient;
+    const buildSystemPrompt = llmClient.buildSystemPrompt.bind(llmClient);
+    llmClient.buildSystemPrompt = (toolNames) => `${buildSystemPrompt(toolNames)} Answer in French.`;
+    app.window.agent.tools.get('getAccountBalance').description = 'Returns the balance of one account.';
+    app.global('mockAccountData').acc_roth_456.balance = 1;
+
+    await send('What is in my Roth?');
+
+    // Not strict: the recorded answer is still served
+    assert.equal(lastAgentBubble().textContent, 'Your Roth IRA holds $89,500.75.');
+    const { mismatches } = llmClient.recorder;
+    const paths = (kind, index) => mismatches
+        .filter(mismatch => mismatch.kind === kind && mismatch.index === index)
+        .flatMap(mismatch => mismatch.differences.map(difference => difference.path));
+    const toolIndex = cassette.interactions[0].request.body.tools.findIndex(tool => tool.function.name === 'getAccountBalance');
+    assert.deepEqual(plain(paths('interaction', 0)), ['body.messages[0].content', `body.tools[${toolIndex}].function.description`]);
+    assert.deepEqual(plain(paths('toolInvocation', 0)), ['result.balance']);
+    assert.ok(paths('interaction', 1).includes('body.messages[0].content'));
+});
+
+test('strict replay stops at the first mismatch without retrying', async () => {
+    const cassette = await recordCassette();
+    ({ app } = await loadReplay(cassette, (Config) => { Config.recording.strict = true; }));
+    const { llmClient } = app.window.agentClient;
+    llmClient.buildSystemPrompt = () => 'A different system prompt.';
+
+    await send('What is in my Roth?');
+
+    assert.match(lastAgentBubble().textContent, /Cassette replay mismatch in interaction #1: body\.messages\[0\]\.content/);
+    assert.equal(llmClient.recorder.mismatches.length, 1);
+    assert.equal(llmClient.recorder.interactionIndex, 1);
+    assert.equal(app.global('AuditLog').entries.length, 0);
+});
@@ -0,0 +1,69 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+
+let app;
+let agent;
+beforeEach(async () => {
+    app = await loadApp();
+    agent = app.window.agent;
+});
+afterEach(() => app.close());
+
+const echoTool = {
+    name: 'echo',
+    description: 'Echoes its input.',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+    async execute({ text }) {
+        return { success: true, text };
+    }
+};
+
+test('invokeTool returns structured validation errors instead of executing', async () => {
+    const result = await agent.invokeTool('initiateFundTransfer', { fromAccount: 'Brokerage', amount: 'five thousand' });
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'validation_error');
+    assert.deepEqual(plain(result.errors.map(error => error.path)), ['toAccount', 'amount']);
+});
+
+test('invokeTool rejects values outside an enum', async () => {
+    const result = await agent.invokeTool('getPortfolioPerformance', { timePeriod: '10 Year' });
+    assert.equal(result.error, 'validation_error');
+});
+
+test('invokeTool reports unknown tools', async () => {
+    const result = await agent.invokeTool('deleteEverything', {});
+    assert.equal(result.success, false);
+});
+
+test('registerTool adds a tool and fires toolschanged', async () => {
+    const events = [];
+    agent.addEventListener('toolschanged', event => events.push(event.detail));
+
+    agent.registerTool(echoTool);
+
+    assert.equal(events.length, 1);
+    assert.deepEqual([...events[0].added], ['echo']);
+    assert.deepEqual(await agent.invokeTool('echo', { text: 'hi' }).then(result => result.text), 'hi');
+    assert.ok(app.window.agentClient.llmClient.activeTools.has('echo'));
+});
+
+test('registerTool refuses duplicate names', () => {
+    agent.registerTool(echoTool);
+    assert.throws(() => agent.registerTool(echoTool), /already registered/);
+});
+
+test('registerTool rejects capabilities that are not a list of scopes', () => {
+    assert.throws(() => agent.registerTool({ ...echoTool, capabilities: 'read:accounts' }), /capabilities must be an array/);
+    assert.equal(agent.tools.has(echoTool.name), false);
+});
+
+test('unregisterTool removes a tool and fires toolschanged', () => {
+    const events = [];
+    agent.addEventListener('toolschanged', event => events.push(event.detail));
+
+    assert.equal(agent.unregisterTool('getAccountList'), true);
+    assert.equal(agent.unregisterTool('getAccountList'), false);
+    assert.equal(agent.tools.has('getAccountList'), false);
+    assert.deepEqual([...events[0].removed], ['getAccountList']);
+});
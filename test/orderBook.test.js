@@ -0,0 +1,235 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, plain, flush, answerConfirmation, savedStorage } = require('./helpers/loadApp');
+const { createMockApiServer } = require('../server/mockApiServer');
+
+let app;
+afterEach(() => app && app.close());
+
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+// placeTradeOrder with the user approving the confirmation dialog
+async function placeOrder(args) {
+    const pending = invoke('placeTradeOrder', args);
+    await answerConfirmation(app.window, 'approve');
+    return pending;
+}
+const $ = (selector) => app.document.querySelector(selector);
+const lastAgentMessage = () => [...app.document.querySelectorAll('#ai-chat-history .agent-message')].pop().textContent;
+const brokerage = (symbol) => app.global('PortfolioAnalytics').holdingsReport('acc_brokerage_123').positions
+    .find(position => position.symbol === symbol);
+
+test('placeTradeOrder fills the order ticket and nothing trades until the user places it', async () => {
+    app = await loadApp();
+
+    const pending = invoke('placeTradeOrder', { accountId: 'Brokerage', action: 'buy', symbol: 'aapl', quantity: 5 });
+    await flush(app.window);
+    assert.deepEqual([...$('#confirmation-summary').children].map(item => item.textContent), [
+        'Account: Brokerage Account',
+        'Order: Buy 5 AAPL at market (last price $205.17)',
+        'Estimated cost: $1,025.85',
+        'Core cash: $3,311.82 → $2,285.97'
+    ]);
+    assert.equal($('#order-ticket').style.display, 'none');
+    await answerConfirmation(app.window, 'approve');
+    const result = await pending;
+    assert.equal(result.success, true);
+    assert.equal(result.confirmation, 'approved');
+    assert.equal(result.status, 'pending');
+    assert.match(result.orderId, /^ORD-\d+-[A-Z0-9]{4}$/);
+    assert.deepEqual(plain(result.estimate), {
+        marketPrice: 205.17, price: 205.17, quantity: 5, amount: 1025.85,
+        cashAvailable: 3311.82, cashAfter: 2285.97, sharesHeld: 20, sharesAfter: 25
+    });
+    assert.match(result.message, /not placed until the user reviews it and clicks Place order/);
+
+    assert.equal($('#order-ticket').style.display, 'block');
+    assert.equal($('#portfolio-summary').style.display, 'none');
+    assert.equal($('#orderAccount').value, 'Brokerage Account');
+    assert.equal($('#orderSymbol').value, 'AAPL - Apple Inc.');
+    assert.equal($('#orderType').value, 'Market');
+    assert.match($('#order-estimate').textContent, /Estimated cost \(5 × \$205\.17\)\$1,025\.85/);
+    assert.equal(brokerage('AAPL').shares, 20);
+
+    const performanceBefore = app.global('PortfolioAnalytics').performanceReport('1 Year', { accountId: 'acc_brokerage_123' });
+    $('#submit-order-btn').click();
+    await flush(app.window);
+
+    assert.equal(lastAgentMessage(), `Order ${result.orderId} filled: bought 5 AAPL at $205.17 ($1,025.85).`);
+    assert.equal($('#order-ticket').style.display, 'none');
+    assert.equal(brokerage('AAPL').shares, 25);
+    assert.equal(brokerage('AAPL').costBasis, 3869.45);
+    assert.equal(brokerage('SPAXX').marketValue, 2285.97);
+    // Trades move money between positions, not in or out of the account
+    const performanceAfter = app.global('PortfolioAnalytics').performanceReport('1 Year', { accountId: 'acc_brokerage_123' });
+    assert.equal(performanceAfter.portfolioValue, performanceBefore.portfolioValue);
+    assert.equal(performanceAfter.totalReturn, performanceBefore.totalReturn);
+
+    const status = await invoke('getOrderStatus', { orderId: result.orderId });
+    assert.equal(status.order.status, 'filled');
+    assert.equal(status.order.fillAmount, 1025.85);
+    assert.equal((await invoke('getOrderStatus', { orderId: 'ORD-missing' })).message, "Order 'ORD-missing' not found.");
+});
+
+test('orders the account cannot cover are refused before a ticket is opened', async () => {
+    app = await loadApp();
+
+    const tooBig = await invoke('placeTradeOrder', { accountId: 'Brokerage', action: 'buy', symbol: 'FXAIX', quantity: 1000 });
+    assert.equal(tooBig.success, false);
+    assert.equal(tooBig.status, 'rejected');
+    assert.equal(tooBig.message, 'Order not allowed: Insufficient cash: Brokerage Account has $3311.82 available.');
+    const oversold = await invoke('placeTradeOrder', { accountId: 'Brokerage', action: 'sell', symbol: 'MSFT', quantity: 500 });
+    assert.deepEqual(plain(oversold.reasons), ['Insufficient shares: Brokerage Account holds 8 MSFT.']);
+    assert.equal((await invoke('placeTradeOrder', { accountId: 'IRA', action: 'buy', symbol: 'AAPL', quantity: 1 })).error, 'ambiguous_account');
+
+    assert.equal($('#order-ticket').style.display, 'none');
+    assert.equal($('#confirmation-dialog').style.display, 'none');
+    assert.equal((await invoke('getOrderStatus', {})).count, 0);
+
+    const OrderBook = app.global('OrderBook');
+    const order = { accountId: 'acc_brokerage_123', action: 'buy', symbol: 'MSFT' };
+    assert.deepEqual(plain(OrderBook.preview({ ...order, quantity: 1, amount: 500 }).reasons), ['Give a quantity of shares or a dollar amount, but not both.']);
+    assert.deepEqual(plain(OrderBook.preview({ ...order, amount: 500, orderType: 'limit', limitPrice: 450 }).reasons), ['Dollar-amount orders must be market orders.']);
+    assert.deepEqual(plain(OrderBook.preview({ ...order, quantity: 0.0001 }).reasons), ['Quantity cannot include fractions smaller than 0.001 share.']);
+    assert.match(OrderBook.preview({ ...order, symbol: 'SPAXX', quantity: 10 }).reasons[0], /SPAXX is the core cash position/);
+
+    // A dollar amount buys whole thousandths of a share at the latest price
+    const { estimate } = OrderBook.preview({ ...order, symbol: 'FXAIX', amount: 1000 });
+    assert.equal(estimate.quantity, 4.632);
+    assert.equal(estimate.amount, 999.91);
+});
+
+test('orders above the trade limit are refused and a denied order opens no ticket', async () => {
+    app = await loadApp({ configure: (Config) => { Config.permissions.maxTradeAmount = 1000; } });
+
+    // 5 × $205.17 = $1,025.85: the quantity is priced before the limit applies
+    const tooLarge = await invoke('placeTradeOrder', { accountId: 'Brokerage', action: 'buy', symbol: 'AAPL', quantity: 5 });
+    assert.equal(tooLarge.error, 'permission_denied');
+    assert.equal(tooLarge.reason, 'amount_limit_exceeded');
+    assert.equal(tooLarge.maxAmount, 1000);
+    assert.equal($('#confirmation-dialog').style.display, 'none');
+
+    const pending = invoke('placeTradeOrder', { accountId: 'Brokerage', action: 'buy', symbol: 'AAPL', quantity: 4 });
+    await answerConfirmation(app.window, 'deny');
+    const denied = await pending;
+    assert.equal(denied.confirmation, 'denied');
+    assert.equal($('#order-ticket').style.display, 'none');
+    assert.equal((await invoke('getOrderStatus', {})).count, 0);
+});
+
+test('parallel orders open one ticket at a time and only the last one stays pending', async () => {
+    app = await loadApp({
+        configure: (Config) => {
+            Config.permissions.rateLimits.placeTradeOrder = { maxCalls: 10, windowMs: 60000 };
+            Config.dataSource.latencyMs = 5;
+        }
+    });
+    const calls = Promise.all([1, 2, 3, 4].map(quantity => invoke('placeTradeOrder', { accountId: 'Brokerage', action: 'buy', symbol: 'AAPL', quantity })));
+    for (let approval = 0; approval < 4; approval++) {
+        await answerConfirmation(app.window, 'approve');
+    }
+    const results = await calls;
+    assert.ok(results.every(result => result.success));
+
+    const statuses = results.map(result => app.global('OrderBook').getStatus(result.orderId).status);
+    assert.deepEqual(statuses, ['cancelled', 'cancelled', 'cancelled', 'pending']);
+    assert.equal(app.global('App').pendingOrder.id, results[3].orderId);
+    assert.equal($('#orderQuantity').value, '4');
+    assert.equal($('#order-ticket').style.display, 'block');
+});
+
+test('a limit order away from the market stays open, and pending orders can be cancelled', async () => {
+    app = await loadApp();
+    const App = app.global('App');
+
+    const limit = await placeOrder({ accountId: 'acc_brokerage_123', action: 'buy', symbol: 'MSFT', quantity: 2, orderType: 'limit', limitPrice: 450 });
+    assert.equal($('#orderType').value, 'Limit at $450.00');
+    assert.match($('#order-estimate').textContent, /Estimated cost \(2 × \$450\.00\)\$900\.00/);
+    const submitted = await App.submitOrder(limit.orderId);
+    assert.equal(submitted.status, 'pending');
+    assert.equal(submitted.message, `Limit order ${limit.orderId} to buy 2 MSFT at $450.00 is open; the latest price is $497.41.`);
+    assert.equal(brokerage('MSFT').shares, 8);
+
+    const sell = await placeOrder({ accountId: 'acc_brokerage_123', action: 'sell', symbol: 'FSKAX', amount: 500 });
+    $('#cancel-order-btn').click();
+    await flush(app.window);
+    assert.equal(lastAgentMessage(), 'Order canceled.');
+    await App.cancelOrder(limit.orderId);
+
+    const { orders } = await invoke('getOrderStatus', {});
+    assert.deepEqual(plain(orders.map(order => [order.id, order.status])), [[sell.orderId, 'cancelled'], [limit.orderId, 'cancelled']]);
+    assert.equal(brokerage('FSKAX').shares, 25);
+});
+
+test('filled orders survive a reload and the http adapter uses the same order book rules', async () => {
+    app = await loadApp();
+    const order = await placeOrder({ accountId: 'acc_roth_456', action: 'sell', symbol: 'FXNAX', quantity: 10 });
+    await app.global('App').submitOrder(order.orderId);
+    const PortfolioAnalytics = app.global('PortfolioAnalytics');
+    const holdings = plain(PortfolioAnalytics.holdingsReport('acc_roth_456').positions);
+    assert.equal(holdings.find(position => position.symbol === 'FXNAX').shares, 990);
+
+    // What a reload sees: fixture positions, with the saved fills replayed on top
+    PortfolioAnalytics.tradeAdjustments = {};
+    app.global('OrderBook').init();
+    assert.deepEqual(plain(PortfolioAnalytics.holdingsReport('acc_roth_456').positions), holdings);
+    app.close();
+
+    const server = createMockApiServer({ log: () => {} });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        app = await loadApp({
+            fetch: (...args) => fetch(...args),
+            configure: (Config) => {
+                Config.dataSource.adapter = 'http';
+                Config.dataSource.baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+            }
+        });
+        const remote = await placeOrder({ accountId: 'acc_roth_456', action: 'sell', symbol: 'FXNAX', quantity: 10 });
+        assert.equal(remote.status, 'pending');
+        const filled = await app.global('App').submitOrder(remote.orderId);
+        assert.equal(filled.status, 'filled');
+        const remoteHoldings = await invoke('getHoldings', { accountId: 'acc_roth_456' });
+        assert.deepEqual(plain(remoteHoldings.positions), holdings);
+        assert.equal((await invoke('getOrderStatus', { orderId: 'ORD-missing' })).success, false);
+        assert.equal((await invoke('placeTradeOrder', { accountId: 'acc_roth_456', action: 'buy', symbol: 'XYZ', quantity: 1 })).status, 'rejected');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('a ticket that was neither placed nor cancelled is reopened after a reload', async () => {
+    app = await loadApp();
+    const order = await placeOrder({ accountId: 'Brokerage', action: 'buy', symbol: 'MSFT', quantity: 2 });
+    const saved = savedStorage(app.window);
+    app.close();
+
+    app = await loadApp({ localStorage: saved });
+    assert.equal($('#order-ticket').style.display, 'block');
+    assert.equal($('#orderQuantity').value, '2');
+    assert.equal(app.global('App').pendingOrder.id, order.orderId);
+    assert.match(lastAgentMessage(), new RegExp(`Order ${order.orderId} to buy 2 MSFT is still waiting on the order ticket`));
+
+    $('#submit-order-btn').click();
+    await flush(app.window);
+    assert.match(lastAgentMessage(), new RegExp(`Order ${order.orderId} filled: bought 2 MSFT`));
+    assert.equal(brokerage('MSFT').shares, 10);
+});
+
+test('the scripted provider prepares an order ticket from a trade request', async () => {
+    const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'scripted-llm.json'), 'utf8'));
+    app = await loadApp({
+        configure: (Config) => {
+            Config.llm.provider = 'scripted';
+            Config.scripted.fixtures = fixtures;
+        }
+    });
+    app.document.getElementById('ai-user-prompt').value = 'Buy 3 shares of MSFT in my brokerage account';
+    const turn = app.window.agentClient.handleSend();
+    await answerConfirmation(app.window, 'approve');
+    await turn;
+
+    assert.match(lastAgentMessage(), /^The order ticket to buy 3 MSFT in Brokerage Account \(estimated \$1,492\.23\) is ready\./);
+    assert.equal($('#order-ticket').style.display, 'block');
+});
@@ -0,0 +1,95 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+const { createMockApiServer } = require('../server/mockApiServer');
+
+let app;
+afterEach(() => app && app.close());
+
+const $ = (selector) => app.document.querySelector(selector);
+const $$ = (selector) => [...app.document.querySelectorAll(selector)];
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+
+test('draws an SVG chart with axes, period labels and a benchmark line', async () => {
+    app = await loadApp();
+    await app.global('App').updatePerformanceChart('1 Year', { benchmark: 'S&P 500' });
+
+    const svg = $('#chart-bars svg.performance-svg');
+    assert.ok(svg);
+    assert.equal(svg.getAttribute('aria-label'), 'Portfolio performance, 1 Year vs S&P 500');
+    assert.equal($$('#chart-bars .chart-bar').length, 4);
+    assert.equal($$('#chart-bars .chart-benchmark-point').length, 4);
+    assert.ok($('#chart-bars polyline.chart-benchmark-line'));
+    const labels = $$('#chart-bars .chart-axis-label').map(label => label.textContent);
+    assert.ok(['Q3 2024', 'Q4 2024', 'Q1 2025', 'Q2 2025', '0%'].every(label => labels.includes(label)));
+    assert.match($('.chart-legend').textContent, /Portfolio \+30\.4%.*S&P 500 \+37\.4%.*Cumulative return/);
+});
+
+test('hovering or focusing a bar shows a tooltip and arrow keys move between periods', async () => {
+    app = await loadApp();
+    await app.global('App').updatePerformanceChart('1 Year', { benchmark: 'S&P 500' });
+    const bars = $$('#chart-bars .chart-bar');
+    const tooltip = $('#chart-bars .chart-tooltip');
+    assert.equal(tooltip.style.display, 'none');
+
+    bars[0].dispatchEvent(new app.window.Event('mouseenter'));
+    assert.equal(tooltip.style.display, 'block');
+    assert.equal(tooltip.textContent, 'Q3 2024Portfolio: +10.2%S&P 500: +13.4%vs S&P 500: -3.2 pts');
+    bars[0].dispatchEvent(new app.window.Event('mouseleave'));
+    assert.equal(tooltip.style.display, 'none');
+
+    bars[0].focus();
+    bars[0].dispatchEvent(new app.window.KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    assert.equal(app.document.activeElement, bars[1]);
+    assert.match(tooltip.textContent, /^Q4 2024Portfolio: \+13\.5%/);
+    assert.equal(bars[1].getAttribute('tabindex'), '0');
+});
+
+test('getPortfolioPerformance shows one account against a benchmark with a breakdown', async () => {
+    app = await loadApp();
+
+    const result = await invoke('getPortfolioPerformance', { timePeriod: '3 Year', benchmark: 'S&P 500', accountId: 'Roth' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(plain(result.account), { id: 'acc_roth_456', name: 'Roth IRA' });
+    assert.equal(result.totalReturn, '+46.4%');
+    assert.equal(result.portfolioValue, '$89,500.75');
+    assert.deepEqual(plain(result.benchmark), { name: 'S&P 500', totalReturn: '+65.3%' });
+    assert.equal(result.relativeReturn, '-18.9 pts');
+    assert.equal(result.breakdown.length, 4);
+    assert.equal($('#chart-breakdown-body tr.selected').textContent, 'Roth IRA+46.4%');
+    assert.equal($('#chart-account').value, 'acc_roth_456');
+    assert.equal($('#chart-benchmark').value, 'S&P 500');
+
+    const ambiguous = await invoke('getPortfolioPerformance', { timePeriod: 'YTD', accountId: 'IRA' });
+    assert.equal(ambiguous.error, 'ambiguous_account');
+    assert.equal(ambiguous.field, 'accountId');
+});
+
+test('the chart selectors redraw the chart and the http adapter forwards the options', async () => {
+    const server = createMockApiServer({ log: () => {} });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        app = await loadApp({
+            fetch: (...args) => fetch(...args),
+            configure: (Config) => {
+                Config.dataSource.adapter = 'http';
+                Config.dataSource.baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+            }
+        });
+        await app.global('App').renderAccountList();
+        await app.global('App').updatePerformanceChart('YTD');
+        assert.equal($$('#chart-bars .chart-benchmark-point').length, 0);
+
+        $('#chart-benchmark').value = 'US Aggregate Bond';
+        $('#chart-account').value = 'acc_cash_101';
+        await app.global('App').changeChartView();
+
+        assert.equal($$('#chart-bars .chart-benchmark-point').length, 6);
+        assert.equal($('#total-return').textContent, '+2.1%');
+        assert.match($('.chart-legend').textContent, /Cash Management \+2\.1%.*US Aggregate Bond \+1\.0%/);
+        await assert.rejects(app.global('DataSource').getPerformance('YTD', { accountId: 'acc_missing' }), /400 Account 'acc_missing' not found/);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
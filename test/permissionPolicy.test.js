@@ -0,0 +1,141 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, answerConfirmation, answerConsent, flush, plain } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app.close());
+
+// Boots the app with no scopes granted up front, plus any extra policy settings
+function loadWithPolicy(permissions = {}) {
+    return loadApp({
+        configure: (Config) => {
+            Object.assign(Config.permissions, { defaultScopes: [] }, permissions);
+        }
+    });
+}
+
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+const consentDialog = () => app.document.getElementById('consent-dialog');
+
+test('the first read asks for consent and the grant lasts for the conversation', async () => {
+    app = await loadWithPolicy();
+    const pending = invoke('getAccountList', {});
+    await answerConsent(app.window, 'grant');
+    assert.equal((await pending).success, true);
+    assert.match(app.document.getElementById('consent-scopes').textContent, /read:accounts/);
+
+    // Same scope again: no prompt
+    const second = await invoke('getAccountBalance', { accountIdentifier: 'Roth' });
+    assert.equal(second.success, true);
+    assert.equal(consentDialog().style.display, 'none');
+
+    const session = app.window.agentClient.sessionStore.getActiveSession();
+    assert.deepEqual(plain(session.consent.granted), ['read:accounts']);
+});
+
+test('refused scopes come back as a structured denial without asking twice', async () => {
+    app = await loadWithPolicy();
+    const pending = invoke('getPortfolioPerformance', { timePeriod: 'YTD' });
+    await answerConsent(app.window, 'deny');
+    const result = await pending;
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'permission_denied');
+    assert.equal(result.reason, 'scope_denied');
+    assert.deepEqual(plain(result.scopes), ['read:performance']);
+
+    const again = await invoke('getPortfolioPerformance', { timePeriod: 'YTD' });
+    assert.equal(again.reason, 'scope_denied');
+    assert.equal(consentDialog().style.display, 'none');
+
+    // Resetting access asks again
+    app.document.getElementById('session-permissions-btn').click();
+    const retry = invoke('getPortfolioPerformance', { timePeriod: 'YTD' });
+    await answerConsent(app.window, 'grant');
+    assert.equal((await retry).success, true);
+});
+
+test('parallel calls needing the same scope prompt only once', async () => {
+    app = await loadWithPolicy();
+    const calls = Promise.all([
+        invoke('getAccountList', {}),
+        invoke('getAccountBalance', { accountIdentifier: 'Cash' })
+    ]);
+    await answerConsent(app.window, 'grant');
+    const results = await calls;
+    assert.deepEqual(results.map(result => result.success), [true, true]);
+});
+
+test('a new conversation starts without the previous grants', async () => {
+    app = await loadWithPolicy();
+    const pending = invoke('getAccountList', {});
+    await answerConsent(app.window, 'grant');
+    await pending;
+
+    app.window.agentClient.startNewSession();
+    invoke('getAccountList', {});
+    await flush(app.window);
+    assert.equal(consentDialog().style.display, 'flex');
+});
+
+test('per-tool rules deny a tool outright or pre-approve it', async () => {
+    app = await loadWithPolicy({ rules: { getTransactionHistory: 'deny', getAccountList: 'allow' } });
+    const denied = await invoke('getTransactionHistory', {});
+    assert.equal(denied.reason, 'tool_denied');
+    assert.equal(denied.tool, 'getTransactionHistory');
+
+    const allowed = await invoke('getAccountList', {});
+    assert.equal(allowed.success, true);
+    assert.equal(consentDialog().style.display, 'none');
+});
+
+test('rate limits deny calls beyond the configured maximum', async () => {
+    app = await loadWithPolicy({
+        defaultScopes: ['read:accounts'],
+        rateLimits: { getAccountList: { maxCalls: 2, windowMs: 60000 } }
+    });
+    assert.equal((await invoke('getAccountList', {})).success, true);
+    assert.equal((await invoke('getAccountList', {})).success, true);
+    const limited = await invoke('getAccountList', {});
+    assert.equal(limited.reason, 'rate_limited');
+    assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 60000);
+});
+
+test('parallel calls cannot get past the rate limit together', async () => {
+    app = await loadWithPolicy({ rateLimits: { getAccountList: { maxCalls: 2, windowMs: 60000 } } });
+    const calls = Promise.all(Array.from({ length: 5 }, () => invoke('getAccountList', {})));
+    await answerConsent(app.window, 'grant');
+    const results = await calls;
+    assert.deepEqual(results.map(result => result.success), [true, true, false, false, false]);
+    assert.deepEqual(results.slice(2).map(result => result.reason), ['rate_limited', 'rate_limited', 'rate_limited']);
+
+    // A call the user refused consent for gives its slot back
+    const PermissionPolicy = app.global('PermissionPolicy');
+    PermissionPolicy.resetConsent();
+    PermissionPolicy.callLog = {};
+    const refused = invoke('getAccountList', {});
+    await answerConsent(app.window, 'deny');
+    assert.equal((await refused).reason, 'scope_denied');
+    PermissionPolicy.resetConsent();
+    const retried = Promise.all([invoke('getAccountList', {}), invoke('getAccountList', {})]);
+    await answerConsent(app.window, 'grant');
+    assert.deepEqual((await retried).map(result => result.success), [true, true]);
+});
+
+test('transfers above the maximum amount are denied before any dialog', async () => {
+    app = await loadWithPolicy({ defaultScopes: ['read:accounts', 'write:transfers'], maxTransferAmount: 500 });
+    const result = await invoke('initiateFundTransfer', { fromAccount: 'Roth', toAccount: 'Cash', amount: 501 });
+    assert.equal(result.reason, 'amount_limit_exceeded');
+    assert.equal(result.maxAmount, 500);
+    assert.equal(app.document.getElementById('confirmation-dialog').style.display, 'none');
+
+    const allowed = invoke('initiateFundTransfer', { fromAccount: 'Roth', toAccount: 'Cash', amount: 500 });
+    await answerConfirmation(app.window, 'approve');
+    assert.equal((await allowed).success, true);
+});
+
+test('calls to tools without a rate limit are not logged', async () => {
+    app = await loadWithPolicy({ defaultScopes: ['read:accounts'], rateLimits: {} });
+    await invoke('getAccountList', {});
+    await invoke('getAccountList', {});
+    assert.deepEqual(plain(app.global('PermissionPolicy').callLog), {});
+});
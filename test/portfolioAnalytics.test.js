@@ -0,0 +1,173 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, plain } = require('./helpers/loadApp');
+const { createMockApiServer } = require('../server/mockApiServer');
+
+let app;
+afterEach(() => app && app.close());
+
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+const text = (id) => app.document.getElementById(id).textContent;
+
+test('holdings add up to the account balances and the dashboard matches the tool result', async () => {
+    app = await loadApp();
+    const PortfolioAnalytics = app.global('PortfolioAnalytics');
+
+    Object.values(app.global('mockAccountData')).forEach(account => {
+        assert.equal(PortfolioAnalytics.holdingsReport(account.id).totalValue, account.balance, account.name);
+    });
+
+    const result = await invoke('getPortfolioPerformance', { timePeriod: '1 Year' });
+    assert.equal(result.portfolioValue, '$355,231.40');
+    assert.equal(result.asOf, '2025-06-30');
+    assert.equal(text('total-return'), result.totalReturn);
+    assert.equal(text('annualized-return'), result.annualizedReturn);
+    assert.equal(text('volatility'), result.volatility);
+    assert.equal(text('portfolio-value'), result.portfolioValue);
+    assert.equal(text('performance-as-of'), 'As of 2025-06-30');
+});
+
+test('returns are time-weighted, so transfers change balances but not returns', async () => {
+    app = await loadApp();
+    const PortfolioAnalytics = app.global('PortfolioAnalytics');
+    const before = PortfolioAnalytics.performanceReport('1 Year', { accountId: 'acc_roth_456' });
+    const portfolioBefore = PortfolioAnalytics.performanceReport('1 Year');
+
+    const transfer = await app.global('App').submitTransfer({ from: 'acc_brokerage_123', to: 'acc_roth_456', amount: 1000 });
+    assert.equal(transfer.success, true);
+
+    const after = PortfolioAnalytics.performanceReport('1 Year', { accountId: 'acc_roth_456' });
+    assert.equal(after.totalReturn, before.totalReturn);
+    assert.equal(after.portfolioValue, '$90,500.75');
+    assert.equal(PortfolioAnalytics.performanceReport('1 Year').totalReturn, portfolioBefore.totalReturn);
+    const core = PortfolioAnalytics.holdingsReport('acc_roth_456').positions.find(position => position.symbol === 'SPAXX');
+    assert.equal(core.marketValue, 7211.25);
+});
+
+test('annualized return and volatility follow from the monthly returns', async () => {
+    app = await loadApp();
+    const PortfolioAnalytics = app.global('PortfolioAnalytics');
+
+    const threeYear = PortfolioAnalytics.performanceReport('3 Year');
+    const total = parseFloat(threeYear.totalReturn) / 100;
+    assert.equal(threeYear.annualizedReturn, PortfolioAnalytics.formatPercent((1 + total) ** (1 / 3) - 1));
+    assert.deepEqual(plain(threeYear.months), ['Jun 2023', 'Jun 2024', 'Jun 2025']);
+    assert.match(threeYear.volatility, /^\d+\.\d%$/);
+
+    // Periods shorter than a year are not annualized; a money market fund barely moves
+    const ytd = PortfolioAnalytics.performanceReport('YTD', { accountId: 'acc_cash_101' });
+    assert.equal(ytd.annualizedReturn, null);
+    assert.equal(ytd.volatility, '0.0%');
+    await app.global('App').updatePerformanceChart('YTD');
+    assert.equal(text('annualized-return'), 'n/a');
+});
+
+test('transfers are limited to core cash, so positions never go negative', async () => {
+    app = await loadApp();
+    const PortfolioAnalytics = app.global('PortfolioAnalytics');
+    const App = app.global('App');
+
+    const tooBig = await App.submitTransfer({ from: 'acc_brokerage_123', to: 'acc_roth_456', amount: 9000 });
+    assert.equal(tooBig.success, false);
+    assert.match(tooBig.message, /Insufficient funds: Brokerage Account has \$3311\.82 in core cash \(SPAXX\) available to transfer\./);
+    assert.equal(app.global('mockAccountData').acc_brokerage_123.balance, 15430.25);
+
+    // Moving all of the core cash leaves it at zero and nothing left to buy with
+    assert.equal((await App.submitTransfer({ from: 'acc_brokerage_123', to: 'acc_roth_456', amount: 3311.82 })).success, true);
+    assert.equal(PortfolioAnalytics.coreCash('acc_brokerage_123'), 0);
+    const allocation = await invoke('getAssetAllocation', { accountId: 'Brokerage' });
+    assert.ok(allocation.allocation.every(entry => entry.marketValue >= 0));
+    assert.equal(allocation.allocation.find(entry => entry.assetClass === 'US Stocks').weight, '100.0%');
+    const { reasons, estimate } = app.global('OrderBook').preview({ accountId: 'acc_brokerage_123', action: 'buy', symbol: 'AAPL', quantity: 1 });
+    assert.deepEqual(plain(reasons), ['Insufficient cash: Brokerage Account has $0.00 available.']);
+    assert.equal(estimate.cashAvailable, 0);
+
+    // Even if the balance falls below the invested positions, the core position stays at zero
+    app.global('mockAccountData').acc_brokerage_123.balance = 10000;
+    assert.equal(PortfolioAnalytics.coreCash('acc_brokerage_123'), 0);
+});
+
+test('an account with nothing left in it reports zero weights instead of NaN', async () => {
+    app = await loadApp();
+    assert.equal((await app.global('App').submitTransfer({ from: 'acc_cash_101', to: 'acc_roth_456', amount: 5200 })).success, true);
+
+    const holdings = await invoke('getHoldings', { accountId: 'Cash' });
+    assert.equal(holdings.totalValue, 0);
+    assert.deepEqual(plain(holdings.positions.map(position => position.weight)), ['0.0%']);
+    const allocation = await invoke('getAssetAllocation', { accountId: 'Cash' });
+    assert.deepEqual(plain(allocation.allocation), [{ assetClass: 'Cash', marketValue: 0, weight: '0.0%' }]);
+    assert.equal((await invoke('searchHoldings', { query: 'cash', accountId: 'Cash' })).share, '0.0%');
+    assert.doesNotMatch(app.document.body.textContent, /NaN/);
+});
+
+test('getAssetAllocation and getHoldings report the same positions through either adapter', async () => {
+    const server = createMockApiServer({ log: () => {} });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        app = await loadApp();
+        const memoryAllocation = await invoke('getAssetAllocation', {});
+        assert.deepEqual(plain(memoryAllocation.allocation.map(entry => entry.assetClass)), ['US Stocks', 'International Stocks', 'Bonds', 'Cash']);
+        const total = memoryAllocation.allocation.reduce((sum, entry) => sum + entry.marketValue, 0);
+        assert.equal(Math.round(total * 100) / 100, memoryAllocation.totalValue);
+
+        const holdings = await invoke('getHoldings', { accountId: 'Roth' });
+        assert.equal(holdings.account.name, 'Roth IRA');
+        assert.deepEqual(plain(holdings.positions.map(position => position.symbol)), ['FXAIX', 'FTIHX', 'FXNAX', 'SPAXX']);
+        assert.equal((await invoke('getHoldings', { accountId: 'IRA' })).error, 'ambiguous_account');
+        app.close();
+
+        app = await loadApp({
+            fetch: (...args) => fetch(...args),
+            configure: (Config) => {
+                Config.dataSource.adapter = 'http';
+                Config.dataSource.baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+            }
+        });
+        assert.deepEqual(plain(await invoke('getAssetAllocation', {})), plain(memoryAllocation));
+        const httpHoldings = await invoke('getHoldings', { accountId: 'acc_roth_456' });
+        assert.deepEqual(plain(httpHoldings.positions), plain(holdings.positions));
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('searchHoldings finds positions by sector or asset class and highlights them', async () => {
+    app = await loadApp();
+
+    const tech = await invoke('searchHoldings', { query: 'tech' });
+    assert.deepEqual(plain(tech.positions.map(position => position.symbol)), ['AAPL', 'MSFT']);
+    assert.equal(tech.matchedValue, 8082.68);
+    assert.equal(tech.share, '2.3%');
+    assert.equal(tech.message, "Holdings matching 'tech' (AAPL, MSFT) are worth $8,082.68, 2.3% of your portfolio.");
+    const highlighted = [...app.document.querySelectorAll('.position-row.highlight')].map(row => row.id);
+    assert.deepEqual(highlighted, ['position-acc_brokerage_123-AAPL', 'position-acc_brokerage_123-MSFT']);
+
+    const bonds = await invoke('searchHoldings', { query: 'my bonds', accountId: 'Roth' });
+    assert.deepEqual(plain(bonds.positions.map(position => position.symbol)), ['FXNAX']);
+    assert.equal(bonds.share, '11.0%');
+
+    const none = await invoke('searchHoldings', { query: 'crypto' });
+    assert.equal(none.positions.length, 0);
+    assert.equal(none.message, "No holdings match 'crypto'.");
+});
+
+test('the scripted provider answers the common holdings questions', async () => {
+    const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'scripted-llm.json'), 'utf8'));
+    app = await loadApp({
+        configure: (Config) => {
+            Config.llm.provider = 'scripted';
+            Config.scripted.fixtures = fixtures;
+        }
+    });
+    const ask = async (prompt) => {
+        app.document.getElementById('ai-user-prompt').value = prompt;
+        await app.window.agentClient.handleSend();
+        return [...app.document.querySelectorAll('#ai-chat-history .agent-message')].pop().textContent;
+    };
+
+    assert.equal(await ask('What do I own in my Roth IRA?'), 'Roth IRA holds 4 position(s) worth $89,500.75: FXAIX, FTIHX, FXNAX, SPAXX.');
+    assert.equal(app.document.getElementById('holdings-acc_roth_456').hidden, false);
+    assert.match(await ask('How much of my portfolio is in technology?'), /\$8,082\.68, 2\.3% of your portfolio/);
+});
@@ -0,0 +1,46 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+
+let app;
+let validate;
+before(async () => {
+    app = await loadApp();
+    validate = (value, schema) => plain(app.global('SchemaValidator').validate(value, schema));
+});
+after(() => app.close());
+
+const transferSchema = {
+    type: 'object',
+    properties: {
+        fromAccount: { type: 'string' },
+        amount: { type: 'number', exclusiveMinimum: 0, maximum: 100000 }
+    },
+    required: ['fromAccount', 'amount']
+};
+
+test('accepts valid arguments', () => {
+    assert.deepEqual(validate({ fromAccount: 'Brokerage', amount: 25 }, transferSchema), []);
+});
+
+test('reports missing required properties and wrong types', () => {
+    const errors = validate({ amount: 'five thousand' }, transferSchema);
+    assert.deepEqual(errors.map(error => error.path), ['fromAccount', 'amount']);
+    assert.match(errors[1].message, /Expected number but received string/);
+});
+
+test('enforces number ranges', () => {
+    assert.equal(validate({ fromAccount: 'a', amount: 0 }, transferSchema)[0].path, 'amount');
+    assert.match(validate({ fromAccount: 'a', amount: 200000 }, transferSchema)[0].message, /less than or equal to 100000/);
+});
+
+test('enforces enums and integer types', () => {
+    assert.equal(validate('10 Year', { type: 'string', enum: ['YTD', '1 Year'] }).length, 1);
+    assert.equal(validate(2.5, { type: 'integer' }).length, 1);
+    assert.equal(validate(3, { type: 'number' }).length, 0);
+});
+
+test('validates nested objects and array items', () => {
+    const schema = { type: 'array', items: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] } };
+    assert.deepEqual(validate([{ id: 'a' }, {}], schema).map(error => error.path), ['arguments[1].id']);
+});
@@ -0,0 +1,109 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, flush, plain, savedStorage } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app && app.close());
+
+// Fake OpenAI endpoint: serves the queued completions in order
+function fakeOpenAI(completions) {
+    return async () => {
+        const next = completions.length > 1 ? completions.shift() : completions[0];
+        return new Response(JSON.stringify({ id: 'test', choices: [{ message: next }] }), { status: 200 });
+    };
+}
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: JSON.stringify(args) } });
+
+const useNonStreaming = (Config) => { Config.llm.stream = false; };
+
+async function send(prompt) {
+    app.document.getElementById('ai-user-prompt').value = prompt;
+    await app.window.agentClient.handleSend();
+    await flush(app.window);
+}
+
+const bubbles = () => [...app.document.querySelectorAll('#ai-chat-history .message')]
+    .map(el => [el.classList.contains('user-message') ? 'user' : 'agent', el.textContent]);
+const sessionTitles = () => [...app.document.querySelectorAll('#session-select option')].map(option => option.textContent);
+const click = (id) => app.document.getElementById(id).click();
+
+test('a conversation is restored with its bubbles and LLM history after a reload', async () => {
+    const fetch = fakeOpenAI([
+        { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'getAccountBalance', { accountIdentifier: 'Roth' })] },
+        { role: 'assistant', content: 'Your Roth IRA holds $89,500.75.' }
+    ]);
+    app = await loadApp({ fetch, configure: useNonStreaming });
+    const greeting = bubbles()[0];
+    await send('What is my Roth balance?');
+    const { activeSessionId } = app.window.agentClient;
+
+    const localStorage = savedStorage(app.window);
+    app.close();
+    app = await loadApp({ fetch, localStorage, configure: useNonStreaming });
+
+    const { agentClient } = app.window;
+    assert.equal(agentClient.activeSessionId, activeSessionId);
+    assert.deepEqual(bubbles(), [
+        greeting,
+        ['user', 'What is my Roth balance?'],
+        ['agent', 'Your Roth IRA holds $89,500.75.']
+    ]);
+    const history = plain(agentClient.llmClient.conversationHistory);
+    assert.deepEqual(history.map(message => message.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.equal(history[1].tool_calls[0].function.name, 'getAccountBalance');
+    assert.equal(history[2].tool_call_id, 'call_1');
+    assert.equal(JSON.parse(history[2].content).balance, 89500.75);
+    assert.deepEqual(sessionTitles(), ['What is my Roth balance?']);
+});
+
+test('conversations can be started, renamed, resumed and deleted', async () => {
+    const fetch = fakeOpenAI([{ role: 'assistant', content: 'Noted.' }]);
+    app = await loadApp({ fetch, configure: useNonStreaming });
+    const { agentClient } = app.window;
+    const greeting = bubbles()[0];
+    await send('First question');
+    const firstId = agentClient.activeSessionId;
+
+    click('session-new-btn');
+    await flush(app.window);
+    assert.notEqual(agentClient.activeSessionId, firstId);
+    assert.deepEqual(bubbles(), [greeting]);
+    assert.equal(agentClient.llmClient.conversationHistory.length, 0);
+    await send('Second question');
+    const secondId = agentClient.activeSessionId;
+
+    app.window.prompt = () => '  Retirement planning  ';
+    click('session-rename-btn');
+    assert.equal(agentClient.sessionStore.getSession(secondId).title, 'Retirement planning');
+    assert.deepEqual(sessionTitles().sort(), ['First question', 'Retirement planning']);
+
+    // Resume the first conversation from the switcher
+    const select = app.document.getElementById('session-select');
+    select.value = firstId;
+    select.dispatchEvent(new app.window.Event('change'));
+    await flush(app.window);
+    assert.equal(agentClient.activeSessionId, firstId);
+    assert.deepEqual(bubbles(), [greeting, ['user', 'First question'], ['agent', 'Noted.']]);
+    assert.equal(agentClient.llmClient.conversationHistory[0].content, 'First question');
+
+    // Declining the confirm keeps the conversation
+    app.window.confirm = () => false;
+    click('session-delete-btn');
+    assert.ok(agentClient.sessionStore.getSession(firstId));
+
+    app.window.confirm = () => true;
+    click('session-delete-btn');
+    await flush(app.window);
+    assert.equal(agentClient.sessionStore.getSession(firstId), null);
+    assert.equal(agentClient.activeSessionId, secondId);
+    assert.deepEqual(bubbles(), [greeting, ['user', 'Second question'], ['agent', 'Noted.']]);
+    assert.deepEqual(sessionTitles(), ['Retirement planning']);
+
+    // The rename and the deletion survive a reload
+    const localStorage = savedStorage(app.window);
+    app.close();
+    app = await loadApp({ fetch, localStorage, configure: useNonStreaming });
+    assert.equal(app.window.agentClient.activeSessionId, secondId);
+    assert.deepEqual(sessionTitles(), ['Retirement planning']);
+});
@@ -0,0 +1,108 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./helpers/loadApp');
+
+let app;
+afterEach(() => app && app.close());
+
+// Fake provider endpoint that answers in the format of whichever API was called
+function fakeProviders() {
+    const requests = [];
+    const fetch = async (url, init) => {
+        requests.push({ url, body: JSON.parse(init.body) });
+        const body = url.includes('anthropic')
+            ? { id: 'msg', content: [{ type: 'text', text: 'Hi from Claude' }], stop_reason: 'end_turn' }
+            : { id: 'chat', choices: [{ message: { role: 'assistant', content: 'Hi from GPT' } }] };
+        return new Response(JSON.stringify(body), { status: 200 });
+    };
+    return { fetch, requests };
+}
+
+const useNonStreaming = (Config) => { Config.llm.stream = false; };
+const byId = (id) => app.document.getElementById(id);
+
+function change(id, value) {
+    byId(id).value = value;
+    byId(id).dispatchEvent(new app.window.Event('change'));
+}
+
+async function send(prompt) {
+    byId('ai-user-prompt').value = prompt;
+    await app.window.agentClient.handleSend();
+}
+
+test('lists the providers from Config.providers and their models', async () => {
+    app = await loadApp({ configure: useNonStreaming });
+
+    const options = [...byId('settings-provider').options].map(option => [option.value, option.disabled]);
+    assert.deepEqual(options, [['openai', false], ['anthropic', false], ['azure', true], ['custom', false], ['scripted', false]]);
+    assert.deepEqual([...byId('settings-model-options').options].map(option => option.value),
+        ['gpt-4-turbo-preview', 'gpt-4o', 'gpt-4o-mini', 'gpt-3.5-turbo']);
+    assert.equal(byId('settings-summary').textContent, 'Model: openai · gpt-4-turbo-preview');
+});
+
+test('switching provider at runtime changes the next request and is saved', async () => {
+    const llm = fakeProviders();
+    app = await loadApp({ fetch: llm.fetch, configure: useNonStreaming });
+
+    change('settings-temperature', '1.5');
+    change('settings-provider', 'anthropic');
+    change('settings-max-tokens', '800');
+    await send('Hi');
+
+    const [request] = llm.requests;
+    assert.equal(request.url, 'https://api.anthropic.com/v1/messages');
+    assert.equal(request.body.model, 'claude-3-sonnet-20240229');
+    // Anthropic caps temperature at 1
+    assert.equal(request.body.temperature, 1);
+    assert.equal(request.body.max_tokens, 800);
+    assert.deepEqual(plain(JSON.parse(app.window.localStorage.getItem('webmcp-poc.llmSettings'))), {
+        provider: 'anthropic', model: 'claude-3-sonnet-20240229', temperature: 1, maxTokens: 800
+    });
+
+    change('settings-model', 'claude-3-haiku-20240307');
+    change('settings-provider', 'openai');
+    await send('And now?');
+    assert.equal(llm.requests[1].url, 'https://api.openai.com/v1/chat/completions');
+    assert.equal(llm.requests[1].body.model, 'gpt-4-turbo-preview');
+});
+
+test('requests use the provider chatEndpoint from Config.providers', async () => {
+    const llm = fakeProviders();
+    app = await loadApp({
+        fetch: llm.fetch,
+        configure: (Config) => {
+            useNonStreaming(Config);
+            Config.providers.openai.baseUrl = 'http://localhost:9999/v1';
+            Config.providers.openai.chatEndpoint = '/custom/completions';
+        }
+    });
+
+    await send('Hi');
+
+    assert.equal(llm.requests[0].url, 'http://localhost:9999/v1/custom/completions');
+});
+
+test('invalid values are rejected and saved settings are restored on load', async () => {
+    app = await loadApp({ configure: useNonStreaming });
+    const { SettingsPanel, Config } = app.window;
+
+    change('settings-max-tokens', '0');
+    assert.match(byId('settings-error').textContent, /Max tokens must be a whole number/);
+    assert.equal(Config.llm.maxTokens, 1500);
+    assert.throws(() => SettingsPanel.update({ provider: 'azure' }), /Azure OpenAI is not configured/);
+
+    SettingsPanel.update({ model: 'gpt-4o', temperature: 0.7 });
+    SettingsPanel.reset();
+    assert.equal(Config.llm.model, 'gpt-4-turbo-preview');
+    assert.equal(app.window.localStorage.getItem('webmcp-poc.llmSettings'), null);
+
+    // What a reload sees: the saved choice is applied over config.js, unless it is invalid
+    app.window.localStorage.setItem('webmcp-poc.llmSettings', JSON.stringify({ provider: 'openai', model: 'gpt-4o', temperature: 0.7, maxTokens: 500 }));
+    SettingsPanel.load();
+    assert.deepEqual(plain(SettingsPanel.pick(Config.llm)), { provider: 'openai', model: 'gpt-4o', temperature: 0.7, maxTokens: 500 });
+
+    app.window.localStorage.setItem('webmcp-poc.llmSettings', JSON.stringify({ provider: 'openai', temperature: 9 }));
+    SettingsPanel.load();
+    assert.equal(Config.llm.temperature, 0.7);
+});
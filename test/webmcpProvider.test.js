@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, answerConfirmation, plain } = require('./helpers/loadApp');
+
+let app;
+beforeEach(async () => { app = await loadApp(); });
+afterEach(() => app.close());
+
+const invoke = (name, args) => app.window.agent.invokeTool(name, args);
+
+test('registerFidelityTools registers every Fidelity tool with an inputSchema', () => {
+    const tools = app.window.agent.tools;
+    assert.deepEqual(plain([...tools.keys()]), [
+        'getAccountList',
+        'getAccountBalance',
+        'getPortfolioPerformance',
+        'initiateFundTransfer',
+        'getTransactionHistory',
+        'getTransferStatus',
+        'getHoldings',
+        'searchHoldings',
+        'getAssetAllocation',
+        'placeTradeOrder',
+        'getOrderStatus'
+    ]);
+    tools.forEach(tool => {
+        assert.equal(tool.inputSchema.type, 'object', `${tool.name} schema`);
+        assert.equal(typeof tool.execute, 'function', `${tool.name} execute`);
+    });
+});
+
+test('registerFidelityTools can run twice without duplicating or dropping tools', () => {
+    app.window.registerFidelityTools();
+    assert.equal(app.window.agent.tools.size, 11);
+});
+
+test('getAccountList returns all accounts', async () => {
+    const result = await invoke('getAccountList', {});
+    assert.equal(result.success, true);
+    assert.deepEqual(plain(result.accounts.map(acc => acc.id)), ['acc_brokerage_123', 'acc_roth_456', 'acc_401k_789', 'acc_cash_101']);
+});
+
+test('getAccountBalance finds an account by partial name and highlights it', async () => {
+    const result = await invoke('getAccountBalance', { accountIdentifier: 'roth' });
+    assert.deepEqual(plain(result), { success: true, accountName: 'Roth IRA', balance: 89500.75 });
+    assert.ok(app.document.getElementById('account-acc_roth_456').classList.contains('highlight'));
+});
+
+test('getAccountBalance reports unknown accounts', async () => {
+    const result = await invoke('getAccountBalance', { accountIdentifier: 'Savings' });
+    assert.equal(result.success, false);
+    assert.match(result.message, /not found/);
+});
+
+test('getPortfolioPerformance updates the chart for the requested period', async () => {
+    const result = await invoke('getPortfolioPerformance', { timePeriod: '3 Year' });
+    assert.equal(result.success, true);
+    assert.equal(app.document.getElementById('chart-time-period').textContent, 'Time Period: 3 Year');
+});
+
+test('initiateFundTransfer moves money once the user approves', async () => {
+    const pending = invoke('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Roth IRA', amount: 1000 });
+    await answerConfirmation(app.window, 'approve');
+    const result = await pending;
+
+    assert.equal(result.success, true);
+    assert.equal(result.confirmation, 'approved');
+    assert.match(result.transactionId, /^TXN-/);
+    const accounts = app.global('mockAccountData');
+    assert.equal(accounts.acc_brokerage_123.balance, 14430.25);
+    assert.equal(accounts.acc_roth_456.balance, 90500.75);
+    assert.match(app.document.getElementById('account-acc_roth_456').textContent, /90500\.75/);
+});
+
+test('initiateFundTransfer does nothing when the user denies', async () => {
+    const pending = invoke('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Roth IRA', amount: 1000 });
+    await answerConfirmation(app.window, 'deny');
+    const result = await pending;
+
+    assert.equal(result.success, false);
+    assert.equal(result.confirmation, 'denied');
+    assert.equal(app.global('mockAccountData').acc_brokerage_123.balance, 15430.25);
+});
+
+test('initiateFundTransfer rejects insufficient funds before asking the user', async () => {
+    const result = await invoke('initiateFundTransfer', { fromAccount: 'Cash', toAccount: 'Roth IRA', amount: 6000 });
+    assert.equal(result.success, false);
+    assert.match(result.message, /Insufficient funds/);
+    assert.equal(app.document.getElementById('confirmation-dialog').style.display, 'none');
+});
+
+test('getTransactionHistory and getTransferStatus report submitted transfers', async () => {
+    const pending = invoke('initiateFundTransfer', { fromAccount: 'Brokerage', toAccount: 'Cash', amount: 50 });
+    await answerConfirmation(app.window, 'approve');
+    const { transactionId } = await pending;
+
+    const history = await invoke('getTransactionHistory', { accountIdentifier: 'Cash' });
+    assert.equal(history.count, 1);
+    assert.equal(history.transactions[0].id, transactionId);
+
+    const status = await invoke('getTransferStatus', { transactionId });
+    assert.equal(status.transaction.status, 'completed');
+});